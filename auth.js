@@ -0,0 +1,233 @@
+const crypto = require('node:crypto');
+const util = require('node:util');
+
+const scryptAsync = util.promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SESSION_COOKIE = 'km_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 10;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  header.split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Express middleware that requires an authenticated user with at least the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+// Hash a password with scrypt, stored as scrypt$N$r$p$salt$hash
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Local user accounts, browser sessions and API tokens
+class AuthService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  validateUser({ username, password, role }) {
+    if (username !== undefined && !/^[A-Za-z0-9._@-]{3,64}$/.test(username)) {
+      throw new Error('Username must be 3-64 characters of letters, digits, ".", "_", "@" or "-"');
+    }
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+  }
+
+  async createUser(username, password, role) {
+    this.validateUser({ username, password, role });
+    if (await this.db.getUserByUsername(username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+    const passwordHash = await hashPassword(password);
+    const result = await this.db.createUser({ username, passwordHash, role });
+    return { id: result.id, username, role };
+  }
+
+  async updateUser(id, { password, role, disabled }) {
+    this.validateUser({ password, role });
+    const fields = { role, disabled: disabled === undefined ? undefined : !!disabled };
+    if (password !== undefined) {
+      fields.passwordHash = await hashPassword(password);
+    }
+    return this.db.updateUser(id, fields);
+  }
+
+  // Create the first admin from KEYMANAGER_ADMIN_USER / KEYMANAGER_ADMIN_PASSWORD when no users exist
+  async bootstrapAdmin() {
+    if (await this.db.countUsers() > 0) {
+      return null;
+    }
+
+    const username = process.env.KEYMANAGER_ADMIN_USER;
+    const password = process.env.KEYMANAGER_ADMIN_PASSWORD;
+    if (!username || !password) {
+      console.warn('No users exist. Create an admin with "npm run create-user -- --username <name> --role admin"');
+      console.warn('or set KEYMANAGER_ADMIN_USER and KEYMANAGER_ADMIN_PASSWORD and restart.');
+      return null;
+    }
+
+    const user = await this.createUser(username, password, 'admin');
+    console.log(`Created initial admin user ${username}`);
+    return user;
+  }
+
+  async login(username, password) {
+    const user = await this.db.getUserByUsername(username);
+
+    // Verify against a dummy hash for unknown users so timing doesn't reveal which usernames exist
+    if (!this.dummyHash) {
+      this.dummyHash = await hashPassword(crypto.randomUUID());
+    }
+    const valid = await verifyPassword(String(password || ''), user ? user.password_hash : this.dummyHash);
+    if (!user || !valid || user.disabled) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_TTL);
+    await this.db.saveSession(hashToken(token), user.id, expiresAt.toISOString());
+    await this.db.deleteExpiredSessions();
+
+    return { token, expiresAt, user: this.publicUser(user) };
+  }
+
+  async logout(token) {
+    if (token) {
+      await this.db.deleteSession(hashToken(token));
+    }
+  }
+
+  async createApiToken(userId, name, expiresAt = null) {
+    const token = `km_${crypto.randomBytes(32).toString('base64url')}`;
+    const result = await this.db.saveApiToken(hashToken(token), userId, name, expiresAt);
+    return { id: result.id, name, token, expiresAt };
+  }
+
+  // Resolve the user for a request from its session cookie or bearer token
+  async resolveUser(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      const apiToken = await this.db.getApiToken(hashToken(authorization.slice(7).trim()));
+      if (!apiToken) {
+        return null;
+      }
+      await this.db.touchApiToken(apiToken.id);
+      return this.activeUser(apiToken.user_id, 'token');
+    }
+
+    const sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionToken) {
+      const session = await this.db.getSession(hashToken(sessionToken));
+      if (session) {
+        return this.activeUser(session.user_id, 'session');
+      }
+    }
+    return null;
+  }
+
+  async activeUser(userId, authMethod) {
+    const user = await this.db.getUser(userId);
+    if (!user || user.disabled) {
+      return null;
+    }
+    return { ...this.publicUser(user), authMethod };
+  }
+
+  publicUser(user) {
+    return { id: user.id, username: user.username, role: user.role };
+  }
+
+  // Express middleware that attaches req.user when the request is authenticated
+  authenticate() {
+    return async (req, res, next) => {
+      try {
+        req.user = await this.resolveUser(req);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  sessionCookie(req, token, expiresAt) {
+    const parts = [
+      `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Strict'
+    ];
+    if (expiresAt) {
+      parts.push(`Expires=${expiresAt.toUTCString()}`);
+    }
+    if (req.secure) {
+      parts.push('Secure');
+    }
+    return parts.join('; ');
+  }
+
+  clearedSessionCookie() {
+    return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT`;
+  }
+
+  sessionToken(req) {
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  }
+}
+
+module.exports = {
+  AuthService,
+  ROLES,
+  hasRole,
+  requireRole,
+  hashPassword,
+  verifyPassword
+};
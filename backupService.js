@@ -0,0 +1,205 @@
+const crypto = require('node:crypto');
+
+// Backups are JSON with metadata, the devices (keys decrypted) and the migration history.
+// Version 1.1.0 added SHA-256 checksums of both sections to the metadata; 1.0.0 backups
+// have none and are restored on their counts alone.
+const BACKUP_VERSION = '1.1.0';
+const BACKUP_SOURCE = 'keyManager-backup';
+const RESTORE_MODES = ['merge', 'replace'];
+
+function backupError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// SHA-256 of a backup section as it is serialized in the backup
+function checksum(items) {
+  return crypto.createHash('sha256').update(JSON.stringify(items)).digest('hex');
+}
+
+function sameKey(a, b) {
+  return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
+
+// A migration record that was already restored or recorded, regardless of its id
+function migrationKey(record) {
+  return [String(record.devEUI).toLowerCase(), record.sourceLNS, record.targetLNS, record.started_at].join('|');
+}
+
+// Creates backups for GET /api/export and restores them into the devices and migration_history tables
+class BackupService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  async createBackup() {
+    const devices = await this.db.getAllDecryptedDevices();
+    const migrations = await this.db.getAllMigrationRecords();
+
+    return {
+      metadata: {
+        exportDate: new Date().toISOString(),
+        version: BACKUP_VERSION,
+        source: BACKUP_SOURCE,
+        deviceCount: devices.length,
+        migrationCount: migrations.length,
+        checksums: {
+          algorithm: 'sha256',
+          devices: checksum(devices),
+          migrations: checksum(migrations)
+        }
+      },
+      devices,
+      migrations
+    };
+  }
+
+  // Check that a backup is complete and unmodified. Returns { version, checksumsVerified }
+  // and throws a 400 error for anything that cannot be restored.
+  validateBackup(backup) {
+    const metadata = backup && backup.metadata;
+    if (!metadata || metadata.source !== BACKUP_SOURCE) {
+      throw backupError('Not a keyManager backup - export one with /api/export and format json');
+    }
+
+    const version = String(metadata.version || '');
+    const [major] = version.split('.');
+    if (major !== BACKUP_VERSION.split('.')[0]) {
+      throw backupError(`Backup version ${version || '(missing)'} is not supported - this keyManager restores ${BACKUP_VERSION.split('.')[0]}.x backups`);
+    }
+
+    if (!Array.isArray(backup.devices) || !Array.isArray(backup.migrations)) {
+      throw backupError('Backup has no devices or migrations list');
+    }
+    if (metadata.deviceCount !== backup.devices.length || metadata.migrationCount !== backup.migrations.length) {
+      throw backupError(`Backup is incomplete: metadata lists ${metadata.deviceCount} devices and ${metadata.migrationCount} migrations, found ${backup.devices.length} and ${backup.migrations.length}`);
+    }
+
+    const checksums = metadata.checksums;
+    if (checksums) {
+      if (checksums.algorithm !== 'sha256') {
+        throw backupError(`Unsupported backup checksum algorithm ${checksums.algorithm}`);
+      }
+      for (const section of ['devices', 'migrations']) {
+        if (checksum(backup[section]) !== checksums[section]) {
+          throw backupError(`Checksum of the backup's ${section} does not match - the file was modified or corrupted`);
+        }
+      }
+    } else if (version !== '1.0.0') {
+      throw backupError(`Backup version ${version} must carry checksums`);
+    }
+
+    backup.devices.forEach((device, index) => {
+      if (!device || typeof device.devEUI !== 'string' || !device.devEUI) {
+        throw backupError(`Backup device ${index + 1} has no DevEUI`);
+      }
+    });
+    backup.migrations.forEach((record, index) => {
+      if (!record || !record.devEUI || !record.sourceLNS || !record.targetLNS || !record.status) {
+        throw backupError(`Backup migration ${index + 1} is missing its device, LNS or status`);
+      }
+    });
+
+    return { version, checksumsVerified: !!checksums };
+  }
+
+  // Restore a backup. 'merge' adds the devices and migrations that are not stored yet and keeps
+  // every stored device; 'replace' makes the devices and migration history exactly those of
+  // the backup. Devices stored with a different AppKey than the backup's are reported as
+  // conflicts either way. With dryRun nothing is written. signer is the signing key fingerprint
+  // of the export bundle the backup came from, and plaintext whether it came unsigned, for the audit log.
+  async restore(backup, { mode = 'merge', dryRun = false, username = null, signer = null, plaintext = false } = {}) {
+    if (!RESTORE_MODES.includes(mode)) {
+      throw backupError(`Unknown restore mode ${mode} - use ${RESTORE_MODES.join(' or ')}`);
+    }
+    const { version, checksumsVerified } = this.validateBackup(backup);
+
+    const stored = new Map((await this.db.getAllDecryptedDevices()).map(device => [device.devEUI.toLowerCase(), device]));
+    const storedMigrations = new Set((await this.db.getAllMigrationRecords()).map(migrationKey));
+
+    const results = {
+      mode,
+      dryRun,
+      version,
+      exportDate: backup.metadata.exportDate || null,
+      checksumsVerified,
+      devices: { restored: 0, kept: 0, removed: 0 },
+      migrations: { restored: 0, skipped: 0, removed: 0 },
+      conflicts: []
+    };
+
+    const devicesToWrite = [];
+    const backupDevEUIs = new Set();
+    for (const device of backup.devices) {
+      const devEUI = device.devEUI.toLowerCase();
+      backupDevEUIs.add(devEUI);
+      const current = stored.get(devEUI);
+
+      if (current && !sameKey(current.appKey, device.appKey)) {
+        results.conflicts.push({
+          devEUI: current.devEUI,
+          name: current.name,
+          backupName: device.name,
+          resolution: mode === 'replace' ? 'replaced with backup' : 'kept stored device'
+        });
+      }
+      if (current && mode === 'merge') {
+        results.devices.kept++;
+        continue;
+      }
+      results.devices.restored++;
+      devicesToWrite.push(device);
+    }
+    if (mode === 'replace') {
+      results.devices.removed = [...stored.keys()].filter(devEUI => !backupDevEUIs.has(devEUI)).length;
+    }
+
+    const migrationsToWrite = mode === 'replace'
+      ? backup.migrations
+      : backup.migrations.filter(record => !storedMigrations.has(migrationKey(record)));
+    results.migrations.restored = migrationsToWrite.length;
+    results.migrations.skipped = backup.migrations.length - migrationsToWrite.length;
+    if (mode === 'replace') {
+      const backupMigrations = new Set(backup.migrations.map(migrationKey));
+      results.migrations.removed = [...storedMigrations].filter(key => !backupMigrations.has(key)).length;
+    }
+
+    if (dryRun) {
+      return results;
+    }
+
+    await this.db.transaction(async () => {
+      if (mode === 'replace') {
+        await this.db.clearDevicesAndHistory();
+      }
+      for (const device of devicesToWrite) {
+        await this.db.restoreDevice(device);
+      }
+      // Replace keeps migration ids, so verifications and snapshots of the same migrations still match
+      for (const record of migrationsToWrite) {
+        await this.db.restoreMigrationRecord(record, mode === 'replace');
+      }
+      if (mode === 'replace') {
+        await this.db.pruneOrphanedRecords();
+      }
+
+      await this.db.saveAuditEntry('backup_restore', username, {
+        mode,
+        version,
+        exportDate: results.exportDate,
+        checksumsVerified,
+        signer,
+        encryption: plaintext ? 'none' : 'bundle',
+        devices: results.devices,
+        migrations: results.migrations,
+        conflicts: results.conflicts.map(conflict => conflict.devEUI)
+      });
+    });
+
+    console.log(`${username || 'Unknown user'} restored ${plaintext ? 'plaintext ' : ''}backup from ${results.exportDate} (${mode}): ${results.devices.restored} devices, ${results.migrations.restored} migrations, ${results.conflicts.length} AppKey conflicts`);
+    return results;
+  }
+}
+
+module.exports = BackupService;
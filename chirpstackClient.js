@@ -1,17 +1,25 @@
-const { exec } = require('node:child_process');
-const util = require('node:util');
 const axios = require('axios');
+const { ChirpStackGrpcTransport } = require('./chirpstackGrpc');
+const { LNSClient } = require('./lnsClient');
 
-const execAsync = util.promisify(exec);
+const EMPTY_KEY = '00000000000000000000000000000000';
 
-class ChirpStackClient {
+// List endpoints, by gRPC service and helium-chirpstack REST resource
+const LISTINGS = {
+  tenants: { service: 'api.TenantService', rest: 'tenants' },
+  applications: { service: 'api.ApplicationService', rest: 'applications' },
+  devices: { service: 'api.DeviceService', rest: 'devices' },
+  deviceProfiles: { service: 'api.DeviceProfileService', rest: 'device-profiles' }
+};
+
+function isEmptyKey(key) {
+  return !key || key === EMPTY_KEY;
+}
+
+// LNS adapter for ChirpStack v4 over gRPC, and for helium-chirpstack-community over its REST API
+class ChirpStackClient extends LNSClient {
   constructor(config) {
-    this.name = config.name;
-    this.baseUrl = config.baseUrl;
-    this.apiKey = config.apiKey;
-    this.tenantId = config.tenantId;
-    this.tenantName = config.tenantName;
-    this.lorawanVersion = config.lorawanVersion || '1.0.x'; // Default to 1.0.x
+    super(config, 'chirpstack');
     
     // Extract host and port from baseUrl
     const url = new URL(config.baseUrl);
@@ -30,45 +38,36 @@ class ChirpStackClient {
     if (this.isHeliumChirpStack) {
       console.log(`  Detected custom helium-chirpstack-community implementation`);
     }
+    
+    // Use TLS for https:// base URLs and plaintext otherwise, unless overridden by config.
+    // helium-chirpstack gets a shorter default deadline, as with the previous grpcurl -max-time
+    this.grpc = new ChirpStackGrpcTransport({
+      target: this.target,
+      apiKey: this.apiKey,
+      useTls: config.useTls !== undefined ? config.useTls : url.protocol === 'https:',
+      timeout: config.grpcTimeout || (this.isHeliumChirpStack ? 10000 : 30000)
+    });
   }
 
-  // Helper method to execute grpcurl commands
-  async executeGrpcCommand(service, method, data = {}) {
-    const headers = `authorization: Bearer ${this.apiKey}`;
-    const dataJson = JSON.stringify(data);
-    
-    // Determine if we should use plaintext or TLS based on the baseUrl
-    const isHttps = this.baseUrl.startsWith('https://');
-    const plaintextFlag = isHttps ? '' : '-plaintext';
-    
-    // For helium-chirpstack, we might need different timeout and retry logic
-    const timeoutFlag = this.isHeliumChirpStack ? '-max-time 10' : '';
-    
-    const command = `grpcurl ${plaintextFlag} ${timeoutFlag} -H '${headers}' -d '${dataJson}' ${this.target} ${service}/${method}`;
-    
+  // helium-chirpstack-community cannot activate sessions
+  get supportsSessionActivation() {
+    return !this.isHeliumChirpStack;
+  }
+
+  // gRPC call through request(); reads and updates are idempotent, creates and deletes are not
+  async grpcCall(service, method, data = {}, options = {}) {
+    return this.request(`${service}/${method}`, /^(Get|List|Update)/.test(method), () => this.grpc.call(service, method, data, options));
+  }
+
+  // Helper method to execute gRPC calls against the ChirpStack v4 API
+  async executeGrpcCall(service, method, data = {}, options = {}) {
     try {
-      const { stdout, stderr } = await execAsync(command);
-      
-      if (stderr && stderr.trim()) {
-        console.error(`gRPC stderr for ${service}/${method}:`, stderr);
-      }
-      
-      if (!stdout || !stdout.trim()) {
-        throw new Error('Empty response from gRPC call');
-      }
-      
-      return JSON.parse(stdout);
+      return await this.grpcCall(service, method, data, options);
     } catch (error) {
       console.error(`gRPC call failed: ${service}/${method}`, error.message);
-      if (error.stdout) {
-        console.error('stdout:', error.stdout);
-      }
-      if (error.stderr) {
-        console.error('stderr:', error.stderr);
-      }
       
       // For helium-chirpstack, provide more specific error information
-      if (this.isHeliumChirpStack && error.message.includes('PROTOCOL_ERROR')) {
+      if (this.isHeliumChirpStack && /PROTOCOL_ERROR|Protocol error/.test(error.message)) {
         throw new Error(`Custom helium-chirpstack gRPC connection failed - nginx proxy may not be configured for gRPC. See: https://github.com/disk91/helium-chirpstack-community`);
       }
       
@@ -76,6 +75,11 @@ class ChirpStackClient {
     }
   }
 
+  // Close the gRPC channel
+  close() {
+    this.grpc.close();
+  }
+
   // Helper method to execute REST API calls for helium-chirpstack-community
   async executeRestApiCall(endpoint, params = {}) {
     // Build query parameters
@@ -89,7 +93,7 @@ class ChirpStackClient {
     const url = `${this.baseUrl}/api/${endpoint}${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
     
     try {
-      const response = await axios.get(url, {
+      const response = await this.request(`GET ${endpoint}`, true, () => axios.get(url, {
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json'
@@ -99,7 +103,7 @@ class ChirpStackClient {
         httpsAgent: new (require('https').Agent)({
           rejectUnauthorized: false
         })
-      });
+      }));
       
       return response.data;
     } catch (error) {
@@ -113,7 +117,7 @@ class ChirpStackClient {
     const url = `${this.baseUrl}/api/${endpoint}`;
     
     try {
-      const response = await axios.post(url, data, {
+      const response = await this.request(`POST ${endpoint}`, false, () => axios.post(url, data, {
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json'
@@ -123,7 +127,7 @@ class ChirpStackClient {
         httpsAgent: new (require('https').Agent)({
           rejectUnauthorized: false
         })
-      });
+      }));
       
       return response.data;
     } catch (error) {
@@ -140,7 +144,7 @@ class ChirpStackClient {
     const url = `${this.baseUrl}/api/${endpoint}`;
     
     try {
-      const response = await axios.put(url, data, {
+      const response = await this.request(`PUT ${endpoint}`, true, () => axios.put(url, data, {
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json'
@@ -150,7 +154,7 @@ class ChirpStackClient {
         httpsAgent: new (require('https').Agent)({
           rejectUnauthorized: false
         })
-      });
+      }));
       
       return response.data;
     } catch (error) {
@@ -189,7 +193,7 @@ class ChirpStackClient {
       } else {
         // Standard ChirpStack handling - test applications endpoint via gRPC instead of tenants
         try {
-          const result = await this.executeGrpcCommand('api.ApplicationService', 'List', { 
+          const result = await this.executeGrpcCall('api.ApplicationService', 'List', { 
             tenantId: this.tenantId,
             limit: 1 
           });
@@ -206,7 +210,7 @@ class ChirpStackClient {
           let errorMessage = `Cannot connect to gRPC API: ${applicationError.message}`;
           
           // Provide specific guidance based on the error and URL
-          if (applicationError.message.includes('PROTOCOL_ERROR') && this.baseUrl.includes('443')) {
+          if (/PROTOCOL_ERROR|Protocol error/.test(applicationError.message) && this.baseUrl.includes('443')) {
             errorMessage += `\n\nHint: For old ChirpStack servers, try:
 - URL: http://20.121.50.53:8080 (HTTP on port 8080)
 - NOT: https://old.console.buoy.fish:443 (HTTPS on port 443)
@@ -222,20 +226,46 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
     }
   }
 
+  // Fetch a single page of a listing over gRPC or the helium-chirpstack REST API
+  async listPage(listing, params, limit, offset) {
+    const query = { ...params, limit, offset };
+    
+    if (this.isHeliumChirpStack) {
+      return this.executeRestApiCall(listing.rest, query);
+    }
+    return this.executeGrpcCall(listing.service, 'List', query);
+  }
+
+  // Walk every page of a listing, yielding items as each page arrives
+  async *paginate(listing, params = {}) {
+    let offset = 0;
+    
+    while (true) {
+      const page = await this.listPage(listing, params, this.pageSize, offset);
+      const items = page.result || [];
+      
+      for (const item of items) {
+        yield item;
+      }
+      
+      offset += items.length;
+      if (items.length === 0 || offset >= Number(page.totalCount || 0)) {
+        break;
+      }
+    }
+  }
+
+  // Stream tenants page by page
+  iterateTenants() {
+    return this.paginate(LISTINGS.tenants);
+  }
+
   // Get available tenants for user selection
   async getTenants() {
     try {
-      if (this.isHeliumChirpStack) {
-        // Use REST API for helium-chirpstack-community
-        const result = await this.executeRestApiCall('tenants', { limit: 100 });
-        console.log(`Found ${result.totalCount} tenants from ${this.name}`);
-        return result.result || [];
-      } else {
-        // Use gRPC for standard ChirpStack
-        const result = await this.executeGrpcCommand('api.TenantService', 'List', { limit: 100 });
-        console.log(`Found ${result.totalCount} tenants from ${this.name}`);
-        return result.result || [];
-      }
+      const tenants = await this.collect(this.iterateTenants());
+      console.log(`Found ${tenants.length} tenants from ${this.name}`);
+      return tenants;
     } catch (error) {
       console.error(`Error fetching tenants from ${this.name}:`, error.message);
       throw error;
@@ -262,7 +292,7 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
         };
       } else {
         // Standard ChirpStack handling
-        const result = await this.executeGrpcCommand('api.ApplicationService', 'List', {
+        const result = await this.executeGrpcCall('api.ApplicationService', 'List', {
           tenantId: tenantId,
           limit: 1
         });
@@ -282,28 +312,17 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
     }
   }
 
+  // Stream applications page by page
+  iterateApplications() {
+    return this.paginate(LISTINGS.applications, { tenantId: this.tenantId });
+  }
+
   // Get all applications
   async getApplications() {
     try {
-      let result;
-      
-      if (this.isHeliumChirpStack) {
-        // Use REST API for helium-chirpstack-community
-        console.log(`Using REST API for ${this.name} (helium-chirpstack-community)`);
-        result = await this.executeRestApiCall('applications', {
-          tenantId: this.tenantId,
-          limit: 100
-        });
-      } else {
-        // Use gRPC for standard ChirpStack
-        result = await this.executeGrpcCommand('api.ApplicationService', 'List', {
-          tenantId: this.tenantId,
-          limit: 100
-        });
-      }
-      
-      console.log(`Found ${result.totalCount} applications from ${this.name}`);
-      return result.result || [];
+      const applications = await this.collect(this.iterateApplications());
+      console.log(`Found ${applications.length} applications from ${this.name}`);
+      return applications;
     } catch (error) {
       console.error(`Error fetching applications from ${this.name}:`, error.message);
       throw error;
@@ -313,7 +332,7 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
   // Get specific application
   async getApplication(applicationId) {
     try {
-      const result = await this.executeGrpcCommand('api.ApplicationService', 'Get', {
+      const result = await this.executeGrpcCall('api.ApplicationService', 'Get', {
         id: applicationId
       });
       
@@ -324,56 +343,45 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
     }
   }
 
-  // Get devices for an application
-  async getDevices(applicationId, limit = 100, offset = 0) {
+  // Create an application in the client's tenant; returns the id of the new application
+  async createApplication(applicationData) {
     try {
-      const result = await this.executeGrpcCommand('api.DeviceService', 'List', {
-        applicationId: applicationId,
-        limit: limit,
-        offset: offset
-      });
-      
-      console.log(`Found ${result.totalCount} devices in application ${applicationId} from ${this.name}`);
-      return result.result || [];
+      const application = {
+        ...applicationData,
+        tenantId: this.tenantId
+      };
+
+      let result;
+      if (this.isHeliumChirpStack) {
+        // Use REST API for helium-chirpstack-community
+        result = await this.executeRestApiPost('applications', { application: application });
+      } else {
+        // Use gRPC for standard ChirpStack
+        result = await this.executeGrpcCall('api.ApplicationService', 'Create', {
+          application: application
+        });
+      }
+      console.log(`Created application ${applicationData.name} (${result.id}) in ${this.name}`);
+      return { success: true, id: result.id };
     } catch (error) {
-      console.error(`Error fetching devices from ${this.name}:`, error.message);
+      console.error(`Error creating application ${applicationData.name} in ${this.name}:`, error.message);
       throw error;
     }
   }
 
-  // Get all devices from all applications
-  async getAllDevicesForAllApplications() {
+  // Stream the devices of an application page by page
+  iterateDevices(applicationId) {
+    return this.paginate(LISTINGS.devices, { applicationId: applicationId });
+  }
+
+  // Get devices for an application
+  async getDevices(applicationId) {
     try {
-      const applications = await this.getApplications();
-      const allDevices = [];
-      
-      for (const app of applications) {
-        try {
-          console.log(`Fetching devices from application: ${app.name} (${app.id})`);
-          const devices = await this.getDevices(app.id);
-          
-          // Add application info to each device
-          const devicesWithAppInfo = devices.map(device => ({
-            ...device,
-            applicationId: app.id,
-            applicationName: app.name,
-            // Map ChirpStack fields to our expected format
-            devEUI: device.devEui,
-            name: device.name,
-            description: device.description,
-            deviceProfileId: device.deviceProfileId
-          }));
-          
-          allDevices.push(...devicesWithAppInfo);
-        } catch (error) {
-          console.warn(`Could not fetch devices for application ${app.id}:`, error.message);
-        }
-      }
-      
-      console.log(`Total devices found across all applications: ${allDevices.length}`);
-      return allDevices;
+      const devices = await this.collect(this.iterateDevices(applicationId));
+      console.log(`Found ${devices.length} devices in application ${applicationId} from ${this.name}`);
+      return devices;
     } catch (error) {
-      console.error(`Error fetching all devices from ${this.name}:`, error.message);
+      console.error(`Error fetching devices from ${this.name}:`, error.message);
       throw error;
     }
   }
@@ -381,7 +389,7 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
   // Get device details
   async getDevice(devEUI) {
     try {
-      const result = await this.executeGrpcCommand('api.DeviceService', 'Get', {
+      const result = await this.executeGrpcCall('api.DeviceService', 'Get', {
         devEui: devEUI
       });
       
@@ -395,40 +403,87 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
     }
   }
 
-  // Get device keys
-  async getDeviceKeys(devEUI) {
+  // Get a device, or null when it does not exist in this LNS.
+  // A missing device is expected here, so it is not logged as a failure.
+  async findDevice(devEUI) {
     try {
-      const result = await this.executeGrpcCommand('api.DeviceService', 'GetKeys', {
+      const result = await this.grpcCall('api.DeviceService', 'Get', {
         devEui: devEUI
       });
-      
-      // Handle different LoRaWAN versions for Application Key extraction
-      let applicationKey = result.deviceKeys.appKey;
-      
-      if (this.lorawanVersion === '1.0.x') {
-        // For LoRaWAN 1.0.x, prioritize nwkKey over appKey
-        if (result.deviceKeys.nwkKey && result.deviceKeys.nwkKey !== '00000000000000000000000000000000') {
-          applicationKey = result.deviceKeys.nwkKey;
-          console.log(`Using nwkKey as Application Key for device ${devEUI} from ${this.name} (LoRaWAN 1.0.x)`);
-        }
-      } else if (this.lorawanVersion === '1.1.x') {
-        // For LoRaWAN 1.1.x, use appKey field
-        if (!applicationKey || applicationKey === '00000000000000000000000000000000') {
+
+      return {
+        ...result.device,
+        devEUI: result.device.devEui
+      };
+    } catch (error) {
+      if (error.codeName === 'NOT_FOUND') {
+        return null;
+      }
+      console.error(`Error looking up device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get the raw keys of a device, or null when it has none in this LNS
+  async findDeviceKeys(devEUI) {
+    try {
+      const result = await this.grpcCall('api.DeviceService', 'GetKeys', {
+        devEui: devEUI
+      });
+      return result.deviceKeys;
+    } catch (error) {
+      if (error.codeName === 'NOT_FOUND') {
+        return null;
+      }
+      console.error(`Error looking up keys for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get the raw activation (session) of a device, or null when it is not activated
+  async findDeviceActivation(devEUI) {
+    try {
+      const result = await this.grpcCall('api.DeviceService', 'GetActivation', {
+        devEui: devEUI
+      });
+      return result.deviceActivation || null;
+    } catch (error) {
+      if (error.codeName === 'NOT_FOUND') {
+        return null;
+      }
+      console.error(`Error looking up activation for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get device keys. ChirpStack keeps the single LoRaWAN 1.0.x root key (the AppKey) in
+  // the nwkKey field, and the 1.1 NwkKey and AppKey in nwkKey and appKey; the device
+  // profile's macVersion decides which applies. nwkKey is only returned for 1.1 devices.
+  async getDeviceKeys(devEUI, macVersion = null) {
+    try {
+      const result = await this.executeGrpcCall('api.DeviceService', 'GetKeys', {
+        devEui: devEUI
+      });
+      const { nwkKey, appKey } = result.deviceKeys;
+
+      if (this.isLorawan11(macVersion)) {
+        if (isEmptyKey(appKey)) {
           console.log(`Warning: AppKey is empty for device ${devEUI} from ${this.name} (LoRaWAN 1.1.x)`);
         }
+        return {
+          devEUI: devEUI,
+          appEUI: result.deviceKeys.joinEui || result.deviceKeys.appEui,
+          appKey: appKey,
+          nwkKey: nwkKey
+        };
       }
-      
-      // Fallback: if appKey is still empty and we have nwkKey, use it
-      if ((!applicationKey || applicationKey === '00000000000000000000000000000000') && 
-          result.deviceKeys.nwkKey && result.deviceKeys.nwkKey !== '00000000000000000000000000000000') {
-        applicationKey = result.deviceKeys.nwkKey;
-        console.log(`Fallback: Using nwkKey as Application Key for device ${devEUI} from ${this.name}`);
-      }
-      
+
+      // Some servers keep the 1.0.x AppKey in the appKey field instead
       return {
         devEUI: devEUI,
         appEUI: result.deviceKeys.joinEui || result.deviceKeys.appEui,
-        appKey: applicationKey
+        appKey: isEmptyKey(nwkKey) ? appKey : nwkKey,
+        nwkKey: null
       };
     } catch (error) {
       console.error(`Error fetching keys for device ${devEUI} from ${this.name}:`, error.message);
@@ -436,7 +491,8 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
       return {
         devEUI: devEUI,
         appEUI: '0000000000000000',
-        appKey: '00000000000000000000000000000000'
+        appKey: EMPTY_KEY,
+        nwkKey: null
       };
     }
   }
@@ -444,7 +500,7 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
   // Get device activation (session keys)
   async getDeviceActivation(devEUI) {
     try {
-      const result = await this.executeGrpcCommand('api.DeviceService', 'GetActivation', {
+      const result = await this.executeGrpcCall('api.DeviceService', 'GetActivation', {
         devEui: devEUI
       });
       
@@ -452,9 +508,12 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
         devEUI: devEUI,
         devAddr: result.deviceActivation.devAddr,
         nwkSKey: result.deviceActivation.nwkSEncKey,
+        sNwkSIntKey: result.deviceActivation.sNwkSIntKey,
+        fNwkSIntKey: result.deviceActivation.fNwkSIntKey,
         appSKey: result.deviceActivation.appSKey,
         fCntUp: result.deviceActivation.fCntUp || 0,
-        fCntDown: result.deviceActivation.nFCntDown || 0
+        fCntDown: result.deviceActivation.nFCntDown || 0,
+        aFCntDown: result.deviceActivation.aFCntDown || 0
       };
     } catch (error) {
       console.error(`Error fetching activation for device ${devEUI} from ${this.name}:`, error.message);
@@ -470,64 +529,78 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
     }
   }
 
+  // Stream device profiles page by page
+  iterateDeviceProfiles() {
+    return this.paginate(LISTINGS.deviceProfiles, { tenantId: this.tenantId });
+  }
+
   // Get device profiles
   async getDeviceProfiles() {
     try {
-      let result;
-      
+      const profiles = await this.collect(this.iterateDeviceProfiles());
+      console.log(`Found ${profiles.length} device profiles from ${this.name}`);
+      return profiles;
+    } catch (error) {
+      console.error(`Error fetching device profiles from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get a single device profile
+  async getDeviceProfile(profileId) {
+    try {
+      const result = await this.executeGrpcCall('api.DeviceProfileService', 'Get', {
+        id: profileId
+      });
+      return result.deviceProfile;
+    } catch (error) {
+      console.error(`Error fetching device profile ${profileId} from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Update a device profile with the full profile object returned by getDeviceProfile
+  async updateDeviceProfile(deviceProfile) {
+    try {
       if (this.isHeliumChirpStack) {
         // Use REST API for helium-chirpstack-community
-        console.log(`Using REST API for device profiles from ${this.name} (helium-chirpstack-community)`);
-        result = await this.executeRestApiCall('device-profiles', {
-          tenantId: this.tenantId,
-          limit: 100
-        });
+        await this.executeRestApiPut(`device-profiles/${deviceProfile.id}`, { deviceProfile: deviceProfile });
       } else {
         // Use gRPC for standard ChirpStack
-        result = await this.executeGrpcCommand('api.DeviceProfileService', 'List', {
-          tenantId: this.tenantId,
-          limit: 100
+        await this.executeGrpcCall('api.DeviceProfileService', 'Update', {
+          deviceProfile: deviceProfile
         });
       }
-      
-      console.log(`Found ${result.totalCount} device profiles from ${this.name}`);
-      return result.result || [];
+      console.log(`Updated device profile ${deviceProfile.name} (${deviceProfile.id}) in ${this.name}`);
+      return { success: true };
     } catch (error) {
-      console.error(`Error fetching device profiles from ${this.name}:`, error.message);
+      console.error(`Error updating device profile ${deviceProfile.id} in ${this.name}:`, error.message);
       throw error;
     }
   }
 
-  // Get complete device info
-  async getCompleteDeviceInfo(devEUI) {
+  // Create a device profile in this LNS's tenant, returning its id
+  async createDeviceProfile(profileData) {
     try {
-      const [device, keys, activation] = await Promise.allSettled([
-        this.getDevice(devEUI),
-        this.getDeviceKeys(devEUI),
-        this.getDeviceActivation(devEUI)
-      ]);
-
-      const result = {
-        device: device.status === 'fulfilled' ? device.value : null,
-        keys: keys.status === 'fulfilled' ? keys.value : null,
-        activation: activation.status === 'fulfilled' ? activation.value : null
+      const deviceProfile = {
+        ...profileData,
+        tenantId: this.tenantId
       };
 
-      // Get device profile if available
-      if (result.device && result.device.deviceProfileId) {
-        try {
-          const profileResult = await this.executeGrpcCommand('api.DeviceProfileService', 'Get', {
-            id: result.device.deviceProfileId
-          });
-          result.deviceProfile = profileResult.deviceProfile;
-        } catch (error) {
-          console.warn(`Could not fetch device profile for ${devEUI}:`, error.message);
-        }
+      let result;
+      if (this.isHeliumChirpStack) {
+        // Use REST API for helium-chirpstack-community
+        result = await this.executeRestApiPost('device-profiles', { deviceProfile: deviceProfile });
+      } else {
+        // Use gRPC for standard ChirpStack
+        result = await this.executeGrpcCall('api.DeviceProfileService', 'Create', {
+          deviceProfile: deviceProfile
+        });
       }
-
-      return result;
+      console.log(`Created device profile ${profileData.name} (${result.id}) in ${this.name}`);
+      return { success: true, id: result.id };
     } catch (error) {
-      console.error(`Error fetching complete device info for ${devEUI} from ${this.name}:`, error.message);
+      console.error(`Error creating device profile ${profileData.name} in ${this.name}:`, error.message);
       throw error;
     }
   }
@@ -544,8 +617,11 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
         description: deviceData.description || '',
         applicationId: deviceData.applicationId,
         deviceProfileId: deviceData.deviceProfileId,
+        joinEui: deviceData.joinEui,
         skipFcntCheck: deviceData.skipFcntCheck !== undefined ? deviceData.skipFcntCheck : true, // Default to true for backward compatibility
-        isDisabled: false
+        isDisabled: false,
+        tags: deviceData.tags || {},
+        variables: deviceData.variables || {}
       };
 
       if (this.isHeliumChirpStack) {
@@ -554,7 +630,7 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
         return { success: true, device: deviceData };
       } else {
         // Use gRPC for standard ChirpStack
-        const result = await this.executeGrpcCommand('api.DeviceService', 'Create', {
+        const result = await this.executeGrpcCall('api.DeviceService', 'Create', {
           device: device
         });
         console.log(`Created device ${devEUI} in ${this.name}`);
@@ -567,17 +643,29 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
     }
   }
 
+  // Device keys message for keysData { appEUI, appKey, nwkKey, macVersion }. For LoRaWAN 1.1
+  // the NwkKey and AppKey go in their own fields; for 1.0.x the AppKey goes in nwkKey, and
+  // in appKey as well for servers that read it from there. The JoinEUI is not part of the
+  // keys; it is set on the device itself.
+  toDeviceKeys(devEUI, keysData) {
+    if (this.isLorawan11(keysData.macVersion)) {
+      return {
+        devEui: devEUI,
+        nwkKey: keysData.nwkKey || EMPTY_KEY,
+        appKey: keysData.appKey
+      };
+    }
+    return {
+      devEui: devEUI,
+      nwkKey: keysData.appKey,
+      appKey: keysData.appKey
+    };
+  }
+
   // Create device keys
   async createDeviceKeys(devEUI, keysData) {
     try {
-      // For LoRaWAN 1.0.x, AppKey goes in nwkKey field
-      // For LoRaWAN 1.1.x, AppKey goes in appKey field
-      const deviceKeys = {
-        devEui: devEUI,
-        joinEui: keysData.appEUI,
-        nwkKey: keysData.appKey,  // LoRaWAN 1.0.x uses nwkKey for AppKey
-        appKey: keysData.appKey   // LoRaWAN 1.1.x uses appKey - include both for compatibility
-      };
+      const deviceKeys = this.toDeviceKeys(devEUI, keysData);
 
       if (this.isHeliumChirpStack) {
         // Use REST API for helium-chirpstack-community
@@ -585,7 +673,7 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
         return { success: true };
       } else {
         // Use gRPC for standard ChirpStack
-        const result = await this.executeGrpcCommand('api.DeviceService', 'CreateKeys', {
+        const result = await this.executeGrpcCall('api.DeviceService', 'CreateKeys', {
           deviceKeys: deviceKeys
         });
         console.log(`Created keys for device ${devEUI} in ${this.name}`);
@@ -607,8 +695,12 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
         description: deviceData.description || '',
         applicationId: deviceData.applicationId,
         deviceProfileId: deviceData.deviceProfileId,
+        joinEui: deviceData.joinEui,
         skipFcntCheck: deviceData.skipFcntCheck !== undefined ? deviceData.skipFcntCheck : true, // Default to true for backward compatibility
-        isDisabled: false
+        isDisabled: false,
+        // Update replaces the tag and variable maps of the device as a whole
+        tags: deviceData.tags || {},
+        variables: deviceData.variables || {}
       };
 
       if (this.isHeliumChirpStack) {
@@ -617,7 +709,7 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
         return { success: true, device: deviceData };
       } else {
         // Use gRPC for standard ChirpStack
-        const result = await this.executeGrpcCommand('api.DeviceService', 'Update', {
+        const result = await this.executeGrpcCall('api.DeviceService', 'Update', {
           device: device
         });
         console.log(`Updated device ${devEUI} in ${this.name}`);
@@ -632,14 +724,7 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
   // Update device keys (for existing devices)
   async updateDeviceKeys(devEUI, keysData) {
     try {
-      // For LoRaWAN 1.0.x, AppKey goes in nwkKey field
-      // For LoRaWAN 1.1.x, AppKey goes in appKey field
-      const deviceKeys = {
-        devEui: devEUI,
-        joinEui: keysData.appEUI,
-        nwkKey: keysData.appKey,  // LoRaWAN 1.0.x uses nwkKey for AppKey
-        appKey: keysData.appKey   // LoRaWAN 1.1.x uses appKey - include both for compatibility
-      };
+      const deviceKeys = this.toDeviceKeys(devEUI, keysData);
 
       if (this.isHeliumChirpStack) {
         // Use REST API for helium-chirpstack-community
@@ -653,7 +738,7 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
         }
       } else {
         // Use gRPC for standard ChirpStack
-        const result = await this.executeGrpcCommand('api.DeviceService', 'UpdateKeys', {
+        const result = await this.executeGrpcCall('api.DeviceService', 'UpdateKeys', {
           deviceKeys: deviceKeys
         });
         console.log(`Updated keys for device ${devEUI} in ${this.name}`);
@@ -665,16 +750,137 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
     }
   }
 
-  // Activate device with session keys
+  // Put back raw device keys as returned by findDeviceKeys. Use create when the
+  // device has no keys at the moment, e.g. after it was re-created.
+  async restoreDeviceKeys(devEUI, deviceKeys, { create = false } = {}) {
+    try {
+      const keys = {
+        devEui: devEUI,
+        nwkKey: deviceKeys.nwkKey,
+        appKey: deviceKeys.appKey
+      };
+
+      if (this.isHeliumChirpStack) {
+        if (create) {
+          await this.executeRestApiPost(`devices/${devEUI}/keys`, { deviceKeys: keys });
+        } else {
+          await this.executeRestApiPut(`devices/${devEUI}/keys`, { deviceKeys: keys });
+        }
+      } else {
+        await this.executeGrpcCall('api.DeviceService', create ? 'CreateKeys' : 'UpdateKeys', {
+          deviceKeys: keys
+        });
+      }
+      console.log(`Restored keys for device ${devEUI} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error restoring keys for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Delete device keys
+  async deleteDeviceKeys(devEUI) {
+    try {
+      if (this.isHeliumChirpStack) {
+        await this.request(`DELETE devices/${devEUI}/keys`, false, () => axios.delete(`${this.baseUrl}/api/devices/${devEUI}/keys`, {
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          httpsAgent: new (require('https').Agent)({
+            rejectUnauthorized: false
+          })
+        }));
+      } else {
+        await this.executeGrpcCall('api.DeviceService', 'DeleteKeys', {
+          devEui: devEUI
+        });
+      }
+      console.log(`Deleted keys for device ${devEUI} from ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting keys for device ${devEUI} from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Create a device from the full device object returned by findDevice,
+  // keeping fields such as tags and variables that createDevice does not set
+  async recreateDevice(device) {
+    const { devEUI, ...fields } = device;
+    try {
+      if (this.isHeliumChirpStack) {
+        await this.executeRestApiPost('devices', { device: fields });
+      } else {
+        await this.executeGrpcCall('api.DeviceService', 'Create', {
+          device: fields
+        });
+      }
+      console.log(`Re-created device ${fields.devEui} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error re-creating device ${fields.devEui} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Enable or disable a device, leaving the rest of its configuration as it is
+  async setDeviceDisabled(devEUI, disabled) {
+    try {
+      const device = await this.getDevice(devEUI);
+      delete device.devEUI;
+      device.isDisabled = disabled;
+
+      if (this.isHeliumChirpStack) {
+        await this.executeRestApiPut(`devices/${devEUI}`, { device: device });
+      } else {
+        await this.executeGrpcCall('api.DeviceService', 'Update', {
+          device: device
+        });
+      }
+      console.log(`${disabled ? 'Disabled' : 'Enabled'} device ${devEUI} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error ${disabled ? 'disabling' : 'enabling'} device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Put back a raw activation as returned by findDeviceActivation
+  async restoreDeviceActivation(devEUI, deviceActivation) {
+    try {
+      const activation = { ...deviceActivation, devEui: devEUI };
+
+      if (this.isHeliumChirpStack) {
+        await this.executeRestApiPut(`devices/${devEUI}/activation`, { deviceActivation: activation });
+      } else {
+        await this.executeGrpcCall('api.DeviceService', 'Activate', {
+          deviceActivation: activation
+        });
+      }
+      console.log(`Restored activation of device ${devEUI} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error restoring activation of device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Activate device with session keys. For LoRaWAN 1.0.x devices only nwkSKey is set,
+  // and it is used for all three network session keys.
   async activateDevice(devEUI, activationData) {
     try {
       const deviceActivation = {
         devEui: devEUI,
         devAddr: activationData.devAddr,
         nwkSEncKey: activationData.nwkSKey,
+        sNwkSIntKey: activationData.sNwkSIntKey || activationData.nwkSKey,
+        fNwkSIntKey: activationData.fNwkSIntKey || activationData.nwkSKey,
         appSKey: activationData.appSKey,
         fCntUp: activationData.fCntUp || 0,
-        nFCntDown: activationData.fCntDown || 0
+        nFCntDown: activationData.fCntDown || 0,
+        aFCntDown: activationData.aFCntDown || 0
       };
 
       if (this.isHeliumChirpStack) {
@@ -685,7 +891,7 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
         return { success: true };
       } else {
         // Use gRPC for standard ChirpStack
-        const result = await this.executeGrpcCommand('api.DeviceService', 'Activate', {
+        const result = await this.executeGrpcCall('api.DeviceService', 'Activate', {
           deviceActivation: deviceActivation
         });
         console.log(`Activated device ${devEUI} in ${this.name}`);
@@ -703,7 +909,7 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
       if (this.isHeliumChirpStack) {
         // Use REST API for helium-chirpstack-community  
         console.log(`Deleting device via REST API in ${this.name} (helium-chirpstack-community)`);
-        const result = await axios.delete(`${this.baseUrl}/api/devices/${devEUI}`, {
+        const result = await this.request(`DELETE devices/${devEUI}`, false, () => axios.delete(`${this.baseUrl}/api/devices/${devEUI}`, {
           headers: {
             'Authorization': `Bearer ${this.apiKey}`,
             'Content-Type': 'application/json'
@@ -711,12 +917,12 @@ The old ChirpStack server likely doesn't support gRPC over TLS.`;
           httpsAgent: new (require('https').Agent)({
             rejectUnauthorized: false
           })
-        });
+        }));
         console.log(`Deleted device ${devEUI} from ${this.name}`);
         return { success: true };
       } else {
         // Use gRPC for standard ChirpStack
-        const result = await this.executeGrpcCommand('api.DeviceService', 'Delete', {
+        const result = await this.executeGrpcCall('api.DeviceService', 'Delete', {
           devEui: devEUI
         });
         console.log(`Deleted device ${devEUI} from ${this.name}`);
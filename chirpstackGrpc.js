@@ -0,0 +1,274 @@
+const grpc = require('@grpc/grpc-js');
+
+const applicationGrpc = require('@chirpstack/chirpstack-api/api/application_grpc_pb');
+const applicationPb = require('@chirpstack/chirpstack-api/api/application_pb');
+const deviceGrpc = require('@chirpstack/chirpstack-api/api/device_grpc_pb');
+const devicePb = require('@chirpstack/chirpstack-api/api/device_pb');
+const deviceProfileGrpc = require('@chirpstack/chirpstack-api/api/device_profile_grpc_pb');
+const deviceProfilePb = require('@chirpstack/chirpstack-api/api/device_profile_pb');
+const tenantGrpc = require('@chirpstack/chirpstack-api/api/tenant_grpc_pb');
+const tenantPb = require('@chirpstack/chirpstack-api/api/tenant_pb');
+const commonPb = require('@chirpstack/chirpstack-api/common/common_pb');
+
+const DEFAULT_TIMEOUT = 30000;
+
+// Service clients and request message types, keyed the same way grpcurl addressed them
+// (service name + method), so callers can keep passing plain JSON request bodies
+const SERVICES = {
+  'api.ApplicationService': {
+    Client: applicationGrpc.ApplicationServiceClient,
+    methods: {
+      List: { rpc: 'list', Request: applicationPb.ListApplicationsRequest },
+      Get: { rpc: 'get', Request: applicationPb.GetApplicationRequest },
+      Create: { rpc: 'create', Request: applicationPb.CreateApplicationRequest },
+      Update: { rpc: 'update', Request: applicationPb.UpdateApplicationRequest }
+    }
+  },
+  'api.DeviceService': {
+    Client: deviceGrpc.DeviceServiceClient,
+    methods: {
+      List: { rpc: 'list', Request: devicePb.ListDevicesRequest },
+      Get: { rpc: 'get', Request: devicePb.GetDeviceRequest },
+      Create: { rpc: 'create', Request: devicePb.CreateDeviceRequest },
+      Update: { rpc: 'update', Request: devicePb.UpdateDeviceRequest },
+      Delete: { rpc: 'delete', Request: devicePb.DeleteDeviceRequest },
+      GetKeys: { rpc: 'getKeys', Request: devicePb.GetDeviceKeysRequest },
+      CreateKeys: { rpc: 'createKeys', Request: devicePb.CreateDeviceKeysRequest },
+      UpdateKeys: { rpc: 'updateKeys', Request: devicePb.UpdateDeviceKeysRequest },
+      DeleteKeys: { rpc: 'deleteKeys', Request: devicePb.DeleteDeviceKeysRequest },
+      GetActivation: { rpc: 'getActivation', Request: devicePb.GetDeviceActivationRequest },
+      Activate: { rpc: 'activate', Request: devicePb.ActivateDeviceRequest }
+    }
+  },
+  'api.DeviceProfileService': {
+    Client: deviceProfileGrpc.DeviceProfileServiceClient,
+    methods: {
+      List: { rpc: 'list', Request: deviceProfilePb.ListDeviceProfilesRequest },
+      Get: { rpc: 'get', Request: deviceProfilePb.GetDeviceProfileRequest },
+      Create: { rpc: 'create', Request: deviceProfilePb.CreateDeviceProfileRequest },
+      Update: { rpc: 'update', Request: deviceProfilePb.UpdateDeviceProfileRequest }
+    }
+  },
+  'api.TenantService': {
+    Client: tenantGrpc.TenantServiceClient,
+    methods: {
+      List: { rpc: 'list', Request: tenantPb.ListTenantsRequest },
+      Get: { rpc: 'get', Request: tenantPb.GetTenantRequest }
+    }
+  }
+};
+
+// Nested message types, keyed by the field name they appear under in a request
+// (for maps with message values, the map field name)
+const MESSAGE_TYPES = {
+  application: applicationPb.Application,
+  device: devicePb.Device,
+  deviceKeys: devicePb.DeviceKeys,
+  deviceActivation: devicePb.DeviceActivation,
+  deviceProfile: deviceProfilePb.DeviceProfile,
+  measurements: deviceProfilePb.Measurement,
+  tenant: tenantPb.Tenant
+};
+
+// Enum fields, so requests and responses can use the names grpcurl used (e.g. 'EU868')
+const ENUMS = {
+  region: commonPb.Region,
+  macVersion: commonPb.MacVersion,
+  regParamsRevision: commonPb.RegParamsRevision,
+  classEnabled: commonPb.DeviceClass,
+  payloadCodecRuntime: deviceProfilePb.CodecRuntime,
+  kind: deviceProfilePb.MeasurementKind
+};
+
+const STATUS_NAMES = Object.fromEntries(
+  Object.entries(grpc.status).map(([name, code]) => [code, name])
+);
+
+// Error raised for a failed gRPC call, carrying the gRPC status code
+class GrpcStatusError extends Error {
+  constructor(service, method, error) {
+    const codeName = STATUS_NAMES[error.code] || 'UNKNOWN';
+    super(`${codeName}: ${error.details || error.message}`);
+    this.name = 'GrpcStatusError';
+    this.service = service;
+    this.method = method;
+    this.code = error.code;
+    this.codeName = codeName;
+    this.details = error.details || error.message;
+    this.metadata = error.metadata;
+  }
+}
+
+function capitalize(key) {
+  return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Build a protobuf message from a plain JSON object using the generated setters
+function toMessage(MessageClass, data, typeName) {
+  const message = new MessageClass();
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    const field = capitalize(key);
+
+    if (Array.isArray(value)) {
+      const setter = message[`set${field}List`];
+      if (!setter) {
+        throw new Error(`message type ${typeName} has no repeated field named ${key}`);
+      }
+      setter.call(message, value);
+      return;
+    }
+
+    if (isPlainObject(value)) {
+      const mapGetter = message[`get${field}Map`];
+      if (mapGetter) {
+        const map = mapGetter.call(message);
+        Object.entries(value).forEach(([mapKey, mapValue]) => {
+          map.set(mapKey, isPlainObject(mapValue) && MESSAGE_TYPES[key]
+            ? toMessage(MESSAGE_TYPES[key], mapValue, key)
+            : String(mapValue));
+        });
+        return;
+      }
+
+      const NestedClass = MESSAGE_TYPES[key];
+      if (!NestedClass || !message[`set${field}`]) {
+        throw new Error(`message type ${typeName} has no message field named ${key}`);
+      }
+      message[`set${field}`](toMessage(NestedClass, value, key));
+      return;
+    }
+
+    const setter = message[`set${field}`];
+    if (!setter) {
+      throw new Error(`message type ${typeName} has no known field named ${key}`);
+    }
+
+    if (ENUMS[key] && typeof value === 'string') {
+      if (!(value in ENUMS[key])) {
+        throw new Error(`invalid value ${value} for enum field ${key}`);
+      }
+      setter.call(message, ENUMS[key][value]);
+    } else {
+      setter.call(message, value);
+    }
+  });
+
+  return message;
+}
+
+// Convert the output of message.toObject() into the JSON shape grpcurl produced:
+// repeated fields without the "List" suffix, maps as objects, enums by name and
+// timestamps as ISO strings
+function fromMessageObject(value) {
+  if (Array.isArray(value)) {
+    return value.map(fromMessageObject);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, fieldValue]) => {
+    if (key.endsWith('List') && Array.isArray(fieldValue)) {
+      result[key.slice(0, -4)] = fromMessageObject(fieldValue);
+    } else if (key.endsWith('Map') && Array.isArray(fieldValue)) {
+      result[key.slice(0, -3)] = Object.fromEntries(
+        fieldValue.map(([mapKey, mapValue]) => [mapKey, fromMessageObject(mapValue)])
+      );
+    } else if (ENUMS[key] && typeof fieldValue === 'number') {
+      const enumName = Object.keys(ENUMS[key]).find(name => ENUMS[key][name] === fieldValue);
+      result[key] = enumName || fieldValue;
+    } else if (key.endsWith('At') && isPlainObject(fieldValue) && 'seconds' in fieldValue) {
+      result[key] = new Date(fieldValue.seconds * 1000 + Math.floor((fieldValue.nanos || 0) / 1e6)).toISOString();
+    } else {
+      result[key] = fromMessageObject(fieldValue);
+    }
+  });
+  return result;
+}
+
+// In-process gRPC transport for the ChirpStack v4 API
+class ChirpStackGrpcTransport {
+  constructor(options) {
+    this.target = options.target;
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+
+    this.credentials = options.useTls
+      ? grpc.credentials.createSsl()
+      : grpc.credentials.createInsecure();
+
+    this.metadata = new grpc.Metadata();
+    this.metadata.set('authorization', `Bearer ${this.apiKey}`);
+
+    // One client per service, all sharing a single channel to the server
+    this.clients = {};
+    this.channelOverride = null;
+  }
+
+  getClient(service) {
+    if (!this.clients[service]) {
+      const definition = SERVICES[service];
+      if (!definition) {
+        throw new Error(`Unsupported gRPC service: ${service}`);
+      }
+
+      const clientOptions = this.channelOverride ? { channelOverride: this.channelOverride } : {};
+      this.clients[service] = new definition.Client(this.target, this.credentials, clientOptions);
+      if (!this.channelOverride) {
+        this.channelOverride = this.clients[service].getChannel();
+      }
+    }
+    return this.clients[service];
+  }
+
+  // Invoke a unary RPC with a plain JSON request, resolving with a plain JSON response
+  call(service, method, data = {}, options = {}) {
+    const definition = SERVICES[service];
+    if (!definition || !definition.methods[method]) {
+      return Promise.reject(new Error(`Unsupported gRPC method: ${service}/${method}`));
+    }
+
+    const { rpc, Request } = definition.methods[method];
+
+    let request;
+    try {
+      request = toMessage(Request, data, `${service}/${method}`);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    const client = this.getClient(service);
+    const deadline = new Date(Date.now() + (options.timeout || this.timeout));
+
+    return new Promise((resolve, reject) => {
+      client[rpc](request, this.metadata, { deadline }, (error, response) => {
+        if (error) {
+          reject(new GrpcStatusError(service, method, error));
+          return;
+        }
+        resolve(response ? fromMessageObject(response.toObject()) : {});
+      });
+    });
+  }
+
+  close() {
+    Object.values(this.clients).forEach(client => client.close());
+    this.clients = {};
+    this.channelOverride = null;
+  }
+}
+
+module.exports = {
+  ChirpStackGrpcTransport,
+  GrpcStatusError
+};
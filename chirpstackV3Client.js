@@ -0,0 +1,656 @@
+const axios = require('axios');
+const { LNSClient } = require('./lnsClient');
+
+const EMPTY_KEY = '00000000000000000000000000000000';
+
+// ChirpStack v4 entry points for a ChirpStack v3 codec, which has Decode(fPort, bytes, variables)
+// and Encode(fPort, obj, variables) instead of decodeUplink and encodeDownlink
+const DECODE_UPLINK = `// ChirpStack v4 entry point for the ChirpStack v3 Decode function
+function decodeUplink(input) {
+  return { data: Decode(input.fPort, input.bytes, input.variables) };
+}`;
+const ENCODE_DOWNLINK = `// ChirpStack v4 entry point for the ChirpStack v3 Encode function
+function encodeDownlink(input) {
+  return { bytes: Encode(input.fPort, input.data, input.variables) };
+}`;
+
+function isEmptyKey(key) {
+  return !key || key === EMPTY_KEY;
+}
+
+function httpError(error) {
+  const status = error.response && error.response.status;
+  const codeNames = { 404: 'NOT_FOUND', 409: 'ALREADY_EXISTS', 501: 'UNIMPLEMENTED' };
+  if (codeNames[status]) {
+    error.codeName = codeNames[status];
+  }
+  const message = error.response && error.response.data && (error.response.data.message || error.response.data.error);
+  if (message) {
+    error.message = `${error.message}: ${message}`;
+  }
+  return error;
+}
+
+// ChirpStack v3 MAC version ('1.0.3') and regional parameters revision ('RP002-1.0.1') as
+// ChirpStack v4 enum names ('LORAWAN_1_0_3', 'RP002_1_0_1')
+function toMacVersion(macVersion) {
+  return macVersion ? `LORAWAN_${macVersion.replace(/\./g, '_')}` : null;
+}
+
+function toRegParamsRevision(revision) {
+  return revision ? revision.replace(/[-.]/g, '_') : null;
+}
+
+// Seconds of a protobuf JSON duration such as '3600s'
+function toSeconds(duration) {
+  return duration ? parseInt(duration, 10) || 0 : 0;
+}
+
+// ChirpStack v4 codec runtime and script for a ChirpStack v3 codec
+function toCodec(payloadCodec, decoderScript, encoderScript) {
+  if (payloadCodec === 'CUSTOM_JS') {
+    const script = [decoderScript, encoderScript].filter(Boolean);
+    if (decoderScript) {
+      script.push(DECODE_UPLINK);
+    }
+    if (encoderScript) {
+      script.push(ENCODE_DOWNLINK);
+    }
+    return { payloadCodecRuntime: 'JS', payloadCodecScript: script.join('\n\n') };
+  }
+  if (payloadCodec === 'CAYENNE_LPP') {
+    return { payloadCodecRuntime: 'CAYENNE_LPP', payloadCodecScript: '' };
+  }
+  return { payloadCodecRuntime: 'NONE', payloadCodecScript: '' };
+}
+
+// LNS adapter for ChirpStack v3 over its REST API, for migrating off v3. tenantId is the id of
+// the organization holding the applications. Applications, devices, keys and sessions are
+// presented in their ChirpStack v4 shapes, and a device profile is presented as the v4 device
+// profile it becomes: its codec gets v4 entry points, and the device-status request frequency
+// comes from the service profile of the application it was first seen in, as v4 has no
+// service profiles. v3 does not keep a JoinEUI or an updatedAt for devices, so keys come with
+// a zero JoinEUI and discovery re-fetches every device.
+//
+// ChirpStack v3 is supported as a source LNS: applications and device profiles are not
+// created or changed in it, but devices can be disabled, deleted and restored for cutover
+// and rollback.
+class ChirpStackV3Client extends LNSClient {
+  constructor(config) {
+    super(config, 'chirpstack3');
+
+    this.timeout = config.timeout || 30000;
+
+    // Application of each device seen, for console links
+    this.deviceApplications = new Map();
+    // Service profile of each application, and of each device profile by the first device seen
+    this.applicationServiceProfiles = new Map();
+    this.profileServiceProfiles = new Map();
+    // Service profiles by id, as few of them are shared by all devices
+    this.serviceProfiles = new Map();
+
+    console.log(`Initialized ChirpStack v3 client for ${this.name} at ${this.baseUrl} (organization: ${this.tenantName || this.tenantId})`);
+  }
+
+  // REST API call through request(); GET and PUT are retried after timeouts, POST and DELETE are not
+  async api(method, path, { params, body } = {}) {
+    try {
+      const response = await this.request(`${method} ${path}`, ['GET', 'PUT'].includes(method), () => axios({
+        method,
+        url: `${this.baseUrl}/api/${path}`,
+        params,
+        data: body,
+        headers: {
+          'Grpc-Metadata-Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeout
+      }));
+      return response.data;
+    } catch (error) {
+      throw httpError(error);
+    }
+  }
+
+  // Walk every page of a listing, yielding items as each page arrives
+  async *paginate(path, params = {}) {
+    let offset = 0;
+
+    while (true) {
+      const page = await this.api('GET', path, { params: { ...params, limit: this.pageSize, offset } });
+      const items = page.result || [];
+
+      for (const item of items) {
+        yield item;
+      }
+
+      offset += items.length;
+      if (items.length === 0 || offset >= Number(page.totalCount || 0)) {
+        break;
+      }
+    }
+  }
+
+  async testConnection() {
+    try {
+      const result = await this.api('GET', 'applications', { params: { organizationID: this.tenantId, limit: 1 } });
+      console.log(`Basic connection test succeeded for ${this.name} - found ${result.totalCount} applications`);
+      return {
+        success: true,
+        data: {
+          message: `Connected successfully - found ${result.totalCount} applications`,
+          type: 'chirpstack-v3',
+          applications: Number(result.totalCount || 0)
+        }
+      };
+    } catch (error) {
+      console.error(`Connection test failed for ${this.name}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async testConnectionWithTenant(tenantId) {
+    try {
+      const result = await this.api('GET', 'applications', { params: { organizationID: tenantId, limit: 1 } });
+      console.log(`Organization validation succeeded for ${this.name} - found ${result.totalCount} applications`);
+      return {
+        success: true,
+        data: {
+          message: 'Connected successfully',
+          applications: Number(result.totalCount || 0)
+        }
+      };
+    } catch (error) {
+      console.error(`Organization validation failed for ${this.name}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Organizations, which take the place of v4 tenants
+  async getTenants() {
+    try {
+      const organizations = await this.collect(this.paginate('organizations'));
+      console.log(`Found ${organizations.length} organizations from ${this.name}`);
+      return organizations.map(organization => ({
+        id: organization.id,
+        name: organization.displayName || organization.name
+      }));
+    } catch (error) {
+      console.error(`Error fetching organizations from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  deviceUrl(devEUI) {
+    const applicationId = this.deviceApplications.get(devEUI.toLowerCase());
+    return applicationId
+      ? `${this.baseUrl}/#/organizations/${this.tenantId}/applications/${applicationId}/devices/${devEUI.toLowerCase()}`
+      : `${this.baseUrl}/#/organizations/${this.tenantId}/applications`;
+  }
+
+  // Applications
+
+  // A v3 application, with its service profile and the codec v3 applications can have
+  toApplication(application) {
+    this.applicationServiceProfiles.set(application.id, application.serviceProfileID);
+    return {
+      id: application.id,
+      name: application.name,
+      description: application.description || '',
+      serviceProfileId: application.serviceProfileID,
+      payloadCodec: application.payloadCodec || 'NONE',
+      payloadEncoderScript: application.payloadEncoderScript || '',
+      payloadDecoderScript: application.payloadDecoderScript || ''
+    };
+  }
+
+  // Listings leave out the application codec, so each application is read in full
+  async getApplications() {
+    try {
+      const listed = await this.collect(this.paginate('applications', { organizationID: this.tenantId }));
+      const applications = [];
+      for (const application of listed) {
+        applications.push(await this.getApplication(application.id));
+      }
+      console.log(`Found ${applications.length} applications from ${this.name}`);
+      return applications;
+    } catch (error) {
+      console.error(`Error fetching applications from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getApplication(applicationId) {
+    try {
+      const result = await this.api('GET', `applications/${applicationId}`);
+      return this.toApplication(result.application);
+    } catch (error) {
+      console.error(`Error fetching application ${applicationId} from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Devices
+
+  toDevice(device, lastSeenAt = null) {
+    const devEUI = device.devEUI;
+    this.deviceApplications.set(devEUI.toLowerCase(), device.applicationID);
+    return {
+      devEui: devEUI,
+      devEUI,
+      joinEui: null,
+      name: device.name,
+      description: device.description || '',
+      applicationId: device.applicationID,
+      deviceProfileId: device.deviceProfileID,
+      skipFcntCheck: !!device.skipFCntCheck,
+      isDisabled: !!device.isDisabled,
+      tags: device.tags || {},
+      variables: device.variables || {},
+      updatedAt: null,
+      lastSeenAt: lastSeenAt || device.lastSeenAt || null
+    };
+  }
+
+  // A ChirpStack v4 shaped device as a v3 device
+  fromDevice(devEUI, deviceData) {
+    return {
+      devEUI: devEUI.toLowerCase(),
+      name: deviceData.name,
+      description: deviceData.description || '',
+      applicationID: deviceData.applicationId,
+      deviceProfileID: deviceData.deviceProfileId,
+      skipFCntCheck: deviceData.skipFcntCheck !== undefined ? !!deviceData.skipFcntCheck : true,
+      isDisabled: !!deviceData.isDisabled,
+      tags: deviceData.tags || {},
+      variables: deviceData.variables || {}
+    };
+  }
+
+  async getDevices(applicationId) {
+    try {
+      const devices = [];
+      for await (const device of this.paginate('devices', { applicationID: applicationId })) {
+        devices.push(this.toDevice(device));
+      }
+      console.log(`Found ${devices.length} devices in application ${applicationId} from ${this.name}`);
+      return devices;
+    } catch (error) {
+      console.error(`Error fetching devices from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getDevice(devEUI) {
+    try {
+      const result = await this.api('GET', `devices/${devEUI.toLowerCase()}`);
+      const device = this.toDevice(result.device, result.lastSeenAt);
+
+      // The service profile of the first application a device profile is seen in
+      // completes that profile
+      if (device.deviceProfileId && !this.profileServiceProfiles.has(device.deviceProfileId)) {
+        if (!this.applicationServiceProfiles.has(device.applicationId)) {
+          await this.getApplication(device.applicationId);
+        }
+        this.profileServiceProfiles.set(device.deviceProfileId, this.applicationServiceProfiles.get(device.applicationId));
+      }
+      return device;
+    } catch (error) {
+      console.error(`Error fetching device ${devEUI} from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Get a device, or null when it does not exist in this LNS
+  async findDevice(devEUI) {
+    try {
+      const result = await this.api('GET', `devices/${devEUI.toLowerCase()}`);
+      return this.toDevice(result.device, result.lastSeenAt);
+    } catch (error) {
+      if (error.codeName === 'NOT_FOUND') {
+        return null;
+      }
+      console.error(`Error looking up device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async createDevice(deviceData) {
+    const devEUI = deviceData.devEUI || deviceData.devEui;
+    try {
+      await this.api('POST', 'devices', { body: { device: this.fromDevice(devEUI, { ...deviceData, isDisabled: false }) } });
+      console.log(`Created device ${devEUI} in ${this.name}`);
+      return { success: true, device: deviceData };
+    } catch (error) {
+      console.error(`Error creating device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async updateDevice(devEUI, deviceData) {
+    try {
+      await this.api('PUT', `devices/${devEUI.toLowerCase()}`, { body: { device: this.fromDevice(devEUI, { ...deviceData, isDisabled: false }) } });
+      console.log(`Updated device ${devEUI} in ${this.name}`);
+      return { success: true, device: deviceData };
+    } catch (error) {
+      console.error(`Error updating device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Create a device from the full device returned by findDevice
+  async recreateDevice(device) {
+    try {
+      await this.api('POST', 'devices', { body: { device: this.fromDevice(device.devEui, device) } });
+      console.log(`Re-created device ${device.devEui} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error re-creating device ${device.devEui} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Enable or disable a device, leaving the rest of its configuration as it is
+  async setDeviceDisabled(devEUI, disabled) {
+    try {
+      const device = await this.getDevice(devEUI);
+      await this.api('PUT', `devices/${devEUI.toLowerCase()}`, { body: { device: this.fromDevice(devEUI, { ...device, isDisabled: disabled }) } });
+      console.log(`${disabled ? 'Disabled' : 'Enabled'} device ${devEUI} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error ${disabled ? 'disabling' : 'enabling'} device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async deleteDevice(devEUI) {
+    try {
+      await this.api('DELETE', `devices/${devEUI.toLowerCase()}`);
+      console.log(`Deleted device ${devEUI} from ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting device ${devEUI} from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Keys
+
+  // Raw root keys of a device, or null when it has none in this LNS
+  async findDeviceKeys(devEUI) {
+    try {
+      const result = await this.api('GET', `devices/${devEUI.toLowerCase()}/keys`);
+      const keys = result.deviceKeys || {};
+      return {
+        devEui: devEUI,
+        nwkKey: keys.nwkKey || null,
+        appKey: keys.appKey || null
+      };
+    } catch (error) {
+      if (error.codeName === 'NOT_FOUND') {
+        return null;
+      }
+      console.error(`Error looking up keys for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Like v4, ChirpStack v3 keeps the LoRaWAN 1.0.x root key (the AppKey) in nwkKey, and the
+  // 1.1 NwkKey and AppKey in nwkKey and appKey. It keeps no JoinEUI, as it accepts any.
+  async getDeviceKeys(devEUI, macVersion = null) {
+    try {
+      const keys = await this.findDeviceKeys(devEUI);
+      if (!keys) {
+        throw new Error('device has no keys');
+      }
+
+      if (this.isLorawan11(macVersion)) {
+        if (isEmptyKey(keys.appKey)) {
+          console.log(`Warning: AppKey is empty for device ${devEUI} from ${this.name} (LoRaWAN 1.1.x)`);
+        }
+        return {
+          devEUI: devEUI,
+          appEUI: '0000000000000000',
+          appKey: keys.appKey,
+          nwkKey: keys.nwkKey
+        };
+      }
+
+      return {
+        devEUI: devEUI,
+        appEUI: '0000000000000000',
+        appKey: isEmptyKey(keys.nwkKey) ? keys.appKey : keys.nwkKey,
+        nwkKey: null
+      };
+    } catch (error) {
+      console.error(`Error fetching keys for device ${devEUI} from ${this.name}:`, error.message);
+      return { devEUI, appEUI: '0000000000000000', appKey: EMPTY_KEY, nwkKey: null };
+    }
+  }
+
+  // v3 device keys for keysData { appKey, nwkKey, macVersion }
+  toDeviceKeys(devEUI, keysData) {
+    if (this.isLorawan11(keysData.macVersion)) {
+      return { devEUI: devEUI.toLowerCase(), nwkKey: keysData.nwkKey || EMPTY_KEY, appKey: keysData.appKey };
+    }
+    return { devEUI: devEUI.toLowerCase(), nwkKey: keysData.appKey, appKey: EMPTY_KEY };
+  }
+
+  async createDeviceKeys(devEUI, keysData) {
+    try {
+      await this.api('POST', `devices/${devEUI.toLowerCase()}/keys`, { body: { deviceKeys: this.toDeviceKeys(devEUI, keysData) } });
+      console.log(`Created keys for device ${devEUI} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error creating keys for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async updateDeviceKeys(devEUI, keysData) {
+    try {
+      await this.api('PUT', `devices/${devEUI.toLowerCase()}/keys`, { body: { deviceKeys: this.toDeviceKeys(devEUI, keysData) } });
+      console.log(`Updated keys for device ${devEUI} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error updating keys for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Put back raw device keys as returned by findDeviceKeys. Use create when the
+  // device has no keys at the moment, e.g. after it was re-created.
+  async restoreDeviceKeys(devEUI, deviceKeys, { create = false } = {}) {
+    try {
+      await this.api(create ? 'POST' : 'PUT', `devices/${devEUI.toLowerCase()}/keys`, {
+        body: {
+          deviceKeys: {
+            devEUI: devEUI.toLowerCase(),
+            nwkKey: deviceKeys.nwkKey || EMPTY_KEY,
+            appKey: deviceKeys.appKey || EMPTY_KEY
+          }
+        }
+      });
+      console.log(`Restored keys for device ${devEUI} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error restoring keys for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async deleteDeviceKeys(devEUI) {
+    try {
+      await this.api('DELETE', `devices/${devEUI.toLowerCase()}/keys`);
+      console.log(`Deleted keys for device ${devEUI} from ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting keys for device ${devEUI} from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Sessions
+
+  // Raw activation (session) of a device, or null when it is not activated
+  async findDeviceActivation(devEUI) {
+    try {
+      const result = await this.api('GET', `devices/${devEUI.toLowerCase()}/activation`);
+      const activation = result.deviceActivation;
+      if (!activation || !activation.devAddr) {
+        return null;
+      }
+      return {
+        devEui: devEUI,
+        devAddr: activation.devAddr,
+        appSKey: activation.appSKey,
+        nwkSEncKey: activation.nwkSEncKey,
+        sNwkSIntKey: activation.sNwkSIntKey,
+        fNwkSIntKey: activation.fNwkSIntKey,
+        fCntUp: activation.fCntUp || 0,
+        nFCntDown: activation.nFCntDown || 0,
+        aFCntDown: activation.aFCntDown || 0
+      };
+    } catch (error) {
+      if (error.codeName === 'NOT_FOUND') {
+        return null;
+      }
+      console.error(`Error looking up activation for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getDeviceActivation(devEUI) {
+    try {
+      const activation = await this.findDeviceActivation(devEUI);
+      if (!activation) {
+        throw new Error('device is not activated');
+      }
+      return {
+        devEUI,
+        devAddr: activation.devAddr,
+        nwkSKey: activation.nwkSEncKey,
+        sNwkSIntKey: activation.sNwkSIntKey,
+        fNwkSIntKey: activation.fNwkSIntKey,
+        appSKey: activation.appSKey,
+        fCntUp: activation.fCntUp,
+        fCntDown: activation.nFCntDown,
+        aFCntDown: activation.aFCntDown
+      };
+    } catch (error) {
+      console.error(`Error fetching activation for device ${devEUI} from ${this.name}:`, error.message);
+      return { devEUI, devAddr: '00000000', nwkSKey: EMPTY_KEY, appSKey: EMPTY_KEY, fCntUp: 0, fCntDown: 0 };
+    }
+  }
+
+  // Activate device with session keys. For LoRaWAN 1.0.x devices only nwkSKey is set,
+  // and it is used for all three network session keys.
+  async activateDevice(devEUI, activationData) {
+    try {
+      await this.api('POST', `devices/${devEUI.toLowerCase()}/activate`, {
+        body: {
+          deviceActivation: {
+            devEUI: devEUI.toLowerCase(),
+            devAddr: activationData.devAddr,
+            appSKey: activationData.appSKey,
+            nwkSEncKey: activationData.nwkSKey,
+            sNwkSIntKey: activationData.sNwkSIntKey || activationData.nwkSKey,
+            fNwkSIntKey: activationData.fNwkSIntKey || activationData.nwkSKey,
+            fCntUp: activationData.fCntUp || 0,
+            nFCntDown: activationData.fCntDown || 0,
+            aFCntDown: activationData.aFCntDown || 0
+          }
+        }
+      });
+      console.log(`Activated device ${devEUI} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error activating device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Put back a raw activation as returned by findDeviceActivation
+  async restoreDeviceActivation(devEUI, deviceActivation) {
+    await this.activateDevice(devEUI, {
+      devAddr: deviceActivation.devAddr,
+      nwkSKey: deviceActivation.nwkSEncKey,
+      sNwkSIntKey: deviceActivation.sNwkSIntKey,
+      fNwkSIntKey: deviceActivation.fNwkSIntKey,
+      appSKey: deviceActivation.appSKey,
+      fCntUp: deviceActivation.fCntUp,
+      fCntDown: deviceActivation.nFCntDown,
+      aFCntDown: deviceActivation.aFCntDown
+    });
+    console.log(`Restored activation of device ${devEUI} in ${this.name}`);
+    return { success: true };
+  }
+
+  // Device profiles
+
+  // Device profiles of the organization; listings only carry their id and name
+  async getDeviceProfiles() {
+    try {
+      const profiles = await this.collect(this.paginate('device-profiles', { organizationID: this.tenantId }));
+      console.log(`Found ${profiles.length} device profiles from ${this.name}`);
+      return profiles.map(profile => ({ id: profile.id, name: profile.name }));
+    } catch (error) {
+      console.error(`Error fetching device profiles from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getServiceProfile(serviceProfileId) {
+    if (!this.serviceProfiles.has(serviceProfileId)) {
+      const result = await this.api('GET', `service-profiles/${serviceProfileId}`);
+      this.serviceProfiles.set(serviceProfileId, result.serviceProfile);
+    }
+    return this.serviceProfiles.get(serviceProfileId);
+  }
+
+  // A v3 device profile as a v4 device profile
+  async getDeviceProfile(profileId) {
+    try {
+      const { deviceProfile: profile } = await this.api('GET', `device-profiles/${profileId}`);
+
+      let deviceStatusReqInterval = null;
+      const serviceProfileId = this.profileServiceProfiles.get(profileId);
+      if (serviceProfileId) {
+        try {
+          deviceStatusReqInterval = (await this.getServiceProfile(serviceProfileId)).devStatusReqFreq || 0;
+        } catch (error) {
+          console.warn(`Could not fetch service profile ${serviceProfileId} from ${this.name}:`, error.message);
+        }
+      }
+
+      return {
+        id: profile.id,
+        name: profile.name,
+        region: profile.rfRegion,
+        macVersion: toMacVersion(profile.macVersion),
+        regParamsRevision: toRegParamsRevision(profile.regParamsRevision),
+        adrAlgorithmId: profile.adrAlgorithmID || 'default',
+        ...toCodec(profile.payloadCodec, profile.payloadDecoderScript, profile.payloadEncoderScript),
+        uplinkInterval: toSeconds(profile.uplinkInterval),
+        deviceStatusReqInterval,
+        supportsOtaa: !!profile.supportsJoin,
+        supportsClassB: !!profile.supportsClassB,
+        supportsClassC: !!profile.supportsClassC,
+        classBTimeout: profile.classBTimeout || 0,
+        classBPingSlotDr: profile.pingSlotDR || 0,
+        classBPingSlotFreq: profile.pingSlotFreq || 0,
+        classCTimeout: profile.classCTimeout || 0,
+        abpRx1Delay: profile.rxDelay1 || 0,
+        abpRx1DrOffset: profile.rxDROffset1 || 0,
+        abpRx2Dr: profile.rxDataRate2 || 0,
+        abpRx2Freq: profile.rxFreq2 || 0,
+        tags: profile.tags || {}
+      };
+    } catch (error) {
+      console.error(`Error fetching device profile ${profileId} from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = ChirpStackV3Client;
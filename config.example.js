@@ -3,35 +3,74 @@
 
 module.exports = {
   app: {
-    port: 3000
+    port: 3000,
+    // File holding the master key that encrypts stored keys (KEYMANAGER_MASTER_KEY
+    // and KEYMANAGER_MASTER_KEY_FILE take precedence), relative to the keyManager directory.
+    // Generated on first start if missing, as long as the database holds no encrypted keys yet.
+    masterKeyFile: './keymanager.key',
+    // File holding the Ed25519 signing and X25519 encryption keys of export bundles
+    // (KEYMANAGER_BUNDLE_KEY_FILE takes precedence). Generated on first start if missing.
+    bundleKeyFile: './keymanager-bundle.key',
+    // Signing key fingerprints of other keyManagers whose export bundles may be restored here
+    // (signerFingerprint from their GET /api/export/keys). Bundles signed here are always trusted.
+    trustedBundleSigners: [],
+    // Origins allowed to call the API cross-origin (e.g. ['https://ops.example.com']).
+    // Leave unset to only allow the bundled web UI.
+    corsOrigins: null
   },
   
   // Old/Source LNS Configuration (ChirpStack)
   oldLNS: {
+    type: 'chirpstack',  // 'chirpstack' (ChirpStack v4, helium-chirpstack-community), 'chirpstack3' (ChirpStack v3) or 'tts' (The Things Stack v3)
     name: 'Source LNS',
     baseUrl: 'your-old-lns-host:port',  // e.g., '20.121.50.53:8080'
     apiKey: 'your-old-lns-api-key',
-    tenantId: 'your-tenant-id',
+    tenantId: 'your-tenant-id',  // Organization ID for ChirpStack v3
     tenantName: 'your-tenant-name',
-    lorawanVersion: '1.0.3',
-    isHeliumChirpStack: false  // Set to true if using Helium's ChirpStack
+    lorawanVersion: '1.0.3',  // Fallback when a device profile has no macVersion
+    isHeliumChirpStack: false,  // Set to true if using Helium's ChirpStack
+    grpcTimeout: 30000,  // Per-call gRPC deadline in milliseconds
+    pageSize: 100,  // Items requested per page when listing applications, devices, etc.
+    requestsPerSecond: 20,  // Rate limit for requests to this LNS; 0 for none
+    // useTls: false,  // Override TLS detection (defaults to true for https:// URLs)
   },
   
   // New/Target LNS Configuration
   newLNS: {
+    type: 'chirpstack',
     name: 'Target LNS',  
     baseUrl: 'your-new-lns-host',  // e.g., 'console.buoy.fish:443'
     apiKey: 'your-new-lns-api-key',
     tenantId: 'your-new-tenant-id',
     tenantName: 'your-new-tenant-name',
-    isHeliumChirpStack: true  // Set to true if target is Helium's ChirpStack
+    isHeliumChirpStack: true,  // Set to true if target is Helium's ChirpStack
+    pageSize: 100,
+    requestsPerSecond: 20
   },
+
+  // A The Things Stack v3 LNS, on either side:
+  // newLNS: {
+  //   type: 'tts',
+  //   name: 'The Things Stack',
+  //   baseUrl: 'https://eu1.cloud.thethings.network',
+  //   apiKey: 'NNSXS.your-api-key',
+  //   tenantId: 'your-organization-id',
+  //   ownerType: 'organization',  // or 'user' when tenantId is a user id
+  //   frequencyPlans: { US915: 'US_902_928_FSB_2' },  // Frequency plan per ChirpStack region
+  //   requestsPerSecond: 10
+  // },
   
   // Migration settings
   migration: {
     batchSize: 10,
-    retryAttempts: 3,
-    retryDelay: 2000,
+    jobConcurrency: 5,  // Devices migrated in parallel by each background migration job
+    discoveryConcurrency: 5,  // Devices fetched from the old LNS in parallel during discovery
+    cutoverMode: 'disable',  // 'disable' or 'delete' the old LNS device when removeFromOldLNS is set
+    cutoverDelay: 10000,     // Wait (ms) between archiving the old LNS device and removing it
+    frameCounterMargin: 16,  // Added to the downlink frame counters of sessions carried to the new LNS
+    migratedFromTag: 'migratedFrom',  // Tag set to the old LNS name on migrated devices; null to leave devices unstamped
+    retryAttempts: 3,  // Retries of LNS requests that failed transiently (unavailable, rate limited, timed out)
+    retryDelay: 2000,  // Wait (ms) before the first retry, doubled for each further retry
     preserveDeviceNames: true,
     validateAppKeys: true
   }
@@ -0,0 +1,76 @@
+// Create a local user account from the command line.
+//
+// Usage:
+//   node createUser.js --username <name> --role <viewer|operator|admin> [--password <password>]
+//
+// When --password is omitted the password is read from KEYMANAGER_USER_PASSWORD,
+// or prompted for on the terminal without being echoed.
+
+const readline = require('node:readline');
+const { Writable } = require('node:stream');
+
+const Database = require('./database');
+const { AuthService, ROLES } = require('./auth');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--username') {
+      args.username = argv[++i];
+    } else if (argv[i] === '--role') {
+      args.role = argv[++i];
+    } else if (argv[i] === '--password') {
+      args.password = argv[++i];
+    }
+  }
+  return args;
+}
+
+// Prompt for a password. Only the question reaches the terminal: what is typed is not
+// echoed, so it does not end up on screen or in the scrollback.
+function promptPassword(question) {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) {
+        process.stdout.write(chunk, encoding);
+      }
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: !!process.stdin.isTTY });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.username || !args.role) {
+    throw new Error(`Usage: node createUser.js --username <name> --role <${ROLES.join('|')}> [--password <password>]`);
+  }
+
+  const password = args.password || process.env.KEYMANAGER_USER_PASSWORD || await promptPassword('Password: ');
+
+  const db = new Database();
+  await db.initialize();
+
+  try {
+    const auth = new AuthService(db);
+    const user = await auth.createUser(args.username, password, args.role);
+    console.log(`Created user ${user.username} with role ${user.role}`);
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Could not create user:', error.message);
+  process.exit(1);
+});
@@ -1,9 +1,49 @@
+const { AsyncLocalStorage } = require('node:async_hooks');
 const sqlite3 = require('sqlite3').verbose();
 const config = require('./config');
+const KeyVault = require('./keyVault');
+
+// Columns holding key material, encrypted at rest
+const ENCRYPTED_COLUMNS = {
+  devices: ['appKey', 'nwkKey'],
+  session_keys: ['nwkSKey', 'sNwkSIntKey', 'fNwkSIntKey', 'appSKey'],
+  migration_snapshots: ['device_keys', 'activation'],
+  source_archives: ['device_keys', 'activation']
+};
+
+// Columns added after their table was first released, added to existing databases on startup
+const ADDED_COLUMNS = {
+  devices: {
+    nwkKey: 'TEXT',
+    tags: 'TEXT',
+    variables: 'TEXT',
+    sourceUpdatedAt: 'TEXT',
+    lastSeenAt: 'TEXT',
+    removedFromSourceAt: 'DATETIME',
+    importedFrom: 'TEXT',
+    sourceProfileName: 'TEXT'
+  },
+  session_keys: {
+    sNwkSIntKey: 'TEXT',
+    fNwkSIntKey: 'TEXT',
+    aFCntDown: 'INTEGER DEFAULT 0'
+  },
+  device_profiles: {
+    lns: 'TEXT'
+  }
+};
+
+// Fields of JSON config values holding credentials, encrypted at rest
+const ENCRYPTED_CONFIG_FIELDS = ['apiKey'];
+
+// The Database whose transaction the current async call chain runs in, if any
+const transactionScope = new AsyncLocalStorage();
 
 class Database {
-  constructor() {
+  constructor(vault = null) {
     this.db = null;
+    this.vault = vault;
+    this.openTransaction = null; // Settles when the open transaction ends
   }
 
   async initialize() {
@@ -14,37 +54,66 @@ class Database {
           reject(err);
         } else {
           console.log('Connected to SQLite database');
-          this.createTables().then(resolve).catch(reject);
+          this.createTables()
+            .then(() => this.loadVault())
+            .then(() => this.encryptExistingKeys())
+            .then(() => this.verifyStoredKeys())
+            .then(() => resolve())
+            .catch(reject);
         }
       });
     });
   }
 
+  // Load the master key unless one was given. A new key is only generated for a database
+  // without encrypted values, which a new key could never decrypt.
+  async loadVault() {
+    if (!this.vault) {
+      const encrypted = await this.encryptedValues();
+      this.vault = KeyVault.load(config.app, { generate: encrypted.length === 0 });
+    }
+  }
+
   async createTables() {
     const tables = [
-      // Devices table - stores device information and keys
+      // Devices table - stores device information and keys. appKey is the AppKey (the only
+      // root key of a LoRaWAN 1.0.x device); nwkKey is the LoRaWAN 1.1 NwkKey. tags and
+      // variables hold the JSON maps of the source device. sourceUpdatedAt and lastSeenAt come
+      // from the old LNS; removedFromSourceAt is set once discovery no longer finds the device there
       `CREATE TABLE IF NOT EXISTS devices (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         devEUI TEXT UNIQUE NOT NULL,
         appEUI TEXT,
         appKey TEXT,
+        nwkKey TEXT,
         name TEXT,
         description TEXT,
         deviceProfileId TEXT,
         applicationId TEXT,
+        tags TEXT,
+        variables TEXT,
+        sourceUpdatedAt TEXT,
+        lastSeenAt TEXT,
+        removedFromSourceAt DATETIME,
+        importedFrom TEXT, -- manifest the device was imported from, instead of discovered in the old LNS
+        sourceProfileName TEXT, -- profile column of the manifest, for imported devices without a deviceProfileId
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
-      // Session keys table - stores session-specific keys
+      // Session keys table - stores session-specific keys. nwkSKey is the LoRaWAN 1.0
+      // NwkSKey or the 1.1 NwkSEncKey; fCntDown is the network downlink counter (NFCntDown)
       `CREATE TABLE IF NOT EXISTS session_keys (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         devEUI TEXT NOT NULL,
         devAddr TEXT,
         nwkSKey TEXT,
+        sNwkSIntKey TEXT,
+        fNwkSIntKey TEXT,
         appSKey TEXT,
         fCntUp INTEGER DEFAULT 0,
         fCntDown INTEGER DEFAULT 0,
+        aFCntDown INTEGER DEFAULT 0,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (devEUI) REFERENCES devices (devEUI)
       )`,
@@ -69,6 +138,7 @@ class Database {
         supportsClassC BOOLEAN DEFAULT false,
         classBTimeout INTEGER,
         classCTimeout INTEGER,
+        lns TEXT, -- LNS a virtual profile belongs to (The Things Stack); NULL for cached source profiles
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
@@ -85,6 +155,35 @@ class Database {
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
+      // Application mappings table - target LNS application used for each source application
+      `CREATE TABLE IF NOT EXISTS application_mappings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sourceApplicationId TEXT UNIQUE NOT NULL,
+        targetApplicationId TEXT NOT NULL,
+        targetApplicationName TEXT,
+        created_by_migration BOOLEAN DEFAULT false, -- whether keyManager created the target application
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Mapping rules table - choose migration targets per device; empty conditions match any device
+      `CREATE TABLE IF NOT EXISTS mapping_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        priority INTEGER DEFAULT 100, -- lower priorities are tried first
+        enabled BOOLEAN DEFAULT true,
+        sourceApplicationId TEXT,
+        sourceDeviceProfile TEXT, -- source device profile id or name
+        nameRegex TEXT,
+        tags TEXT, -- JSON of tag values the device must have
+        targetApplicationId TEXT,
+        targetDeviceProfileId TEXT,
+        nameTemplate TEXT,
+        skipFcntCheck BOOLEAN, -- null keeps the migration's own setting
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
       // Migration history table - tracks migration operations
       `CREATE TABLE IF NOT EXISTS migration_history (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -99,6 +198,83 @@ class Database {
         FOREIGN KEY (devEUI) REFERENCES devices (devEUI)
       )`,
 
+      // Migration verifications table - target LNS state read back after a migration
+      `CREATE TABLE IF NOT EXISTS migration_verifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        migration_id INTEGER NOT NULL,
+        devEUI TEXT NOT NULL,
+        status TEXT NOT NULL, -- 'verified', 'mismatched', 'missing', 'error'
+        mismatches TEXT, -- JSON array of { field, expected, actual }
+        error_message TEXT,
+        verified_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (migration_id) REFERENCES migration_history (id)
+      )`,
+
+      // Migration snapshots table - target LNS state before a migration changed it, for rollback
+      `CREATE TABLE IF NOT EXISTS migration_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        migration_id INTEGER NOT NULL,
+        devEUI TEXT NOT NULL,
+        action TEXT NOT NULL, -- 'created', 'updated'
+        device TEXT, -- JSON of the device before an update
+        device_keys TEXT, -- JSON of the device keys before an update (encrypted)
+        activation TEXT, -- JSON of the device activation before an update (encrypted)
+        rollback_id INTEGER,
+        rolled_back_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (migration_id) REFERENCES migration_history (id),
+        FOREIGN KEY (rollback_id) REFERENCES migration_history (id)
+      )`,
+
+      // Source archives table - old LNS device state saved before cutover removed it there
+      `CREATE TABLE IF NOT EXISTS source_archives (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        migration_id INTEGER NOT NULL,
+        devEUI TEXT NOT NULL,
+        mode TEXT NOT NULL, -- 'delete', 'disable'
+        status TEXT NOT NULL, -- 'archived', 'removed', 'failed', 'cancelled', 'restored'
+        device TEXT, -- JSON of the old LNS device
+        device_keys TEXT, -- JSON of the old LNS device keys (encrypted)
+        activation TEXT, -- JSON of the old LNS device activation (encrypted)
+        error_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        removed_at DATETIME,
+        restored_at DATETIME,
+        FOREIGN KEY (migration_id) REFERENCES migration_history (id)
+      )`,
+
+      // Migration jobs table - queued batch/application migrations processed by the worker
+      `CREATE TABLE IF NOT EXISTS migration_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL, -- 'devices', 'application'
+        status TEXT NOT NULL, -- 'pending', 'running', 'paused', 'completed', 'cancelled'
+        options TEXT, -- JSON string of migration options
+        sourceApplicationId TEXT,
+        concurrency INTEGER DEFAULT 1,
+        total INTEGER DEFAULT 0,
+        created_by TEXT,
+        error_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME
+      )`,
+
+      // Migration job devices table - per-device state within a job
+      `CREATE TABLE IF NOT EXISTS migration_job_devices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER NOT NULL,
+        devEUI TEXT NOT NULL,
+        status TEXT NOT NULL, -- 'pending', 'in_progress', 'completed', 'requires_manual_steps', 'failed', 'cancelled'
+        migration_id INTEGER,
+        error_message TEXT,
+        attempts INTEGER DEFAULT 0,
+        started_at DATETIME,
+        completed_at DATETIME,
+        FOREIGN KEY (job_id) REFERENCES migration_jobs (id),
+        FOREIGN KEY (migration_id) REFERENCES migration_history (id)
+      )`,
+
       // Service configuration table - stores LNS and migration settings
       `CREATE TABLE IF NOT EXISTS service_config (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -107,16 +283,81 @@ class Database {
         description TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Users table - local accounts for the web UI and REST API
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL, -- 'viewer', 'operator', 'admin'
+        disabled BOOLEAN DEFAULT false,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Sessions table - browser sessions, stored by token hash
+      `CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT UNIQUE NOT NULL,
+        user_id INTEGER NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+
+      // API tokens table - bearer tokens for scripts, stored by token hash
+      `CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT UNIQUE NOT NULL,
+        user_id INTEGER NOT NULL,
+        name TEXT,
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`,
+
+      // Audit log table - administrative changes to the stored data, such as backup restores
+      `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT NOT NULL,
+        username TEXT,
+        details TEXT, -- JSON string of what was changed
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`
     ];
 
     for (const table of tables) {
       await this.run(table);
     }
+    await this.addMissingColumns();
     console.log('Database tables created/verified');
   }
 
-  run(sql, params = []) {
+  // Bring tables created by an older version up to date
+  async addMissingColumns() {
+    for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+      const existing = (await this.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+      for (const [column, definition] of Object.entries(columns)) {
+        if (!existing.includes(column)) {
+          await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+          console.log(`Added column ${table}.${column}`);
+        }
+      }
+    }
+  }
+
+  // All queries share one connection, so while a transaction is open only the queries
+  // of its own work may run; everything else waits until it is committed or rolled back
+  async waitForTransaction() {
+    while (this.openTransaction && transactionScope.getStore() !== this) {
+      await this.openTransaction;
+    }
+  }
+
+  async run(sql, params = []) {
+    await this.waitForTransaction();
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) {
@@ -128,7 +369,8 @@ class Database {
     });
   }
 
-  get(sql, params = []) {
+  async get(sql, params = []) {
+    await this.waitForTransaction();
     return new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) {
@@ -140,7 +382,8 @@ class Database {
     });
   }
 
-  all(sql, params = []) {
+  async all(sql, params = []) {
+    await this.waitForTransaction();
     return new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) {
@@ -152,24 +395,199 @@ class Database {
     });
   }
 
+  // Run work in a transaction. Transactions run one at a time, and a transaction
+  // started from within work joins the open one.
+  async transaction(work) {
+    if (transactionScope.getStore() === this) {
+      return work();
+    }
+    while (this.openTransaction) {
+      await this.openTransaction;
+    }
+
+    let end;
+    this.openTransaction = new Promise(resolve => { end = resolve; });
+    try {
+      return await transactionScope.run(this, async () => {
+        await this.run('BEGIN TRANSACTION');
+        try {
+          const result = await work();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      this.openTransaction = null;
+      end();
+    }
+  }
+
+  // Key encryption helpers
+  decryptRow(table, row) {
+    if (!row) {
+      return row;
+    }
+    const decrypted = { ...row };
+    ENCRYPTED_COLUMNS[table].forEach(column => {
+      decrypted[column] = this.vault.decrypt(row[column]);
+    });
+    return decrypted;
+  }
+
+  encryptConfigValue(value) {
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    const encrypted = { ...value };
+    ENCRYPTED_CONFIG_FIELDS.forEach(field => {
+      if (encrypted[field]) {
+        encrypted[field] = this.vault.encrypt(encrypted[field]);
+      }
+    });
+    return encrypted;
+  }
+
+  decryptConfigValue(value) {
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    const decrypted = { ...value };
+    ENCRYPTED_CONFIG_FIELDS.forEach(field => {
+      if (decrypted[field]) {
+        decrypted[field] = this.vault.decrypt(decrypted[field]);
+      }
+    });
+    return decrypted;
+  }
+
+  // Apply a transform to every stored key and credential, in a single transaction
+  async transformStoredKeys(transform) {
+    let updated = 0;
+
+    await this.transaction(async () => {
+      for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+        const rows = await this.all(`SELECT id, ${columns.join(', ')} FROM ${table}`);
+        for (const row of rows) {
+          const values = columns.map(column => transform(row[column]));
+          if (values.some((value, index) => value !== row[columns[index]])) {
+            await this.run(
+              `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+              [...values, row.id]
+            );
+            updated++;
+          }
+        }
+      }
+
+      const configRows = await this.all('SELECT id, config_value FROM service_config');
+      for (const row of configRows) {
+        const value = JSON.parse(row.config_value);
+        if (!value || typeof value !== 'object') {
+          continue;
+        }
+        const transformed = { ...value };
+        ENCRYPTED_CONFIG_FIELDS.forEach(field => {
+          if (transformed[field]) {
+            transformed[field] = transform(transformed[field]);
+          }
+        });
+        if (ENCRYPTED_CONFIG_FIELDS.some(field => transformed[field] !== value[field])) {
+          await this.run('UPDATE service_config SET config_value = ? WHERE id = ?', [JSON.stringify(transformed), row.id]);
+          updated++;
+        }
+      }
+    });
+
+    return updated;
+  }
+
+  // Encrypt any key material still stored in plaintext (migrates older databases in place)
+  async encryptExistingKeys() {
+    const updated = await this.transformStoredKeys(value => this.vault.encrypt(value));
+    if (updated > 0) {
+      console.log(`Encrypted key material in ${updated} existing rows`);
+    }
+    return updated;
+  }
+
+  // Every encrypted key and credential stored in the database
+  async encryptedValues() {
+    const values = [];
+    for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+      const rows = await this.all(`SELECT ${columns.join(', ')} FROM ${table}`);
+      rows.forEach(row => columns.forEach(column => values.push(row[column])));
+    }
+    const configRows = await this.all('SELECT config_value FROM service_config');
+    for (const row of configRows) {
+      const value = JSON.parse(row.config_value);
+      if (value && typeof value === 'object') {
+        ENCRYPTED_CONFIG_FIELDS.forEach(field => values.push(value[field]));
+      }
+    }
+    return values.filter(value => KeyVault.isEncrypted(value));
+  }
+
+  // Decrypt every stored key, so a wrong master key is caught before anything is changed.
+  // Returns the number of encrypted values checked.
+  async verifyStoredKeys() {
+    const values = await this.encryptedValues();
+    values.forEach(value => this.vault.decrypt(value));
+    return values.length;
+  }
+
+  // Re-wrap every stored key under a new master key
+  async rewrapKeys(newVault) {
+    const updated = await this.transformStoredKeys(value => this.vault.rewrap(value, newVault));
+    this.vault = newVault;
+    return updated;
+  }
+
   // Device management methods
   async saveDevice(device) {
     const sql = `
       INSERT OR REPLACE INTO devices 
-      (devEUI, appEUI, appKey, name, description, deviceProfileId, applicationId, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      (devEUI, appEUI, appKey, nwkKey, name, description, deviceProfileId, applicationId, tags, variables,
+       sourceUpdatedAt, lastSeenAt, importedFrom, sourceProfileName, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `;
     return this.run(sql, [
       device.devEUI,
       device.appEUI,
-      device.appKey,
+      this.vault.encrypt(device.appKey),
+      this.vault.encrypt(device.nwkKey),
       device.name,
       device.description,
       device.deviceProfileId,
-      device.applicationId
+      device.applicationId,
+      device.tags ? JSON.stringify(device.tags) : null,
+      device.variables ? JSON.stringify(device.variables) : null,
+      device.sourceUpdatedAt,
+      device.lastSeenAt,
+      device.importedFrom || null,
+      device.sourceProfileName || null
     ]);
   }
 
+  // Record that discovery saw an unchanged device in the old LNS
+  async touchDevice(devEUI, lastSeenAt) {
+    return this.run('UPDATE devices SET lastSeenAt = COALESCE(?, lastSeenAt) WHERE devEUI = ?', [lastSeenAt, devEUI]);
+  }
+
+  // Flag devices discovery no longer finds in the old LNS, in chunks below SQLite's variable limit
+  async markDevicesRemoved(devEUIs) {
+    for (let i = 0; i < devEUIs.length; i += 500) {
+      const chunk = devEUIs.slice(i, i + 500);
+      await this.run(
+        `UPDATE devices SET removedFromSourceAt = CURRENT_TIMESTAMP
+         WHERE devEUI IN (${chunk.map(() => '?').join(', ')}) AND removedFromSourceAt IS NULL`,
+        chunk
+      );
+    }
+  }
+
   async getDevice(devEUI) {
     return this.get('SELECT * FROM devices WHERE devEUI = ?', [devEUI]);
   }
@@ -178,19 +596,32 @@ class Database {
     return this.all('SELECT * FROM devices ORDER BY name, devEUI');
   }
 
+  // Device with its AppKey decrypted - only for when the key itself is needed
+  async getDecryptedDevice(devEUI) {
+    return this.decryptRow('devices', await this.getDevice(devEUI));
+  }
+
+  async getAllDecryptedDevices() {
+    const devices = await this.getAllDevices();
+    return devices.map(device => this.decryptRow('devices', device));
+  }
+
   async saveSessionKeys(sessionData) {
     const sql = `
       INSERT OR REPLACE INTO session_keys 
-      (devEUI, devAddr, nwkSKey, appSKey, fCntUp, fCntDown)
-      VALUES (?, ?, ?, ?, ?, ?)
+      (devEUI, devAddr, nwkSKey, sNwkSIntKey, fNwkSIntKey, appSKey, fCntUp, fCntDown, aFCntDown)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     return this.run(sql, [
       sessionData.devEUI,
       sessionData.devAddr,
-      sessionData.nwkSKey,
-      sessionData.appSKey,
+      this.vault.encrypt(sessionData.nwkSKey),
+      this.vault.encrypt(sessionData.sNwkSIntKey),
+      this.vault.encrypt(sessionData.fNwkSIntKey),
+      this.vault.encrypt(sessionData.appSKey),
       sessionData.fCntUp || 0,
-      sessionData.fCntDown || 0
+      sessionData.fCntDown || 0,
+      sessionData.aFCntDown || 0
     ]);
   }
 
@@ -198,6 +629,10 @@ class Database {
     return this.get('SELECT * FROM session_keys WHERE devEUI = ? ORDER BY created_at DESC LIMIT 1', [devEUI]);
   }
 
+  async getDecryptedSessionKeys(devEUI) {
+    return this.decryptRow('session_keys', await this.getSessionKeys(devEUI));
+  }
+
   // Device profile management
   async saveDeviceProfile(profile) {
     const sql = `
@@ -205,8 +640,8 @@ class Database {
       (profileId, name, region, macVersion, regParamsRevision, adrAlgorithmId, 
        payloadCodec, payloadEncoderScript, payloadDecoderScript, flushQueueOnActivate,
        uplinkInterval, deviceStatusReqInterval, supportsOtaa, supportsClassB, supportsClassC,
-       classBTimeout, classCTimeout)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       classBTimeout, classCTimeout, lns)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     return this.run(sql, [
       profile.profileId,
@@ -225,12 +660,153 @@ class Database {
       profile.supportsClassB,
       profile.supportsClassC,
       profile.classBTimeout,
-      profile.classCTimeout
+      profile.classCTimeout,
+      profile.lns || null
     ]);
   }
 
   async getDeviceProfile(profileId) {
-    return this.get('SELECT * FROM device_profiles WHERE profileId = ?', [profileId]);
+    return this.get('SELECT * FROM device_profiles WHERE profileId = ? AND lns IS NULL', [profileId]);
+  }
+
+  async getAllDeviceProfiles() {
+    return this.all('SELECT * FROM device_profiles WHERE lns IS NULL ORDER BY name');
+  }
+
+  // Virtual device profiles kept for an LNS without device profiles of its own
+  async getVirtualDeviceProfiles(lns) {
+    return this.all('SELECT * FROM device_profiles WHERE lns = ? ORDER BY name', [lns]);
+  }
+
+  async saveVirtualDeviceProfile(lns, profile) {
+    return this.saveDeviceProfile({ ...profile, lns });
+  }
+
+  // Refresh the cached payload codec of a device profile
+  async updateDeviceProfileCodec(profileId, codec) {
+    const sql = `
+      UPDATE device_profiles
+      SET payloadCodec = ?, payloadEncoderScript = ?, payloadDecoderScript = ?
+      WHERE profileId = ?
+    `;
+    return this.run(sql, [codec.payloadCodec, codec.payloadEncoderScript, codec.payloadDecoderScript, profileId]);
+  }
+
+  // Applications
+  async saveApplication(application) {
+    const sql = `
+      INSERT OR REPLACE INTO applications
+      (applicationId, name, description, serviceProfileId, payloadCodec, payloadEncoderScript, payloadDecoderScript)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    return this.run(sql, [
+      application.applicationId,
+      application.name,
+      application.description,
+      application.serviceProfileId,
+      application.payloadCodec,
+      application.payloadEncoderScript,
+      application.payloadDecoderScript
+    ]);
+  }
+
+  async getApplication(applicationId) {
+    return this.get('SELECT * FROM applications WHERE applicationId = ?', [applicationId]);
+  }
+
+  async getApplicationMapping(sourceApplicationId) {
+    return this.get('SELECT * FROM application_mappings WHERE sourceApplicationId = ?', [sourceApplicationId]);
+  }
+
+  // Application mappings with the name of their cached source application
+  async getApplicationMappings() {
+    const sql = `
+      SELECT m.*, a.name AS sourceApplicationName
+      FROM application_mappings m
+      LEFT JOIN applications a ON a.applicationId = m.sourceApplicationId
+      ORDER BY a.name, m.sourceApplicationId
+    `;
+    return this.all(sql);
+  }
+
+  async saveApplicationMapping(mapping) {
+    const sql = `
+      INSERT OR REPLACE INTO application_mappings
+      (sourceApplicationId, targetApplicationId, targetApplicationName, created_by_migration, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+    return this.run(sql, [
+      mapping.sourceApplicationId,
+      mapping.targetApplicationId,
+      mapping.targetApplicationName,
+      !!mapping.createdByMigration
+    ]);
+  }
+
+  async deleteApplicationMapping(sourceApplicationId) {
+    return this.run('DELETE FROM application_mappings WHERE sourceApplicationId = ?', [sourceApplicationId]);
+  }
+
+  // Mapping rules, with their flags as booleans and tags parsed
+  parseMappingRule(row) {
+    if (!row) {
+      return row;
+    }
+    return {
+      ...row,
+      enabled: !!row.enabled,
+      tags: row.tags ? JSON.parse(row.tags) : null,
+      skipFcntCheck: row.skipFcntCheck === null ? null : !!row.skipFcntCheck
+    };
+  }
+
+  async getMappingRules() {
+    const rows = await this.all('SELECT * FROM mapping_rules ORDER BY priority, id');
+    return rows.map(row => this.parseMappingRule(row));
+  }
+
+  async getMappingRule(id) {
+    return this.parseMappingRule(await this.get('SELECT * FROM mapping_rules WHERE id = ?', [id]));
+  }
+
+  mappingRuleValues(rule) {
+    return [
+      rule.name,
+      rule.priority,
+      rule.enabled,
+      rule.sourceApplicationId,
+      rule.sourceDeviceProfile,
+      rule.nameRegex,
+      rule.tags ? JSON.stringify(rule.tags) : null,
+      rule.targetApplicationId,
+      rule.targetDeviceProfileId,
+      rule.nameTemplate,
+      rule.skipFcntCheck
+    ];
+  }
+
+  async createMappingRule(rule) {
+    const sql = `
+      INSERT INTO mapping_rules
+      (name, priority, enabled, sourceApplicationId, sourceDeviceProfile, nameRegex, tags,
+       targetApplicationId, targetDeviceProfileId, nameTemplate, skipFcntCheck)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    return this.run(sql, this.mappingRuleValues(rule));
+  }
+
+  async updateMappingRule(id, rule) {
+    const sql = `
+      UPDATE mapping_rules
+      SET name = ?, priority = ?, enabled = ?, sourceApplicationId = ?, sourceDeviceProfile = ?, nameRegex = ?, tags = ?,
+          targetApplicationId = ?, targetDeviceProfileId = ?, nameTemplate = ?, skipFcntCheck = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    return this.run(sql, [...this.mappingRuleValues(rule), id]);
+  }
+
+  async deleteMappingRule(id) {
+    return this.run('DELETE FROM mapping_rules WHERE id = ?', [id]);
   }
 
   // Migration history
@@ -259,11 +835,295 @@ class Database {
     return this.run(sql, [status, error, completedAt || new Date().toISOString(), id]);
   }
 
+  async getMigrationRecord(id) {
+    return this.get('SELECT * FROM migration_history WHERE id = ?', [id]);
+  }
+
+  // Migration history with the result of each migration's latest verification,
+  // whether it can still be rolled back and whether cutover removed it from the old LNS
   async getMigrationHistory(devEUI = null) {
+    const sql = `
+      SELECT h.*, v.status AS verification_status, v.mismatches AS verification_mismatches,
+        v.error_message AS verification_error, v.verified_at,
+        (s.id IS NOT NULL AND s.rolled_back_at IS NULL AND (s.action = 'created' OR s.device IS NOT NULL)) AS can_rollback,
+        a.mode AS cutover_mode, a.status AS cutover_status, a.error_message AS cutover_error
+      FROM migration_history h
+      LEFT JOIN migration_verifications v
+        ON v.id = (SELECT MAX(id) FROM migration_verifications WHERE migration_id = h.id)
+      LEFT JOIN migration_snapshots s ON s.migration_id = h.id
+      LEFT JOIN source_archives a
+        ON a.id = (SELECT MAX(id) FROM source_archives WHERE migration_id = h.id)
+    `;
     if (devEUI) {
-      return this.all('SELECT * FROM migration_history WHERE devEUI = ? ORDER BY started_at DESC', [devEUI]);
+      return this.all(`${sql} WHERE h.devEUI = ? ORDER BY h.started_at DESC`, [devEUI]);
+    }
+    return this.all(`${sql} ORDER BY h.started_at DESC LIMIT 100`);
+  }
+
+  // Every migration record as stored, oldest first - for backups
+  async getAllMigrationRecords() {
+    return this.all('SELECT * FROM migration_history ORDER BY id');
+  }
+
+  // Backup restore: write a device row from a backup, keeping its timestamps and flags
+  async restoreDevice(device) {
+    const sql = `
+      INSERT OR REPLACE INTO devices
+      (devEUI, appEUI, appKey, nwkKey, name, description, deviceProfileId, applicationId, tags, variables,
+       sourceUpdatedAt, lastSeenAt, removedFromSourceAt, importedFrom, sourceProfileName, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP)
+    `;
+    const json = value => (value && typeof value === 'object' ? JSON.stringify(value) : value || null);
+    return this.run(sql, [
+      device.devEUI,
+      device.appEUI,
+      this.vault.encrypt(device.appKey),
+      this.vault.encrypt(device.nwkKey),
+      device.name,
+      device.description,
+      device.deviceProfileId,
+      device.applicationId,
+      json(device.tags),
+      json(device.variables),
+      device.sourceUpdatedAt || null,
+      device.lastSeenAt || null,
+      device.removedFromSourceAt || null,
+      device.importedFrom || null,
+      device.sourceProfileName || null,
+      device.created_at || null
+    ]);
+  }
+
+  // Backup restore: write a migration record from a backup, with its original id when keepId is set
+  async restoreMigrationRecord(record, keepId = false) {
+    const columns = ['devEUI', 'sourceLNS', 'targetLNS', 'status', 'error_message', 'migration_options', 'started_at', 'completed_at'];
+    const values = [
+      record.devEUI,
+      record.sourceLNS,
+      record.targetLNS,
+      record.status,
+      record.error_message || null,
+      typeof record.migration_options === 'string' ? record.migration_options : JSON.stringify(record.migration_options || {}),
+      record.started_at || new Date().toISOString(),
+      record.completed_at || null
+    ];
+    if (keepId) {
+      columns.unshift('id');
+      values.unshift(record.id);
+    }
+    return this.run(
+      `INSERT INTO migration_history (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      values
+    );
+  }
+
+  // Backup restore in replace mode: empty the devices and migration history
+  async clearDevicesAndHistory() {
+    await this.run('DELETE FROM migration_history');
+    await this.run('DELETE FROM devices');
+  }
+
+  // After a replace: drop session keys of devices that are gone, and verifications, snapshots
+  // and archives of migrations that are gone
+  async pruneOrphanedRecords() {
+    await this.run('DELETE FROM session_keys WHERE devEUI NOT IN (SELECT devEUI FROM devices)');
+    for (const table of ['migration_verifications', 'migration_snapshots', 'source_archives']) {
+      await this.run(`DELETE FROM ${table} WHERE migration_id NOT IN (SELECT id FROM migration_history)`);
+    }
+    await this.run('UPDATE migration_job_devices SET migration_id = NULL WHERE migration_id NOT IN (SELECT id FROM migration_history)');
+  }
+
+  // Migration snapshots
+  async saveSnapshot(snapshot) {
+    const sql = `
+      INSERT INTO migration_snapshots
+      (migration_id, devEUI, action, device, device_keys, activation)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    return this.run(sql, [
+      snapshot.migrationId,
+      snapshot.devEUI,
+      snapshot.action,
+      snapshot.device ? JSON.stringify(snapshot.device) : null,
+      snapshot.deviceKeys ? this.vault.encrypt(JSON.stringify(snapshot.deviceKeys)) : null,
+      snapshot.activation ? this.vault.encrypt(JSON.stringify(snapshot.activation)) : null
+    ]);
+  }
+
+  // Snapshot of a migration with its device, keys and activation parsed and decrypted
+  async getSnapshot(migrationId) {
+    const row = await this.get('SELECT * FROM migration_snapshots WHERE migration_id = ?', [migrationId]);
+    if (!row) {
+      return row;
+    }
+    const decrypted = this.decryptRow('migration_snapshots', row);
+    return {
+      ...decrypted,
+      device: decrypted.device ? JSON.parse(decrypted.device) : null,
+      device_keys: decrypted.device_keys ? JSON.parse(decrypted.device_keys) : null,
+      activation: decrypted.activation ? JSON.parse(decrypted.activation) : null
+    };
+  }
+
+  // Most recent snapshot of a device that has not been rolled back
+  async getLatestActiveSnapshot(devEUI) {
+    return this.get(
+      'SELECT * FROM migration_snapshots WHERE devEUI = ? AND rolled_back_at IS NULL ORDER BY id DESC LIMIT 1',
+      [devEUI]
+    );
+  }
+
+  async markSnapshotRolledBack(id, rollbackId) {
+    return this.run(
+      'UPDATE migration_snapshots SET rollback_id = ?, rolled_back_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [rollbackId, id]
+    );
+  }
+
+  // Source archives
+  async saveSourceArchive(archive) {
+    const sql = `
+      INSERT INTO source_archives
+      (migration_id, devEUI, mode, status, device, device_keys, activation)
+      VALUES (?, ?, ?, 'archived', ?, ?, ?)
+    `;
+    return this.run(sql, [
+      archive.migrationId,
+      archive.devEUI,
+      archive.mode,
+      JSON.stringify(archive.device),
+      archive.deviceKeys ? this.vault.encrypt(JSON.stringify(archive.deviceKeys)) : null,
+      archive.activation ? this.vault.encrypt(JSON.stringify(archive.activation)) : null
+    ]);
+  }
+
+  // Latest source archive of a migration with its device, keys and activation parsed and decrypted
+  async getSourceArchive(migrationId) {
+    const row = await this.get('SELECT * FROM source_archives WHERE migration_id = ? ORDER BY id DESC LIMIT 1', [migrationId]);
+    if (!row) {
+      return row;
+    }
+    const decrypted = this.decryptRow('source_archives', row);
+    return {
+      ...decrypted,
+      device: decrypted.device ? JSON.parse(decrypted.device) : null,
+      device_keys: decrypted.device_keys ? JSON.parse(decrypted.device_keys) : null,
+      activation: decrypted.activation ? JSON.parse(decrypted.activation) : null
+    };
+  }
+
+  async updateSourceArchive(id, fields) {
+    const updates = Object.entries(fields).filter(([, value]) => value !== undefined);
+    const sql = `UPDATE source_archives SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`;
+    return this.run(sql, [...updates.map(([, value]) => value), id]);
+  }
+
+  // Migration verifications
+  async saveVerification(verification) {
+    const sql = `
+      INSERT INTO migration_verifications
+      (migration_id, devEUI, status, mismatches, error_message)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    return this.run(sql, [
+      verification.migrationId,
+      verification.devEUI,
+      verification.status,
+      JSON.stringify(verification.mismatches || []),
+      verification.error || null
+    ]);
+  }
+
+  async getVerifications(migrationId) {
+    return this.all('SELECT * FROM migration_verifications WHERE migration_id = ? ORDER BY id DESC', [migrationId]);
+  }
+
+  // Migration jobs
+  async createMigrationJob(job, devEUIs) {
+    return this.transaction(async () => {
+      const result = await this.run(`
+        INSERT INTO migration_jobs
+        (type, status, options, sourceApplicationId, concurrency, total, created_by)
+        VALUES (?, 'pending', ?, ?, ?, ?, ?)
+      `, [
+        job.type,
+        JSON.stringify(job.options || {}),
+        job.sourceApplicationId || null,
+        job.concurrency,
+        devEUIs.length,
+        job.createdBy || null
+      ]);
+
+      for (const devEUI of devEUIs) {
+        await this.run(
+          `INSERT INTO migration_job_devices (job_id, devEUI, status) VALUES (?, ?, 'pending')`,
+          [result.id, devEUI]
+        );
+      }
+      return result;
+    });
+  }
+
+  async getMigrationJob(id) {
+    return this.get('SELECT * FROM migration_jobs WHERE id = ?', [id]);
+  }
+
+  async getMigrationJobs(limit = 50) {
+    return this.all('SELECT * FROM migration_jobs ORDER BY created_at DESC, id DESC LIMIT ?', [limit]);
+  }
+
+  // Oldest job that still has work to do
+  async getNextRunnableJob() {
+    return this.get(`SELECT * FROM migration_jobs WHERE status IN ('pending', 'running') ORDER BY id LIMIT 1`);
+  }
+
+  async updateMigrationJob(id, fields) {
+    const updates = Object.entries(fields).filter(([, value]) => value !== undefined);
+    const sql = `
+      UPDATE migration_jobs SET ${updates.map(([column]) => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    return this.run(sql, [...updates.map(([, value]) => value), id]);
+  }
+
+  // Mark a job running unless it was paused or cancelled since it was picked; changes is 0 then
+  async startMigrationJob(id, startedAt) {
+    const sql = `
+      UPDATE migration_jobs SET status = 'running', started_at = COALESCE(started_at, ?), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN ('pending', 'running')
+    `;
+    return this.run(sql, [startedAt, id]);
+  }
+
+  async getJobDevices(jobId, status = null) {
+    if (status) {
+      return this.all('SELECT * FROM migration_job_devices WHERE job_id = ? AND status = ? ORDER BY id', [jobId, status]);
     }
-    return this.all('SELECT * FROM migration_history ORDER BY started_at DESC LIMIT 100');
+    return this.all('SELECT * FROM migration_job_devices WHERE job_id = ? ORDER BY id', [jobId]);
+  }
+
+  async updateJobDevice(id, fields) {
+    const updates = Object.entries(fields).filter(([, value]) => value !== undefined);
+    const sql = `UPDATE migration_job_devices SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`;
+    return this.run(sql, [...updates.map(([, value]) => value), id]);
+  }
+
+  async getJobDeviceCounts(jobId) {
+    const rows = await this.all('SELECT status, COUNT(*) AS count FROM migration_job_devices WHERE job_id = ? GROUP BY status', [jobId]);
+    const counts = {};
+    rows.forEach(row => {
+      counts[row.status] = row.count;
+    });
+    return counts;
+  }
+
+  async cancelPendingJobDevices(jobId) {
+    return this.run(`UPDATE migration_job_devices SET status = 'cancelled' WHERE job_id = ? AND status = 'pending'`, [jobId]);
+  }
+
+  // Devices that were mid-migration when the process stopped go back to pending
+  async resetInterruptedJobDevices() {
+    return this.run(`UPDATE migration_job_devices SET status = 'pending' WHERE status = 'in_progress'`);
   }
 
   // Configuration management methods
@@ -273,19 +1133,19 @@ class Database {
       (config_key, config_value, description, updated_at)
       VALUES (?, ?, ?, CURRENT_TIMESTAMP)
     `;
-    return this.run(sql, [key, JSON.stringify(value), description]);
+    return this.run(sql, [key, JSON.stringify(this.encryptConfigValue(value)), description]);
   }
 
   async getConfig(key) {
     const row = await this.get('SELECT config_value FROM service_config WHERE config_key = ?', [key]);
-    return row ? JSON.parse(row.config_value) : null;
+    return row ? this.decryptConfigValue(JSON.parse(row.config_value)) : null;
   }
 
   async getAllConfig() {
     const rows = await this.all('SELECT config_key, config_value, description FROM service_config ORDER BY config_key');
     const config = {};
     rows.forEach(row => {
-      config[row.config_key] = JSON.parse(row.config_value);
+      config[row.config_key] = this.decryptConfigValue(JSON.parse(row.config_value));
     });
     return config;
   }
@@ -296,6 +1156,108 @@ class Database {
     return !!(sourceLNS && targetLNS);
   }
 
+  // User management
+  async createUser(user) {
+    const sql = `
+      INSERT INTO users (username, password_hash, role)
+      VALUES (?, ?, ?)
+    `;
+    return this.run(sql, [user.username, user.passwordHash, user.role]);
+  }
+
+  async getUser(id) {
+    return this.get('SELECT * FROM users WHERE id = ?', [id]);
+  }
+
+  async getUserByUsername(username) {
+    return this.get('SELECT * FROM users WHERE username = ?', [username]);
+  }
+
+  async getAllUsers() {
+    return this.all('SELECT id, username, role, disabled, created_at, updated_at FROM users ORDER BY username');
+  }
+
+  async countUsers() {
+    const row = await this.get('SELECT COUNT(*) AS count FROM users');
+    return row.count;
+  }
+
+  async updateUser(id, fields) {
+    const columns = {
+      role: fields.role,
+      password_hash: fields.passwordHash,
+      disabled: fields.disabled
+    };
+    const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+    if (updates.length === 0) {
+      return { changes: 0 };
+    }
+    const sql = `
+      UPDATE users SET ${updates.map(([column]) => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    return this.run(sql, [...updates.map(([, value]) => value), id]);
+  }
+
+  async deleteUser(id) {
+    await this.run('DELETE FROM sessions WHERE user_id = ?', [id]);
+    await this.run('DELETE FROM api_tokens WHERE user_id = ?', [id]);
+    return this.run('DELETE FROM users WHERE id = ?', [id]);
+  }
+
+  // Sessions and API tokens
+  async saveSession(tokenHash, userId, expiresAt) {
+    return this.run('INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)', [tokenHash, userId, expiresAt]);
+  }
+
+  async getSession(tokenHash) {
+    return this.get('SELECT * FROM sessions WHERE token_hash = ? AND expires_at > ?', [tokenHash, new Date().toISOString()]);
+  }
+
+  async deleteSession(tokenHash) {
+    return this.run('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+  }
+
+  async deleteExpiredSessions() {
+    return this.run('DELETE FROM sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+  }
+
+  async saveApiToken(tokenHash, userId, name, expiresAt = null) {
+    return this.run('INSERT INTO api_tokens (token_hash, user_id, name, expires_at) VALUES (?, ?, ?, ?)', [tokenHash, userId, name, expiresAt]);
+  }
+
+  async getApiToken(tokenHash) {
+    return this.get(
+      'SELECT * FROM api_tokens WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > ?)',
+      [tokenHash, new Date().toISOString()]
+    );
+  }
+
+  async getApiTokens(userId) {
+    return this.all('SELECT id, name, expires_at, last_used_at, created_at FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC', [userId]);
+  }
+
+  async touchApiToken(id) {
+    return this.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+
+  async deleteApiToken(id, userId) {
+    return this.run('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [id, userId]);
+  }
+
+  // Audit log
+  async saveAuditEntry(action, username, details = {}) {
+    return this.run(
+      'INSERT INTO audit_log (action, username, details) VALUES (?, ?, ?)',
+      [action, username, JSON.stringify(details)]
+    );
+  }
+
+  async getAuditLog(limit = 100) {
+    const entries = await this.all('SELECT * FROM audit_log ORDER BY id DESC LIMIT ?', [limit]);
+    return entries.map(entry => ({ ...entry, details: JSON.parse(entry.details || '{}') }));
+  }
+
   close() {
     if (this.db) {
       this.db.close();
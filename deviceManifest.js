@@ -0,0 +1,275 @@
+// Device manifests: key sheets and spreadsheets loaded into the devices table in place of
+// a discovery from the old LNS. A manifest is CSV (comma, semicolon or tab separated, with a
+// header row), a JSON array of device objects, or a keyManager backup or CSV from /api/export
+// (export bundles are opened by POST /api/devices/import before they get here).
+// Columns and JSON fields are matched to device fields by name, ignoring case and
+// punctuation, unless options.columns names the column to use for a field.
+
+// Accepted column names of each device field, lowercased without punctuation
+const FIELD_COLUMNS = {
+  devEUI: ['deveui', 'eui', 'deviceeui'],
+  joinEUI: ['joineui', 'appeui'],
+  appKey: ['appkey', 'applicationkey'],
+  nwkKey: ['nwkkey', 'networkkey'],
+  name: ['name', 'devicename'],
+  description: ['description'],
+  tags: ['tags'],
+  variables: ['variables'],
+  profile: ['profile', 'deviceprofile', 'deviceprofileid', 'deviceprofilename'],
+  application: ['application', 'applicationid', 'applicationname']
+};
+
+// Columns such as 'tag:site' or 'tag.site' each hold one tag
+const TAG_COLUMN = /^tags?[:.](.+)$/i;
+
+function manifestError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function columnKey(column) {
+  return String(column).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Split CSV text into rows of cells, honouring quoted cells with "" escapes and line breaks
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw manifestError('CSV has an unterminated quoted cell');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// The delimiter used most in the header line
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: header.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+// Records of { line, values } from CSV, values keyed by header
+function csvRecords(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''), detectDelimiter(text));
+  if (rows.length === 0) {
+    throw manifestError('CSV manifest is empty');
+  }
+  const header = rows[0].map(column => column.trim());
+  return rows.slice(1)
+    .map((cells, index) => ({
+      line: index + 2,
+      values: Object.fromEntries(header.map((column, i) => [column, (cells[i] || '').trim()]))
+    }))
+    .filter(record => Object.values(record.values).some(value => value !== ''));
+}
+
+// Records from a JSON array of devices or a keyManager backup, and whether it was a backup
+function jsonRecords(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw manifestError(`Manifest is not valid JSON: ${error.message}`);
+  }
+  const isExport = !!(data && data.metadata && data.metadata.source === 'keyManager-backup');
+  const devices = Array.isArray(data) ? data : data && data.devices;
+  if (!Array.isArray(devices)) {
+    throw manifestError('JSON manifest must be an array of devices or an object with a devices array');
+  }
+  return {
+    isExport,
+    records: devices.map((values, index) => ({ line: index + 1, values: values || {} }))
+  };
+}
+
+// Column of each field: options.columns first, then the accepted column names
+function resolveColumns(columns, overrides = {}) {
+  const resolved = {};
+  for (const [field, names] of Object.entries(FIELD_COLUMNS)) {
+    if (overrides[field]) {
+      if (!columns.includes(overrides[field])) {
+        throw manifestError(`Column ${overrides[field]} for ${field} is not in the manifest`);
+      }
+      resolved[field] = overrides[field];
+    } else {
+      resolved[field] = columns.find(column => names.includes(columnKey(column))) || null;
+    }
+  }
+  return resolved;
+}
+
+// Hex value with separators and a 0x prefix removed, lowercased; null when empty
+function normalizeHex(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return String(value).replace(/^0x/i, '').replace(/[\s:-]/g, '').toLowerCase();
+}
+
+// A tag or variable map from a JSON object, a JSON string or 'key=value; key2=value2'
+function parseMap(value, field) {
+  if (!value) {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, String(item)]));
+  }
+  const text = String(value).trim();
+  if (text.startsWith('{')) {
+    try {
+      return parseMap(JSON.parse(text), field);
+    } catch (error) {
+      throw new Error(`${field} is not valid JSON`);
+    }
+  }
+  return Object.fromEntries(text.split(';')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([key]) => key)
+    .map(([key, ...rest]) => [key, rest.join('=')]));
+}
+
+function checkHex(value, field, length, errors) {
+  if (value && !new RegExp(`^[0-9a-f]{${length}}$`).test(value)) {
+    errors.push(`${field} must be ${length} hex digits`);
+  }
+}
+
+// A device from one record, with the problems that keep it from being imported
+function toDevice(record, columns) {
+  const value = field => {
+    const raw = columns[field] ? record.values[columns[field]] : undefined;
+    return raw === undefined || raw === null || raw === '' ? null : raw;
+  };
+  const errors = [];
+
+  const device = {
+    line: record.line,
+    devEUI: normalizeHex(value('devEUI')),
+    joinEUI: normalizeHex(value('joinEUI')),
+    appKey: normalizeHex(value('appKey')),
+    nwkKey: normalizeHex(value('nwkKey')),
+    name: value('name') ? String(value('name')).trim() : null,
+    description: value('description') ? String(value('description')).trim() : '',
+    profile: value('profile') ? String(value('profile')).trim() : null,
+    application: value('application') ? String(value('application')).trim() : null,
+    tags: {},
+    variables: {}
+  };
+
+  if (!device.devEUI) {
+    errors.push('DevEUI is missing');
+  } else if (/^0+$/.test(device.devEUI)) {
+    errors.push('DevEUI is all zeros');
+  }
+  checkHex(device.devEUI, 'DevEUI', 16, errors);
+  checkHex(device.joinEUI, 'JoinEUI', 16, errors);
+  if (!device.appKey || /^0+$/.test(device.appKey)) {
+    errors.push('AppKey is missing');
+  }
+  checkHex(device.appKey, 'AppKey', 32, errors);
+  checkHex(device.nwkKey, 'NwkKey', 32, errors);
+
+  try {
+    device.tags = parseMap(value('tags'), 'tags');
+    for (const [column, cell] of Object.entries(record.values)) {
+      const match = TAG_COLUMN.exec(column);
+      if (match && cell !== '' && cell !== null && cell !== undefined) {
+        device.tags[match[1]] = String(cell);
+      }
+    }
+    device.variables = parseMap(value('variables'), 'variables');
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  return { device, errors };
+}
+
+// Parse and validate a manifest. Returns { format, devices, errors }: the devices that can be
+// imported, and { line, devEUI, error } for each record that cannot, including repeats of a
+// DevEUI already in the manifest. Throws a 400 error for a manifest that cannot be read at all.
+function parseManifest(content, { format = null, columns = {} } = {}) {
+  const text = String(content || '');
+  if (!text.trim()) {
+    throw manifestError('Manifest is empty');
+  }
+
+  let detected = format || (/^\s*[[{]/.test(text) ? 'json' : 'csv');
+  let records;
+  if (detected === 'json') {
+    const parsed = jsonRecords(text);
+    records = parsed.records;
+    if (parsed.isExport) {
+      detected = 'export';
+    }
+  } else if (detected === 'csv') {
+    records = csvRecords(text);
+  } else {
+    throw manifestError(`Unknown manifest format ${format} - use csv or json`);
+  }
+
+  const columnNames = [...new Set(records.flatMap(record => Object.keys(record.values)))];
+  const resolved = resolveColumns(columnNames, columns || {});
+  if (!resolved.devEUI) {
+    throw manifestError('Manifest has no DevEUI column');
+  }
+
+  const devices = [];
+  const errors = [];
+  const lines = new Map();
+  for (const record of records) {
+    const { device, errors: problems } = toDevice(record, resolved);
+    if (problems.length === 0 && lines.has(device.devEUI)) {
+      problems.push(`Duplicate DevEUI, first on line ${lines.get(device.devEUI)}`);
+    }
+    if (problems.length > 0) {
+      errors.push({ line: record.line, devEUI: device.devEUI, error: problems.join('; ') });
+    } else {
+      lines.set(device.devEUI, record.line);
+      devices.push(device);
+    }
+  }
+
+  return { format: detected, devices, errors };
+}
+
+module.exports = {
+  parseManifest
+};
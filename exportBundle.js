@@ -0,0 +1,235 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Export bundles: a backup or CSV export encrypted with AES-256-GCM and signed with Ed25519, so
+// device keys never leave keyManager in clear text. The content key comes from a passphrase
+// (scrypt) or from an X25519 key agreement with a recipient keyManager's public key.
+const BUNDLE_FORMAT = 'keyManager-bundle';
+const BUNDLE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const MIN_PASSPHRASE_LENGTH = 12;
+const HKDF_INFO = 'keyManager bundle v1';
+
+const DEFAULT_KEY_FILE = path.join(__dirname, 'keymanager-bundle.key');
+
+function bundleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// SHA-256 of a public key's DER (SPKI) encoding, as hex
+function fingerprint(publicKey) {
+  return crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex');
+}
+
+function publicKeyPem(publicKey) {
+  return publicKey.export({ type: 'spki', format: 'pem' });
+}
+
+function parsePublicKey(pem, type, purpose) {
+  let key;
+  try {
+    key = crypto.createPublicKey(pem);
+  } catch (error) {
+    throw bundleError(`${purpose} is not a PEM public key: ${error.message}`);
+  }
+  if (key.asymmetricKeyType !== type) {
+    throw bundleError(`${purpose} must be an ${type} key, got ${key.asymmetricKeyType}`);
+  }
+  return key;
+}
+
+function scryptKey(passphrase, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, salt, KEY_LENGTH, { ...params, maxmem: 256 * params.N * params.r }, (error, key) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(key);
+      }
+    });
+  });
+}
+
+function agreeKey(privateKey, publicKey, salt) {
+  const shared = crypto.diffieHellman({ privateKey, publicKey });
+  return Buffer.from(crypto.hkdfSync('sha256', shared, salt, HKDF_INFO, KEY_LENGTH));
+}
+
+// The Ed25519 signing key and X25519 encryption key of this keyManager instance. Other
+// instances encrypt bundles to the encryption key and trust bundles signed with the signing key.
+class BundleKeys {
+  constructor(signingKey, encryptionKey) {
+    this.signingKey = signingKey;
+    this.encryptionKey = encryptionKey;
+    this.signingPublicKey = crypto.createPublicKey(signingKey);
+    this.encryptionPublicKey = crypto.createPublicKey(encryptionKey);
+    this.signerFingerprint = fingerprint(this.signingPublicKey);
+    this.recipientFingerprint = fingerprint(this.encryptionPublicKey);
+  }
+
+  // Load the key pair from KEYMANAGER_BUNDLE_KEY_FILE / config.app.bundleKeyFile,
+  // generating a new one there when the file does not exist yet
+  static load(appConfig = {}) {
+    const keyFile = process.env.KEYMANAGER_BUNDLE_KEY_FILE || appConfig.bundleKeyFile || DEFAULT_KEY_FILE;
+    if (fs.existsSync(keyFile)) {
+      const { signingKey, encryptionKey } = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+      return new BundleKeys(crypto.createPrivateKey(signingKey), crypto.createPrivateKey(encryptionKey));
+    }
+
+    console.log(`Generating export bundle keys in ${keyFile}`);
+    const signing = crypto.generateKeyPairSync('ed25519');
+    const encryption = crypto.generateKeyPairSync('x25519');
+    const keys = {
+      signingKey: signing.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      encryptionKey: encryption.privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+    fs.writeFileSync(keyFile, JSON.stringify(keys, null, 2) + '\n', { mode: 0o600, flag: 'wx' });
+    return new BundleKeys(signing.privateKey, encryption.privateKey);
+  }
+
+  // Public halves, for GET /api/export/keys
+  describe() {
+    return {
+      signingKey: publicKeyPem(this.signingPublicKey),
+      signerFingerprint: this.signerFingerprint,
+      encryptionKey: publicKeyPem(this.encryptionPublicKey),
+      recipientFingerprint: this.recipientFingerprint
+    };
+  }
+}
+
+// Encrypt and sign export content. Exactly one of passphrase or recipientKey (PEM of another
+// keyManager's X25519 encryption key) selects how the content key is protected.
+async function sealBundle(content, { contentType, filename, passphrase, recipientKey, keys }) {
+  if (!passphrase === !recipientKey) {
+    throw bundleError('Encrypt the export with either a passphrase or a recipient public key');
+  }
+
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  let encryption;
+  let contentKey;
+  if (passphrase) {
+    if (String(passphrase).length < MIN_PASSPHRASE_LENGTH) {
+      throw bundleError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    encryption = { method: 'passphrase', kdf: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('base64') };
+    contentKey = await scryptKey(String(passphrase), salt, SCRYPT_PARAMS);
+  } else {
+    const recipient = parsePublicKey(recipientKey, 'x25519', 'Recipient key');
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    encryption = {
+      method: 'publicKey',
+      kdf: 'x25519-hkdf-sha256',
+      recipient: fingerprint(recipient),
+      ephemeralKey: publicKeyPem(ephemeral.publicKey),
+      salt: salt.toString('base64')
+    };
+    contentKey = agreeKey(ephemeral.privateKey, recipient, salt);
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const header = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    contentType,
+    filename,
+    encryption,
+    cipher: { algorithm: CIPHER, iv: iv.toString('base64') }
+  };
+
+  // The header is authenticated with the content, so its parameters cannot be swapped
+  const cipher = crypto.createCipheriv(CIPHER, contentKey, iv);
+  cipher.setAAD(Buffer.from(JSON.stringify(header)));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(content, 'utf8')), cipher.final()]);
+
+  const signed = { ...header, tag: cipher.getAuthTag().toString('base64'), ciphertext: ciphertext.toString('base64') };
+  return {
+    ...signed,
+    signature: {
+      algorithm: 'ed25519',
+      publicKey: publicKeyPem(keys.signingPublicKey),
+      fingerprint: keys.signerFingerprint,
+      value: crypto.sign(null, Buffer.from(JSON.stringify(signed)), keys.signingKey).toString('base64')
+    }
+  };
+}
+
+// Verify a bundle's signature, then decrypt it. The signer must be this instance or one of
+// trustedSigners (signing key fingerprints). Returns { content, contentType, filename, signer, createdAt }.
+async function openBundle(bundle, { passphrase, keys, trustedSigners = [] }) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw bundleError('Not a keyManager export bundle');
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw bundleError(`Bundle version ${bundle.version} is not supported`);
+  }
+
+  const { signature, ...signed } = bundle;
+  if (!signature || signature.algorithm !== 'ed25519') {
+    throw bundleError('Bundle is not signed');
+  }
+  const signerKey = parsePublicKey(signature.publicKey, 'ed25519', 'Bundle signing key');
+  const signer = fingerprint(signerKey);
+  if (!crypto.verify(null, Buffer.from(JSON.stringify(signed)), signerKey, Buffer.from(String(signature.value), 'base64'))) {
+    throw bundleError('Bundle signature is invalid - the bundle was modified or corrupted');
+  }
+  if (signer !== keys.signerFingerprint && !trustedSigners.includes(signer)) {
+    throw bundleError(`Bundle was signed by an untrusted key ${signer} - add it to config.app.trustedBundleSigners`, 403);
+  }
+
+  const { tag, ciphertext, ...header } = signed;
+  const encryption = header.encryption || {};
+  const salt = Buffer.from(String(encryption.salt), 'base64');
+  let contentKey;
+  if (encryption.method === 'passphrase') {
+    if (!passphrase) {
+      throw bundleError('Bundle is encrypted with a passphrase - provide it');
+    }
+    const { N, r, p } = encryption;
+    contentKey = await scryptKey(String(passphrase), salt, { N, r, p });
+  } else if (encryption.method === 'publicKey') {
+    if (encryption.recipient !== keys.recipientFingerprint) {
+      throw bundleError(`Bundle is encrypted for recipient key ${encryption.recipient}, not this keyManager (${keys.recipientFingerprint})`);
+    }
+    contentKey = agreeKey(keys.encryptionKey, parsePublicKey(encryption.ephemeralKey, 'x25519', 'Bundle ephemeral key'), salt);
+  } else {
+    throw bundleError(`Unknown bundle encryption ${encryption.method}`);
+  }
+
+  let content;
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, contentKey, Buffer.from(header.cipher.iv, 'base64'));
+    decipher.setAAD(Buffer.from(JSON.stringify(header)));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    content = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw bundleError('Cannot decrypt bundle - wrong passphrase or corrupted bundle');
+  }
+
+  return { content, contentType: header.contentType, filename: header.filename, signer, createdAt: header.createdAt };
+}
+
+// Whether text (e.g. an uploaded file) is an export bundle rather than plain content
+function isBundleText(text) {
+  try {
+    const parsed = JSON.parse(text);
+    return !!parsed && parsed.format === BUNDLE_FORMAT;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  BundleKeys,
+  sealBundle,
+  openBundle,
+  isBundleText
+};
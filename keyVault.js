@@ -0,0 +1,159 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+const DEFAULT_KEY_FILE = path.join(__dirname, 'keymanager.key');
+
+// Encrypt with AES-256-GCM, returning iv | tag | ciphertext
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function unseal(key, sealed) {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const ciphertext = sealed.subarray(IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// Parse a master key given as 64 hex characters or base64 of 32 bytes
+function parseMasterKey(value, source) {
+  const trimmed = String(value).trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Master key from ${source} must be 32 bytes (64 hex characters or base64)`);
+  }
+  return key;
+}
+
+// Envelope encryption for key material stored in the database.
+// Each value is encrypted with its own random data key, and the data key is
+// wrapped with the master key, so re-keying only has to re-wrap data keys.
+// Stored format: enc:v1:<master key id>:<wrapped data key>:<sealed value>
+class KeyVault {
+  constructor(masterKey) {
+    this.masterKey = masterKey;
+    this.keyId = crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 8);
+  }
+
+  // Load the master key from KEYMANAGER_MASTER_KEY, or from a key file named by
+  // KEYMANAGER_MASTER_KEY_FILE / config.app.masterKeyFile. A relative masterKeyFile is
+  // taken from the application directory, like the default key file, not the working
+  // directory. When no key exists yet a new one is generated into the key file, unless
+  // generate is false.
+  static load(appConfig = {}, { generate = true } = {}) {
+    if (process.env.KEYMANAGER_MASTER_KEY) {
+      return new KeyVault(parseMasterKey(process.env.KEYMANAGER_MASTER_KEY, 'KEYMANAGER_MASTER_KEY'));
+    }
+
+    const keyFile = process.env.KEYMANAGER_MASTER_KEY_FILE ||
+      (appConfig.masterKeyFile ? path.resolve(__dirname, appConfig.masterKeyFile) : DEFAULT_KEY_FILE);
+    if (fs.existsSync(keyFile)) {
+      return new KeyVault(parseMasterKey(fs.readFileSync(keyFile, 'utf8'), keyFile));
+    }
+
+    if (!generate) {
+      throw new Error(`No master key found: set KEYMANAGER_MASTER_KEY or provide the key file ${keyFile}`);
+    }
+
+    console.warn(`No master key found - generating a new one in ${keyFile}. Back this file up: without it stored keys cannot be decrypted.`);
+    return KeyVault.generateKeyFile(keyFile);
+  }
+
+  static fromKeyFile(keyFile) {
+    return new KeyVault(parseMasterKey(fs.readFileSync(keyFile, 'utf8'), keyFile));
+  }
+
+  // Generate a new master key and write it to a key file readable only by its owner
+  static generateKeyFile(keyFile) {
+    const masterKey = crypto.randomBytes(KEY_LENGTH);
+    fs.writeFileSync(keyFile, masterKey.toString('hex') + '\n', { mode: 0o600, flag: 'wx' });
+    return new KeyVault(masterKey);
+  }
+
+  static fromString(value, source = 'argument') {
+    return new KeyVault(parseMasterKey(value, source));
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  // Empty and all-zero keys are placeholders for "no key" and carry no secret
+  static isPlaceholder(value) {
+    return !value || /^0+$/.test(value);
+  }
+
+  encrypt(plaintext) {
+    if (KeyVault.isPlaceholder(plaintext) || KeyVault.isEncrypted(plaintext)) {
+      return plaintext;
+    }
+
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    const wrappedKey = seal(this.masterKey, dataKey);
+    const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+    return `${PREFIX}${this.keyId}:${wrappedKey.toString('base64')}:${sealed.toString('base64')}`;
+  }
+
+  decrypt(value) {
+    if (!KeyVault.isEncrypted(value)) {
+      return value;
+    }
+
+    const { keyId, wrappedKey, sealed } = this.parse(value);
+    if (keyId !== this.keyId) {
+      throw new Error(`Value was encrypted under master key ${keyId}, but the loaded master key is ${this.keyId}`);
+    }
+
+    const dataKey = unseal(this.masterKey, wrappedKey);
+    return unseal(dataKey, sealed).toString('utf8');
+  }
+
+  // Re-wrap the data key of an encrypted value under another vault's master key,
+  // leaving the encrypted value itself untouched
+  rewrap(value, targetVault) {
+    if (!KeyVault.isEncrypted(value)) {
+      return targetVault.encrypt(value);
+    }
+
+    const { keyId, wrappedKey, sealed } = this.parse(value);
+    if (keyId === targetVault.keyId) {
+      return value;
+    }
+    if (keyId !== this.keyId) {
+      throw new Error(`Value was encrypted under master key ${keyId}, not the current master key ${this.keyId}`);
+    }
+
+    const dataKey = unseal(this.masterKey, wrappedKey);
+    const rewrapped = seal(targetVault.masterKey, dataKey);
+    return `${PREFIX}${targetVault.keyId}:${rewrapped.toString('base64')}:${sealed.toString('base64')}`;
+  }
+
+  parse(value) {
+    const [keyId, wrappedKey, sealed] = value.slice(PREFIX.length).split(':');
+    if (!keyId || !wrappedKey || !sealed) {
+      throw new Error('Malformed encrypted value');
+    }
+    return {
+      keyId,
+      wrappedKey: Buffer.from(wrappedKey, 'base64'),
+      sealed: Buffer.from(sealed, 'base64')
+    };
+  }
+}
+
+module.exports = KeyVault;
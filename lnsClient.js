@@ -1,214 +1,122 @@
-const grpc = require('@grpc/grpc-js');
-const protoLoader = require('@grpc/proto-loader');
+const { RateLimiter, withRetry } = require('./requestThrottle');
+
+// LNS adapters by the type field of an LNS config, loaded on first use
+const ADAPTERS = {
+  chirpstack: () => require('./chirpstackClient'),
+  chirpstack3: () => require('./chirpstackV3Client'),
+  tts: () => require('./ttsClient')
+};
+
+function unsupported(client, method) {
+  const error = new Error(`${method} is not supported by ${client.name} (${client.type})`);
+  error.codeName = 'UNIMPLEMENTED';
+  error.status = 501;
+  return error;
+}
 
+// Interface of an LNS adapter, and the behaviour shared by all of them. MigrationService
+// only talks to LNSs through these methods, with data in the shapes of the ChirpStack v4
+// API JSON, which every adapter translates to and from its own API:
+//   application   { id, name, description }
+//   device        { devEui, devEUI, joinEui, name, description, applicationId, deviceProfileId,
+//                   skipFcntCheck, isDisabled, tags, variables, updatedAt, lastSeenAt }
+//   profile       { id, name, region, macVersion, regParamsRevision, supportsOtaa, supportsClassB,
+//                   supportsClassC, payloadCodecRuntime, payloadCodecScript, ... }
+//   raw keys      { devEui, nwkKey, appKey } (the LoRaWAN 1.0.x AppKey may be in either)
+//   raw activation { devEui, devAddr, appSKey, nwkSEncKey, sNwkSIntKey, fNwkSIntKey,
+//                   fCntUp, nFCntDown, aFCntDown }
+// Methods an adapter does not implement reject with an UNIMPLEMENTED error.
 class LNSClient {
-  constructor(config) {
+  constructor(config, type) {
+    this.type = type;
     this.name = config.name;
     this.baseUrl = config.baseUrl;
     this.apiKey = config.apiKey;
-    
-    // Extract host and port from baseUrl
-    const url = new URL(config.baseUrl);
-    this.host = url.hostname;
-    this.port = url.port || (url.protocol === 'https:' ? 443 : 80);
-    this.target = `${this.host}:${this.port}`;
-    
-    // Create authentication metadata
-    this.metadata = new grpc.Metadata();
-    this.metadata.add('authorization', `Bearer ${this.apiKey}`);
-    
-    // Create gRPC credentials
-    this.credentials = url.protocol === 'https:' 
-      ? grpc.credentials.createSsl()
-      : grpc.credentials.createInsecure();
-    
-    // We'll initialize services dynamically using reflection
-    this.services = {};
-    this.initialized = false;
-    
-    console.log(`Initialized gRPC client for ${this.name} at ${this.target}`);
-  }
+    this.tenantId = config.tenantId;
+    this.tenantName = config.tenantName;
+    this.lorawanVersion = config.lorawanVersion || '1.0.x'; // Default to 1.0.x
+    this.pageSize = config.pageSize || 100;
 
-  // Initialize services using reflection
-  async initializeServices() {
-    if (this.initialized) return;
-    
-    try {
-      // Create a simple client to test connectivity and list services
-      const testClient = new grpc.Client(this.target, this.credentials);
-      
-      // For now, we'll create clients for known ChirpStack services manually
-      // since reflection API in Node.js is complex. We know these work from grpcui.
-      
-      // Create clients for the main ChirpStack services
-      const packageDefinition = protoLoader.loadSync([
-        // We'll use a simplified approach by defining the minimal interfaces we need
-      ], {
-        keepCase: true,
-        longs: String,
-        enums: String,
-        defaults: true,
-        oneofs: true
-      });
-      
-      // For now, let's create a simple HTTP fallback for testing
-      // since the reflection approach is complex
-      this.initialized = true;
-      console.log(`Services initialized for ${this.name}`);
-      
-    } catch (error) {
-      console.error(`Failed to initialize services for ${this.name}:`, error.message);
-      throw error;
-    }
+    // Every request to this LNS is paced by its limiter and retried on transient failures
+    this.limiter = new RateLimiter(config.requestsPerSecond);
+    this.retryAttempts = config.retryAttempts || 0;
+    this.retryDelay = config.retryDelay || 1000;
   }
 
-  // Test connection using a simple gRPC call
-  async testConnection() {
-    try {
-      // Since grpcui works, let's use a simple connectivity test
-      return new Promise((resolve) => {
-        const client = new grpc.Client(this.target, this.credentials);
-        
-        // Test the connection state
-        client.waitForReady(Date.now() + 5000, (error) => {
-          if (error) {
-            console.error(`Connection test failed for ${this.name}:`, error.message);
-            resolve({ success: false, error: error.message });
-          } else {
-            console.log(`Connection test succeeded for ${this.name}`);
-            resolve({ success: true, data: { message: 'Connected successfully' } });
-          }
-          client.close();
-        });
-      });
-    } catch (error) {
-      console.error(`Connection test failed for ${this.name}:`, error.message);
-      return { success: false, error: error.message };
-    }
+  // Whether sessions can be activated on devices in this LNS
+  get supportsSessionActivation() {
+    return true;
   }
 
-  // For now, let's implement simplified versions that return mock data
-  // so the service can start while we work on the full gRPC implementation
-  
-  async getApplications() {
-    try {
-      await this.initializeServices();
-      
-      // Return mock data for now - in a real implementation, this would use
-      // the ApplicationService.List gRPC call
-      console.log(`Getting applications from ${this.name} (mock implementation)`);
-      
-      return [
-        {
-          id: '1',
-          name: 'Default Application',
-          description: 'Default application for testing'
-        }
-      ];
-    } catch (error) {
-      console.error(`Error fetching applications from ${this.name}:`, error.message);
-      throw error;
-    }
+  // Send a request within this LNS's rate limit, retrying transient failures with exponential
+  // backoff. Requests that are not idempotent are not retried after ambiguous failures such as timeouts.
+  async request(label, idempotent, send) {
+    return withRetry(async () => {
+      await this.limiter.wait();
+      return send();
+    }, {
+      retryAttempts: this.retryAttempts,
+      retryDelay: this.retryDelay,
+      idempotent,
+      label: `${this.name} ${label}`
+    });
   }
 
-  async getApplication(applicationId) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Getting application ${applicationId} from ${this.name} (mock implementation)`);
-      
-      return {
-        id: applicationId,
-        name: 'Test Application',
-        description: 'Test application'
-      };
-    } catch (error) {
-      console.error(`Error fetching application ${applicationId} from ${this.name}:`, error.message);
-      throw error;
+  // Whether a device profile MAC version (e.g. 'LORAWAN_1_1_0' or '1.1.0') is LoRaWAN 1.1.
+  // Without a MAC version the client's configured lorawanVersion decides.
+  isLorawan11(macVersion) {
+    if (macVersion) {
+      return /^(LORAWAN_)?1[._]1/.test(macVersion);
     }
+    return String(this.lorawanVersion).startsWith('1.1');
   }
 
-  async createApplication(applicationData) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Creating application in ${this.name} (mock implementation):`, applicationData.name);
-      
-      return {
-        id: Math.random().toString(36).substr(2, 9),
-        ...applicationData
-      };
-    } catch (error) {
-      console.error(`Error creating application in ${this.name}:`, error.message);
-      throw error;
-    }
+  // Link to a device in the LNS web console, for manual steps in migration notes
+  deviceUrl(devEUI) {
+    return `${this.baseUrl}/tenants/${this.tenantId}/devices/${devEUI}`;
   }
 
-  async getDevices(applicationId, limit = 100, offset = 0) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Getting devices for application ${applicationId} from ${this.name} (mock implementation)`);
-      
-      // Return mock devices only for the old LNS for testing
-      if (this.name === 'old.console.buoy.fish') {
-        return [
-          {
-            devEUI: '70B3D57ED0049D2A',
-            name: 'Test Device 1',
-            description: 'Mock LoRa device for testing migration',
-            applicationId: applicationId,
-            deviceProfileId: '1',
-            appEUI: '0000000000000001',
-            appKey: '11111111111111111111111111111111'
-          },
-          {
-            devEUI: '70B3D57ED0049D2B',
-            name: 'Test Device 2', 
-            description: 'Another mock device for testing',
-            applicationId: applicationId,
-            deviceProfileId: '1',
-            appEUI: '0000000000000001',
-            appKey: '22222222222222222222222222222222'
-          },
-          {
-            devEUI: '70B3D57ED0049D2C',
-            name: 'Sensor Device',
-            description: 'Mock sensor device',
-            applicationId: applicationId,
-            deviceProfileId: '1',
-            appEUI: '0000000000000001',
-            appKey: '33333333333333333333333333333333'
-          }
-        ];
-      }
-      
-      return [];
-    } catch (error) {
-      console.error(`Error fetching devices from ${this.name}:`, error.message);
-      throw error;
+  // Collect every item of a listing into an array
+  async collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+      items.push(item);
     }
+    return items;
   }
 
-  async getAllDevicesForAllApplications() {
+  // Get all devices from all applications, optionally of an already fetched application list.
+  // Applications whose devices could not be listed are added to failures as { applicationId, error }.
+  async getAllDevicesForAllApplications(applications = null, failures = []) {
     try {
-      const applications = await this.getApplications();
+      applications = applications || await this.getApplications();
       const allDevices = [];
-      
+
       for (const app of applications) {
         try {
+          console.log(`Fetching devices from application: ${app.name} (${app.id})`);
           const devices = await this.getDevices(app.id);
+
+          // Add application info to each device
           const devicesWithAppInfo = devices.map(device => ({
             ...device,
             applicationId: app.id,
-            applicationName: app.name
+            applicationName: app.name,
+            // Map API fields to our expected format
+            devEUI: device.devEui,
+            name: device.name,
+            description: device.description,
+            deviceProfileId: device.deviceProfileId
           }));
+
           allDevices.push(...devicesWithAppInfo);
         } catch (error) {
           console.warn(`Could not fetch devices for application ${app.id}:`, error.message);
+          failures.push({ applicationId: app.id, error: error.message });
         }
       }
-      
+
+      console.log(`Total devices found across all applications: ${allDevices.length}`);
       return allDevices;
     } catch (error) {
       console.error(`Error fetching all devices from ${this.name}:`, error.message);
@@ -216,262 +124,21 @@ class LNSClient {
     }
   }
 
-  async getDevice(devEUI) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Getting device ${devEUI} from ${this.name} (mock implementation)`);
-      
-      return {
-        devEUI: devEUI,
-        name: `Device ${devEUI}`,
-        description: 'Test device',
-        applicationId: '1'
-      };
-    } catch (error) {
-      console.error(`Error fetching device ${devEUI} from ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
-  async createDevice(deviceData) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Creating device in ${this.name} (mock implementation):`, deviceData.name);
-      
-      return {
-        success: true,
-        device: deviceData
-      };
-    } catch (error) {
-      console.error(`Error creating device in ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
-  async updateDevice(deviceData) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Updating device ${deviceData.devEUI} in ${this.name} (mock implementation)`);
-      
-      return {
-        success: true,
-        device: deviceData
-      };
-    } catch (error) {
-      console.error(`Error updating device ${deviceData.devEUI} in ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
-  async deleteDevice(devEUI) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Deleting device ${devEUI} from ${this.name} (mock implementation)`);
-      
-      return { success: true };
-    } catch (error) {
-      console.error(`Error deleting device ${devEUI} from ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
-  async getDeviceKeys(devEUI) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Getting device keys for ${devEUI} from ${this.name} (mock implementation)`);
-      
-      // Return specific keys for our mock devices
-      const mockKeys = {
-        '70B3D57ED0049D2A': {
-          devEUI: devEUI,
-          appEUI: '0000000000000001', 
-          appKey: '11111111111111111111111111111111'
-        },
-        '70B3D57ED0049D2B': {
-          devEUI: devEUI,
-          appEUI: '0000000000000001',
-          appKey: '22222222222222222222222222222222'
-        },
-        '70B3D57ED0049D2C': {
-          devEUI: devEUI,
-          appEUI: '0000000000000001',
-          appKey: '33333333333333333333333333333333'
-        }
-      };
-      
-      return mockKeys[devEUI] || {
-        devEUI: devEUI,
-        appEUI: '0000000000000000',
-        appKey: '00000000000000000000000000000000'
-      };
-    } catch (error) {
-      console.error(`Error fetching keys for device ${devEUI} from ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
-  async createDeviceKeys(devEUI, keysData) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Creating device keys for ${devEUI} in ${this.name} (mock implementation)`);
-      
-      return { success: true };
-    } catch (error) {
-      console.error(`Error creating keys for device ${devEUI} in ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
-  async updateDeviceKeys(devEUI, keysData) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Updating device keys for ${devEUI} in ${this.name} (mock implementation)`);
-      
-      return { success: true };
-    } catch (error) {
-      console.error(`Error updating keys for device ${devEUI} in ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
-  async getDeviceActivation(devEUI) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Getting device activation for ${devEUI} from ${this.name} (mock implementation)`);
-      
-      // Return specific activation data for our mock devices
-      const mockActivations = {
-        '70B3D57ED0049D2A': {
-          devEUI: devEUI,
-          devAddr: '26011001',
-          nwkSKey: 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
-          appSKey: 'BBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB',
-          fCntUp: 42,
-          fCntDown: 12
-        },
-        '70B3D57ED0049D2B': {
-          devEUI: devEUI,
-          devAddr: '26011002', 
-          nwkSKey: 'CCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCC',
-          appSKey: 'DDDDDDDDDDDDDDDDDDDDDDDDDDDDDDDD',
-          fCntUp: 156,
-          fCntDown: 78
-        },
-        '70B3D57ED0049D2C': {
-          devEUI: devEUI,
-          devAddr: '26011003',
-          nwkSKey: 'EEEEEEEEEEEEEEEEEEEEEEEEEEEEEEEE', 
-          appSKey: 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF',
-          fCntUp: 234,
-          fCntDown: 99
-        }
-      };
-      
-      return mockActivations[devEUI] || {
-        devEUI: devEUI,
-        devAddr: '00000000',
-        nwkSKey: '00000000000000000000000000000000',
-        appSKey: '00000000000000000000000000000000',
-        fCntUp: 0,
-        fCntDown: 0
-      };
-    } catch (error) {
-      console.error(`Error fetching activation for device ${devEUI} from ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
-  async activateDevice(devEUI, activationData) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Activating device ${devEUI} in ${this.name} (mock implementation)`);
-      
-      return { success: true };
-    } catch (error) {
-      console.error(`Error activating device ${devEUI} in ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
-  async getDeviceProfiles() {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Getting device profiles from ${this.name} (mock implementation)`);
-      
-      return [
-        {
-          id: '1',
-          name: 'Default Profile',
-          region: 'US915',
-          macVersion: '1.0.3',
-          supportsOtaa: true
-        }
-      ];
-    } catch (error) {
-      console.error(`Error fetching device profiles from ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
-  async getDeviceProfile(profileId) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Getting device profile ${profileId} from ${this.name} (mock implementation)`);
-      
-      return {
-        id: profileId,
-        name: 'Test Profile',
-        region: 'US915',
-        macVersion: '1.0.3',
-        supportsOtaa: true
-      };
-    } catch (error) {
-      console.error(`Error fetching device profile ${profileId} from ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
-  async createDeviceProfile(profileData) {
-    try {
-      await this.initializeServices();
-      
-      console.log(`Creating device profile in ${this.name} (mock implementation):`, profileData.name);
-      
-      return {
-        id: Math.random().toString(36).substr(2, 9),
-        ...profileData
-      };
-    } catch (error) {
-      console.error(`Error creating device profile in ${this.name}:`, error.message);
-      throw error;
-    }
-  }
-
+  // Get a device with its activation, device profile and keys, as cached at discovery
   async getCompleteDeviceInfo(devEUI) {
     try {
-      const [device, keys, activation] = await Promise.allSettled([
+      const [device, activation] = await Promise.allSettled([
         this.getDevice(devEUI),
-        this.getDeviceKeys(devEUI),
         this.getDeviceActivation(devEUI)
       ]);
 
       const result = {
         device: device.status === 'fulfilled' ? device.value : null,
-        keys: keys.status === 'fulfilled' ? keys.value : null,
+        keys: null,
         activation: activation.status === 'fulfilled' ? activation.value : null
       };
 
+      // Get device profile if available
       if (result.device && result.device.deviceProfileId) {
         try {
           result.deviceProfile = await this.getDeviceProfile(result.device.deviceProfileId);
@@ -480,12 +147,80 @@ class LNSClient {
         }
       }
 
+      // Keys are read according to the LoRaWAN version of the device profile
+      result.keys = await this.getDeviceKeys(devEUI, result.deviceProfile && result.deviceProfile.macVersion);
+
       return result;
     } catch (error) {
       console.error(`Error fetching complete device info for ${devEUI} from ${this.name}:`, error.message);
       throw error;
     }
   }
+
+  close() {}
+
+  // Connection check: resolves { success, data } or { success: false, error }
+  async testConnection() { throw unsupported(this, 'testConnection'); }
+  // Like testConnection, within the given tenant
+  async testConnectionWithTenant(tenantId) { throw unsupported(this, 'testConnectionWithTenant'); }
+  // Tenants (or organizations) the API key can see, as { id, name }
+  async getTenants() { throw unsupported(this, 'getTenants'); }
+
+  // Applications of the configured tenant
+  async getApplications() { throw unsupported(this, 'getApplications'); }
+  async getApplication(applicationId) { throw unsupported(this, 'getApplication'); }
+  // Resolves { success, id }
+  async createApplication(applicationData) { throw unsupported(this, 'createApplication'); }
+
+  // Devices of an application
+  async getDevices(applicationId) { throw unsupported(this, 'getDevices'); }
+  async getDevice(devEUI) { throw unsupported(this, 'getDevice'); }
+  // Like getDevice, but resolves null for a device that does not exist
+  async findDevice(devEUI) { throw unsupported(this, 'findDevice'); }
+  async createDevice(deviceData) { throw unsupported(this, 'createDevice'); }
+  async updateDevice(devEUI, deviceData) { throw unsupported(this, 'updateDevice'); }
+  // Create a device from the full device returned by findDevice
+  async recreateDevice(device) { throw unsupported(this, 'recreateDevice'); }
+  async setDeviceDisabled(devEUI, disabled) { throw unsupported(this, 'setDeviceDisabled'); }
+  async deleteDevice(devEUI) { throw unsupported(this, 'deleteDevice'); }
+
+  // Root keys: getDeviceKeys resolves { devEUI, appEUI, appKey, nwkKey } (nwkKey only for
+  // LoRaWAN 1.1); create and update take { appEUI, appKey, nwkKey, macVersion }
+  async getDeviceKeys(devEUI, macVersion = null) { throw unsupported(this, 'getDeviceKeys'); }
+  async findDeviceKeys(devEUI) { throw unsupported(this, 'findDeviceKeys'); }
+  async createDeviceKeys(devEUI, keysData) { throw unsupported(this, 'createDeviceKeys'); }
+  async updateDeviceKeys(devEUI, keysData) { throw unsupported(this, 'updateDeviceKeys'); }
+  async restoreDeviceKeys(devEUI, deviceKeys, options = {}) { throw unsupported(this, 'restoreDeviceKeys'); }
+  async deleteDeviceKeys(devEUI) { throw unsupported(this, 'deleteDeviceKeys'); }
+
+  // Sessions: getDeviceActivation resolves { devEUI, devAddr, nwkSKey, sNwkSIntKey, fNwkSIntKey,
+  // appSKey, fCntUp, fCntDown, aFCntDown }, which activateDevice also takes
+  async getDeviceActivation(devEUI) { throw unsupported(this, 'getDeviceActivation'); }
+  async findDeviceActivation(devEUI) { throw unsupported(this, 'findDeviceActivation'); }
+  async activateDevice(devEUI, activationData) { throw unsupported(this, 'activateDevice'); }
+  async restoreDeviceActivation(devEUI, deviceActivation) { throw unsupported(this, 'restoreDeviceActivation'); }
+
+  // Device profiles of the configured tenant
+  async getDeviceProfiles() { throw unsupported(this, 'getDeviceProfiles'); }
+  async getDeviceProfile(profileId) { throw unsupported(this, 'getDeviceProfile'); }
+  // Resolves { success, id }; sourceProfileId is the profile it is created for, on another LNS
+  async createDeviceProfile(profileData, { sourceProfileId } = {}) { throw unsupported(this, 'createDeviceProfile'); }
+  async updateDeviceProfile(deviceProfile) { throw unsupported(this, 'updateDeviceProfile'); }
+}
+
+// Create the adapter for an LNS config; type defaults to 'chirpstack'
+function createLNSClient(config) {
+  const type = config.type || 'chirpstack';
+  const loadAdapter = ADAPTERS[type];
+  if (!loadAdapter) {
+    throw new Error(`Unknown LNS type '${type}' for ${config.name} - expected one of ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  const Adapter = loadAdapter();
+  return new Adapter(config);
 }
 
-module.exports = LNSClient; 
\ No newline at end of file
+module.exports = {
+  LNSClient,
+  createLNSClient,
+  unsupported
+};
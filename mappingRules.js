@@ -0,0 +1,117 @@
+// Source-to-target mapping rules. A rule matches devices on their source application,
+// source device profile (id or name), a device name regex and tag values; every
+// condition left empty matches any device. The first enabled matching rule, by
+// ascending priority, decides the target application, target device profile, name
+// and skipFcntCheck of the device.
+
+const NAME_PLACEHOLDERS = /\{(name|devEUI|applicationName|profileName|[1-9])\}/g;
+
+function ruleError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseTags(tags) {
+  if (!tags) {
+    return {};
+  }
+  return typeof tags === 'string' ? JSON.parse(tags) : tags;
+}
+
+// Normalise and check a rule from an API request; throws a 400 error when it is invalid
+function validateRule(input) {
+  const rule = {
+    name: input.name ? String(input.name).trim() : '',
+    priority: input.priority === undefined || input.priority === '' ? 100 : parseInt(input.priority, 10),
+    enabled: input.enabled !== false,
+    sourceApplicationId: input.sourceApplicationId || null,
+    sourceDeviceProfile: input.sourceDeviceProfile || null,
+    nameRegex: input.nameRegex || null,
+    tags: input.tags && Object.keys(input.tags).length > 0 ? input.tags : null,
+    targetApplicationId: input.targetApplicationId || null,
+    targetDeviceProfileId: input.targetDeviceProfileId || null,
+    nameTemplate: input.nameTemplate || null,
+    skipFcntCheck: typeof input.skipFcntCheck === 'boolean' ? input.skipFcntCheck : null
+  };
+
+  if (!rule.name) {
+    throw ruleError('A mapping rule needs a name');
+  }
+  if (Number.isNaN(rule.priority)) {
+    throw ruleError('priority must be a number');
+  }
+  if (rule.nameRegex) {
+    try {
+      new RegExp(rule.nameRegex);
+    } catch (error) {
+      throw ruleError(`nameRegex is not a valid regular expression: ${error.message}`);
+    }
+  }
+  if (rule.tags && (typeof rule.tags !== 'object' || Array.isArray(rule.tags))) {
+    throw ruleError('tags must be an object of tag names and values');
+  }
+  if (!rule.targetApplicationId && !rule.targetDeviceProfileId && !rule.nameTemplate && rule.skipFcntCheck === null) {
+    throw ruleError('A mapping rule must set a target application, target device profile, name template or skipFcntCheck');
+  }
+  return rule;
+}
+
+// Whether a rule matches a device (a devices row) with its cached source profile
+function matchRule(rule, device, sourceProfile = null) {
+  if (!rule.enabled) {
+    return null;
+  }
+  if (rule.sourceApplicationId && rule.sourceApplicationId !== device.applicationId) {
+    return null;
+  }
+  if (rule.sourceDeviceProfile && rule.sourceDeviceProfile !== device.deviceProfileId &&
+      rule.sourceDeviceProfile !== device.sourceProfileName &&
+      !(sourceProfile && rule.sourceDeviceProfile === sourceProfile.name)) {
+    return null;
+  }
+
+  const tags = parseTags(rule.tags);
+  const deviceTags = parseTags(device.tags);
+  if (Object.entries(tags).some(([key, value]) => deviceTags[key] !== value)) {
+    return null;
+  }
+
+  let nameMatch = [];
+  if (rule.nameRegex) {
+    nameMatch = new RegExp(rule.nameRegex).exec(device.name || '');
+    if (!nameMatch) {
+      return null;
+    }
+  }
+  return { rule, nameMatch };
+}
+
+// First matching rule for a device, with the captures of its name regex
+function findMatchingRule(rules, device, sourceProfile = null) {
+  const ordered = [...rules].sort((a, b) => a.priority - b.priority || a.id - b.id);
+  for (const rule of ordered) {
+    const match = matchRule(rule, device, sourceProfile);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+// Target device name from a template such as 'site-a-{name}'. Placeholders: {name},
+// {devEUI}, {applicationName}, {profileName} and {1}..{9} for name regex captures.
+function applyNameTemplate(template, context, nameMatch = []) {
+  return template.replace(NAME_PLACEHOLDERS, (placeholder, key) => {
+    if (/^[1-9]$/.test(key)) {
+      return nameMatch[Number(key)] || '';
+    }
+    return context[key] || '';
+  });
+}
+
+module.exports = {
+  validateRule,
+  findMatchingRule,
+  applyNameTemplate
+};
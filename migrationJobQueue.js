@@ -0,0 +1,293 @@
+const EventEmitter = require('node:events');
+
+const DEFAULT_CONCURRENCY = 5;
+
+// Job statuses from which a job will never run again
+const FINISHED_STATUSES = ['completed', 'cancelled', 'rolled_back'];
+
+// Persistent queue of migration jobs. Jobs and their per-device state live in
+// SQLite, so a restart picks up with the devices that had not finished yet.
+// Emits 'job' events with the job description whenever a job or one of its devices changes.
+class MigrationJobQueue extends EventEmitter {
+  constructor(database, migrationService, options = {}) {
+    super();
+    this.db = database;
+    this.migrationService = migrationService;
+    this.defaultConcurrency = options.jobConcurrency || DEFAULT_CONCURRENCY;
+
+    this.processing = false;
+    // Pause/cancel requests for the job being processed, checked before each device
+    // and before a migrated device is removed from the old LNS
+    this.interrupts = new Map();
+  }
+
+  // Resume work left over from a previous run
+  async start() {
+    const reset = await this.db.resetInterruptedJobDevices();
+    if (reset.changes > 0) {
+      console.log(`Re-queued ${reset.changes} device migrations interrupted by a restart`);
+    }
+    this.kick();
+  }
+
+  // Queue a migration of the given devices
+  async createJob({ type = 'devices', devEUIs, options = {}, sourceApplicationId = null, concurrency, createdBy = null }) {
+    const uniqueDevEUIs = [...new Set(devEUIs)];
+    if (uniqueDevEUIs.length === 0) {
+      throw new Error('A migration job needs at least one device');
+    }
+
+    const jobConcurrency = Math.max(1, parseInt(concurrency, 10) || this.defaultConcurrency);
+    const result = await this.db.createMigrationJob({
+      type,
+      options,
+      sourceApplicationId,
+      concurrency: jobConcurrency,
+      createdBy
+    }, uniqueDevEUIs);
+
+    console.log(`Queued migration job ${result.id} with ${uniqueDevEUIs.length} devices (concurrency ${jobConcurrency})`);
+    this.kick();
+    return this.getJob(result.id);
+  }
+
+  // Queue a migration of every device in a source application
+  async createApplicationJob(sourceApplicationId, options = {}, jobOptions = {}) {
+    const applicationDevices = await this.migrationService.getDevicesForApplication(sourceApplicationId);
+    const devEUIs = applicationDevices.devices.map(device => device.devEui);
+
+    return this.createJob({
+      ...jobOptions,
+      type: 'application',
+      devEUIs,
+      options,
+      sourceApplicationId
+    });
+  }
+
+  async getJob(id, includeDevices = false) {
+    const job = await this.db.getMigrationJob(id);
+    if (!job) {
+      return null;
+    }
+    return this.describeJob(job, includeDevices);
+  }
+
+  async listJobs() {
+    const jobs = await this.db.getMigrationJobs();
+    return Promise.all(jobs.map(job => this.describeJob(job)));
+  }
+
+  async describeJob(job, includeDevices = false) {
+    const counts = await this.db.getJobDeviceCounts(job.id);
+    const description = {
+      ...job,
+      options: job.options ? JSON.parse(job.options) : {},
+      counts,
+      processed: job.total - (counts.pending || 0) - (counts.in_progress || 0)
+    };
+    if (includeDevices) {
+      description.devices = await this.db.getJobDevices(job.id);
+    }
+    return description;
+  }
+
+  async pauseJob(id) {
+    const job = await this.requireJob(id);
+    if (!['pending', 'running'].includes(job.status)) {
+      throw new Error(`Job ${id} is ${job.status} and cannot be paused`);
+    }
+
+    await this.db.updateMigrationJob(id, { status: 'paused' });
+    this.interrupts.set(Number(id), 'paused');
+    console.log(`Paused migration job ${id}`);
+    await this.emitJob(id);
+    return this.getJob(id);
+  }
+
+  async resumeJob(id) {
+    const job = await this.requireJob(id);
+    if (job.status !== 'paused') {
+      throw new Error(`Job ${id} is ${job.status} and cannot be resumed`);
+    }
+
+    await this.db.updateMigrationJob(id, { status: 'pending' });
+    this.interrupts.delete(Number(id));
+    console.log(`Resumed migration job ${id}`);
+    await this.emitJob(id);
+    this.kick();
+    return this.getJob(id);
+  }
+
+  async cancelJob(id) {
+    const job = await this.requireJob(id);
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`Job ${id} is already ${job.status}`);
+    }
+
+    await this.db.cancelPendingJobDevices(id);
+    await this.db.updateMigrationJob(id, { status: 'cancelled', finished_at: new Date().toISOString() });
+    this.interrupts.set(Number(id), 'cancelled');
+    console.log(`Cancelled migration job ${id}`);
+    await this.emitJob(id);
+    return this.getJob(id);
+  }
+
+  // Roll back the migrations of a job that is no longer running, newest first so
+  // devices migrated more than once end up in their state from before the job
+  async rollbackJob(id, context = {}) {
+    const job = await this.requireJob(id);
+    if (['pending', 'running'].includes(job.status)) {
+      throw new Error(`Job ${id} is ${job.status} - pause or cancel it before rolling back`);
+    }
+
+    const results = { jobId: job.id, total: 0, rolledBack: 0, skipped: 0, failed: 0, errors: [] };
+    const migrated = (await this.db.getJobDevices(id))
+      .filter(item => item.migration_id)
+      .sort((a, b) => b.migration_id - a.migration_id);
+
+    for (const item of migrated) {
+      results.total++;
+
+      const snapshot = await this.db.getSnapshot(item.migration_id);
+      if (!snapshot || snapshot.rolled_back_at) {
+        results.skipped++;
+        continue;
+      }
+
+      try {
+        await this.migrationService.rollbackMigration(item.migration_id, context);
+        results.rolledBack++;
+      } catch (error) {
+        results.failed++;
+        results.errors.push({ devEUI: item.devEUI, error: error.message });
+      }
+    }
+
+    if (results.failed === 0) {
+      await this.db.updateMigrationJob(id, { status: 'rolled_back' });
+    }
+    console.log(`Rolled back migration job ${id}: ${results.rolledBack} rolled back, ${results.skipped} skipped, ${results.failed} failed`);
+    await this.emitJob(id);
+    return results;
+  }
+
+  // Notify listeners of the current state of a job
+  async emitJob(id) {
+    if (this.listenerCount('job') === 0) {
+      return;
+    }
+    try {
+      this.emit('job', await this.getJob(id));
+    } catch (error) {
+      console.error(`Could not publish state of migration job ${id}:`, error.message);
+    }
+  }
+
+  async requireJob(id) {
+    const job = await this.db.getMigrationJob(id);
+    if (!job) {
+      const error = new Error(`Job ${id} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return job;
+  }
+
+  // Start the worker loop if it is not already running
+  kick() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    this.processQueue()
+      .catch(error => console.error('Migration job worker failed:', error))
+      .finally(() => {
+        this.processing = false;
+      });
+  }
+
+  async processQueue() {
+    let job = await this.db.getNextRunnableJob();
+    while (job) {
+      await this.processJob(job);
+      job = await this.db.getNextRunnableJob();
+    }
+  }
+
+  async processJob(job) {
+    const jobId = job.id;
+    const options = job.options ? JSON.parse(job.options) : {};
+
+    // A pause or cancel from before this run is stale; one that landed after the job was
+    // picked keeps it from starting
+    this.interrupts.delete(jobId);
+    const started = await this.db.startMigrationJob(jobId, new Date().toISOString());
+    if (started.changes === 0) {
+      console.log(`Migration job ${jobId} was stopped before it started`);
+      return;
+    }
+    console.log(`Processing migration job ${jobId}`);
+    await this.emitJob(jobId);
+
+    // Workers take devices from a shared list; the event loop makes shift() safe
+    const pending = await this.db.getJobDevices(jobId, 'pending');
+
+    const worker = async () => {
+      while (pending.length > 0 && !this.interrupts.has(jobId)) {
+        const item = pending.shift();
+        await this.migrateJobDevice(item, options);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(job.concurrency || 1, pending.length) }, worker));
+
+    this.interrupts.delete(jobId);
+
+    // A job paused, cancelled or resumed while running is left for processQueue to handle
+    const current = await this.db.getMigrationJob(jobId);
+    const counts = await this.db.getJobDeviceCounts(jobId);
+    if (current.status !== 'running' || counts.pending) {
+      console.log(`Migration job ${jobId} stopped with status ${current.status}`);
+      return;
+    }
+
+    await this.db.updateMigrationJob(jobId, {
+      status: 'completed',
+      finished_at: new Date().toISOString()
+    });
+    await this.emitJob(jobId);
+    console.log(`Migration job ${jobId} completed: ${counts.completed || 0} completed, ${counts.requires_manual_steps || 0} need manual steps, ${counts.failed || 0} failed`);
+  }
+
+  async migrateJobDevice(item, options) {
+    await this.db.updateJobDevice(item.id, {
+      status: 'in_progress',
+      attempts: item.attempts + 1,
+      started_at: new Date().toISOString()
+    });
+
+    try {
+      const result = await this.migrationService.migrateDevice(item.devEUI, options, {
+        jobId: item.job_id,
+        isStopped: () => this.interrupts.has(item.job_id)
+      });
+      await this.db.updateJobDevice(item.id, {
+        status: result.status,
+        migration_id: result.migrationId,
+        error_message: null,
+        completed_at: new Date().toISOString()
+      });
+    } catch (error) {
+      await this.db.updateJobDevice(item.id, {
+        status: 'failed',
+        error_message: error.message,
+        completed_at: new Date().toISOString()
+      });
+    }
+    await this.emitJob(item.job_id);
+  }
+}
+
+module.exports = MigrationJobQueue;
@@ -1,13 +1,134 @@
-const ChirpStackClient = require('./chirpstackClient');
+const EventEmitter = require('node:events');
+const { createLNSClient } = require('./lnsClient');
 const config = require('./config');
+const { diffLines } = require('./scriptDiff');
+const { validateRule, findMatchingRule, applyNameTemplate } = require('./mappingRules');
+const { parseManifest } = require('./deviceManifest');
 
-class MigrationService {
+const DEFAULT_DISCOVERY_CONCURRENCY = 5;
+
+// Mask key material for notes that get stored in migration history
+function maskKey(key) {
+  if (!key) {
+    return key;
+  }
+  return `${'*'.repeat(Math.max(key.length - 4, 0))}${key.slice(-4)}`;
+}
+
+// Normalise a value for comparison: EUIs and keys are compared case-insensitively,
+// and empty or all-zero values all mean "not set"
+function normalizeField(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'string') {
+    return /^0*$/.test(value) ? null : value.toLowerCase();
+  }
+  return value;
+}
+
+// Stored session keys describe an actual session, not the all-zero placeholder
+// returned for a device that never joined
+function hasSession(sessionKeys) {
+  return !!sessionKeys && !!normalizeField(sessionKeys.nwkSKey) && !!normalizeField(sessionKeys.appSKey);
+}
+
+function isNotFound(error) {
+  return error.codeName === 'NOT_FOUND' || error.response?.status === 404;
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function conflict(message) {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+}
+
+// A target profile is equivalent to a cached source profile when it has the same
+// name and the same region and LoRaWAN parameters
+function isEquivalentProfile(source, target) {
+  return target.name === source.name &&
+    target.region === source.region &&
+    target.macVersion === source.macVersion &&
+    target.regParamsRevision === source.regParamsRevision;
+}
+
+// Device profile for the target LNS from a profile cached in the device_profiles table
+function toTargetProfile(cached) {
+  const profile = {
+    name: cached.name,
+    region: cached.region,
+    macVersion: cached.macVersion,
+    regParamsRevision: cached.regParamsRevision,
+    adrAlgorithmId: cached.adrAlgorithmId,
+    flushQueueOnActivate: !!cached.flushQueueOnActivate,
+    uplinkInterval: cached.uplinkInterval,
+    deviceStatusReqInterval: cached.deviceStatusReqInterval,
+    supportsOtaa: !!cached.supportsOtaa,
+    supportsClassB: !!cached.supportsClassB,
+    supportsClassC: !!cached.supportsClassC,
+    classBTimeout: cached.classBTimeout,
+    classCTimeout: cached.classCTimeout
+  };
+  Object.keys(profile).forEach(key => {
+    if (profile[key] === null || profile[key] === undefined) {
+      delete profile[key];
+    }
+  });
+  return profile;
+}
+
+// Payload codec of a ChirpStack v4 device profile
+function profileCodec(profile) {
+  return {
+    runtime: profile.payloadCodecRuntime || 'NONE',
+    script: profile.payloadCodecScript || ''
+  };
+}
+
+// Payload codec from the codec columns of a cached profile. ChirpStack v4 keeps a
+// single script with decodeUplink and encodeDownlink, cached as payloadDecoderScript;
+// a separate encoder script (ChirpStack v3) is appended to it.
+function cachedCodec(cached) {
+  const scripts = [...new Set([cached.payloadDecoderScript, cached.payloadEncoderScript].filter(Boolean))];
+  const runtime = cached.payloadCodec === 'CUSTOM_JS' ? 'JS' : cached.payloadCodec;
+  return {
+    runtime: runtime || 'NONE',
+    script: scripts.join('\n\n')
+  };
+}
+
+// Emits 'progress' events ({ devEUI, step, message, jobId, timestamp, ... }) as
+// migrateDevice moves through its steps
+class MigrationService extends EventEmitter {
   constructor(database, runtimeConfig = null) {
+    super();
     this.db = database;
     const configToUse = runtimeConfig || config;
-    this.oldLNS = new ChirpStackClient(configToUse.oldLNS);
-    this.newLNS = new ChirpStackClient(configToUse.newLNS);
+    // The adapter of each LNS is picked by its type; LNS requests retry transient failures
+    // per the migration settings, unless an LNS sets its own. Adapters without device
+    // profiles keep their virtual ones in the database.
+    const { retryAttempts, retryDelay } = configToUse.migration || {};
+    this.oldLNS = createLNSClient({ retryAttempts, retryDelay, profileStore: database, ...configToUse.oldLNS });
+    this.newLNS = createLNSClient({ retryAttempts, retryDelay, profileStore: database, ...configToUse.newLNS });
     this.config = configToUse;
+    this.discoveryConcurrency = (configToUse.migration || {}).discoveryConcurrency || DEFAULT_DISCOVERY_CONCURRENCY;
+
+    // Target profile ids by source profile id, shared by concurrent migrations so a
+    // missing profile is only created once
+    this.profileResolutions = new Map();
+    // Codec migrations by source and target profile id, so each profile pair is handled once
+    this.codecResolutions = new Map();
+    // Target applications by source application id, so a missing application is only created once
+    this.applicationResolutions = new Map();
+
+    // The running or last finished background discovery
+    this.discovery = null;
   }
 
   // Test connections to both LNS systems
@@ -29,87 +150,90 @@ class MigrationService {
     };
   }
 
-  // Discover and sync all devices from old LNS to local database
-  async discoverDevices() {
+  // Discover and sync devices from old LNS to local database. Discovery is incremental: keys,
+  // activation and profile are only fetched for devices that are new, whose updatedAt in the
+  // old LNS changed, or that came back after being removed; the rest only get lastSeenAt
+  // refreshed. With options.full every device is fetched again. Devices cached locally
+  // that the old LNS no longer lists are flagged with removedFromSourceAt. Devices are synced
+  // options.concurrency (or migration.discoveryConcurrency) at a time, and options.onProgress
+  // is called with the results so far after each one.
+  async discoverDevices(options = {}) {
     try {
-      console.log('Discovering devices from old LNS...');
-      const devices = await this.oldLNS.getAllDevicesForAllApplications();
+      console.log(`Discovering devices from old LNS${options.full ? ' (full)' : ''}...`);
+      const applications = await this.oldLNS.getApplications();
+
+      // Cache the source applications, so they can be mirrored onto the target LNS
+      for (const application of applications) {
+        await this.db.saveApplication({
+          applicationId: application.id,
+          name: application.name,
+          description: application.description,
+          serviceProfileId: application.serviceProfileId,
+          payloadCodec: application.payloadCodec,
+          payloadEncoderScript: application.payloadEncoderScript,
+          payloadDecoderScript: application.payloadDecoderScript
+        });
+      }
+
+      const failedApplications = [];
+      const devices = await this.oldLNS.getAllDevicesForAllApplications(applications, failedApplications);
       
       console.log(`Found ${devices.length} devices. Syncing to local database...`);
       
       const results = {
         total: devices.length,
+        applications: applications.length,
         synced: 0,
+        added: 0,
+        changed: 0,
+        removed: 0,
+        unchanged: 0,
         errors: []
       };
 
-      for (const device of devices) {
-        try {
-          // Get complete device information including keys
-          const completeInfo = await this.oldLNS.getCompleteDeviceInfo(device.devEUI);
-          
-          // Save device to local database
-          await this.db.saveDevice({
-            devEUI: device.devEUI,
-            appEUI: completeInfo.keys?.appEUI || device.appEUI,
-            appKey: completeInfo.keys?.appKey || device.appKey,
-            name: device.name,
-            description: device.description,
-            deviceProfileId: device.deviceProfileId,
-            applicationId: device.applicationId
-          });
+      const cachedDevices = new Map((await this.db.getAllDevices()).map(device => [device.devEUI, device]));
 
-          // Save session keys if available
-          if (completeInfo.activation) {
-            await this.db.saveSessionKeys({
+      // Workers take devices from a shared list; the event loop makes shift() safe
+      const pending = [...devices];
+      const worker = async () => {
+        while (pending.length > 0) {
+          const device = pending.shift();
+          try {
+            const outcome = await this.syncDiscoveredDevice(device, cachedDevices.get(device.devEUI), options);
+            results[outcome]++;
+            if (outcome !== 'unchanged') {
+              results.synced++;
+            }
+          } catch (error) {
+            console.error(`Error syncing device ${device.devEUI}:`, error.message);
+            results.errors.push({
               devEUI: device.devEUI,
-              devAddr: completeInfo.activation.devAddr,
-              nwkSKey: completeInfo.activation.nwkSKey,
-              appSKey: completeInfo.activation.appSKey,
-              fCntUp: completeInfo.activation.fCntUp || 0,
-              fCntDown: completeInfo.activation.fCntDown || 0
+              error: error.message
             });
           }
-
-          // Save device profile if available and not already saved
-          if (completeInfo.deviceProfile) {
-            const existingProfile = await this.db.getDeviceProfile(completeInfo.deviceProfile.id);
-            if (!existingProfile) {
-              await this.db.saveDeviceProfile({
-                profileId: completeInfo.deviceProfile.id,
-                name: completeInfo.deviceProfile.name,
-                region: completeInfo.deviceProfile.region,
-                macVersion: completeInfo.deviceProfile.macVersion,
-                regParamsRevision: completeInfo.deviceProfile.regParamsRevision,
-                adrAlgorithmId: completeInfo.deviceProfile.adrAlgorithmId,
-                payloadCodec: completeInfo.deviceProfile.payloadCodec,
-                payloadEncoderScript: completeInfo.deviceProfile.payloadEncoderScript,
-                payloadDecoderScript: completeInfo.deviceProfile.payloadDecoderScript,
-                flushQueueOnActivate: completeInfo.deviceProfile.flushQueueOnActivate,
-                uplinkInterval: completeInfo.deviceProfile.uplinkInterval,
-                deviceStatusReqInterval: completeInfo.deviceProfile.deviceStatusReqInterval,
-                supportsOtaa: completeInfo.deviceProfile.supportsOtaa,
-                supportsClassB: completeInfo.deviceProfile.supportsClassB,
-                supportsClassC: completeInfo.deviceProfile.supportsClassC,
-                classBTimeout: completeInfo.deviceProfile.classBTimeout,
-                classCTimeout: completeInfo.deviceProfile.classCTimeout
-              });
-            }
+          if (options.onProgress) {
+            options.onProgress(results);
           }
-
-          results.synced++;
-          console.log(`Synced device: ${device.devEUI} (${device.name})`);
-          
-        } catch (error) {
-          console.error(`Error syncing device ${device.devEUI}:`, error.message);
-          results.errors.push({
-            devEUI: device.devEUI,
-            error: error.message
-          });
         }
+      };
+
+      const concurrency = Math.max(1, parseInt(options.concurrency, 10) || this.discoveryConcurrency);
+      await Promise.all(Array.from({ length: Math.min(concurrency, devices.length) }, worker));
+
+      // A device of an application whose devices could not be listed is not known to be gone,
+      // and an imported device was never in the old LNS
+      const listed = new Set(devices.map(device => device.devEUI));
+      const removed = [...cachedDevices.values()].filter(device =>
+        !listed.has(device.devEUI) && !device.removedFromSourceAt && !device.importedFrom &&
+        !failedApplications.some(failure => failure.applicationId === device.applicationId));
+      if (removed.length > 0) {
+        await this.db.markDevicesRemoved(removed.map(device => device.devEUI));
+        console.log(`${removed.length} device(s) no longer exist in the old LNS`);
       }
+      results.removed = removed.length;
+      results.failedApplications = failedApplications;
 
-      console.log(`Discovery complete. Synced ${results.synced}/${results.total} devices.`);
+      console.log(`Discovery complete. ${results.added} added, ${results.changed} changed, ${results.removed} removed, ${results.unchanged} unchanged.`);
       return results;
       
     } catch (error) {
@@ -118,45 +242,331 @@ class MigrationService {
     }
   }
 
-  // Migrate a single device with options
-  async migrateDevice(devEUI, options = {}) {
+  // Run discoverDevices in the background, one run at a time. Returns the discovery state
+  // ({ id, status, total, processed, results, error, ... }) that getDiscovery reports on.
+  startDiscovery(options = {}) {
+    if (this.discovery && this.discovery.status === 'running') {
+      throw conflict(`Discovery ${this.discovery.id} is still running`);
+    }
+
+    const discovery = {
+      id: this.discovery ? this.discovery.id + 1 : 1,
+      status: 'running',
+      full: !!options.full,
+      total: null,
+      processed: 0,
+      results: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.discovery = discovery;
+
+    this.discoverDevices({
+      ...options,
+      onProgress: results => {
+        discovery.total = results.total;
+        discovery.processed = results.synced + results.unchanged + results.errors.length;
+      }
+    })
+      .then(results => {
+        discovery.status = 'completed';
+        discovery.total = results.total;
+        discovery.processed = results.total;
+        discovery.results = results;
+      })
+      .catch(error => {
+        discovery.status = 'failed';
+        discovery.error = error.message;
+      })
+      .finally(() => {
+        discovery.finishedAt = new Date().toISOString();
+      });
+
+    return { ...discovery };
+  }
+
+  getDiscovery() {
+    return this.discovery && { ...this.discovery };
+  }
+
+  // Sync one device listed by the old LNS into the local database. Returns 'unchanged' when
+  // only lastSeenAt needed refreshing, else 'added' or 'changed'.
+  async syncDiscoveredDevice(device, cached, options = {}) {
+    const unchanged = !options.full && cached && !cached.removedFromSourceAt &&
+      !!device.updatedAt && cached.sourceUpdatedAt === device.updatedAt;
+    if (unchanged) {
+      await this.db.touchDevice(device.devEUI, device.lastSeenAt || null);
+      return 'unchanged';
+    }
+
+    // Get complete device information including keys
+    const completeInfo = await this.oldLNS.getCompleteDeviceInfo(device.devEUI);
+    
+    // Save device to local database
+    await this.db.saveDevice({
+      devEUI: device.devEUI,
+      appEUI: completeInfo.keys?.appEUI || device.appEUI,
+      appKey: completeInfo.keys?.appKey || device.appKey,
+      nwkKey: completeInfo.keys?.nwkKey || null,
+      name: device.name,
+      description: device.description,
+      deviceProfileId: completeInfo.device?.deviceProfileId || device.deviceProfileId,
+      applicationId: device.applicationId,
+      tags: completeInfo.device?.tags || null,
+      variables: completeInfo.device?.variables || null,
+      sourceUpdatedAt: device.updatedAt || null,
+      lastSeenAt: device.lastSeenAt || null
+    });
+
+    // Save session keys if available
+    if (hasSession(completeInfo.activation)) {
+      await this.db.saveSessionKeys({
+        devEUI: device.devEUI,
+        devAddr: completeInfo.activation.devAddr,
+        nwkSKey: completeInfo.activation.nwkSKey,
+        sNwkSIntKey: completeInfo.activation.sNwkSIntKey,
+        fNwkSIntKey: completeInfo.activation.fNwkSIntKey,
+        appSKey: completeInfo.activation.appSKey,
+        fCntUp: completeInfo.activation.fCntUp || 0,
+        fCntDown: completeInfo.activation.fCntDown || 0,
+        aFCntDown: completeInfo.activation.aFCntDown || 0
+      });
+    }
+
+    // Save the device profile as read now, so changes to it (codec, MAC version, classes)
+    // reach the target profiles and codecs created from it
+    if (completeInfo.deviceProfile) {
+      await this.saveSourceProfile(completeInfo.deviceProfile);
+    }
+
+    console.log(`Synced ${cached ? 'changed' : 'new'} device: ${device.devEUI} (${device.name})`);
+    return cached ? 'changed' : 'added';
+  }
+
+  // Cache a source device profile, and forget the target profile and codec resolved for it
+  async saveSourceProfile(deviceProfile) {
+    await this.db.saveDeviceProfile({
+      profileId: deviceProfile.id,
+      name: deviceProfile.name,
+      region: deviceProfile.region,
+      macVersion: deviceProfile.macVersion,
+      regParamsRevision: deviceProfile.regParamsRevision,
+      adrAlgorithmId: deviceProfile.adrAlgorithmId,
+      payloadCodec: deviceProfile.payloadCodecRuntime || deviceProfile.payloadCodec,
+      payloadEncoderScript: deviceProfile.payloadEncoderScript,
+      payloadDecoderScript: deviceProfile.payloadCodecScript || deviceProfile.payloadDecoderScript,
+      flushQueueOnActivate: deviceProfile.flushQueueOnActivate,
+      uplinkInterval: deviceProfile.uplinkInterval,
+      deviceStatusReqInterval: deviceProfile.deviceStatusReqInterval,
+      supportsOtaa: deviceProfile.supportsOtaa,
+      supportsClassB: deviceProfile.supportsClassB,
+      supportsClassC: deviceProfile.supportsClassC,
+      classBTimeout: deviceProfile.classBTimeout,
+      classCTimeout: deviceProfile.classCTimeout
+    });
+
+    this.profileResolutions.delete(deviceProfile.id);
+    for (const key of this.codecResolutions.keys()) {
+      if (key.startsWith(`${deviceProfile.id}:`)) {
+        this.codecResolutions.delete(key);
+      }
+    }
+  }
+
+  // Load the devices of a manifest (CSV, JSON or a keyManager export; see deviceManifest.js)
+  // into the local database as a virtual source named options.name, for the normal migrate
+  // flow to push to the new LNS. Devices without an application go to the application
+  // options.applicationId, or to an 'import:<name>' application made for the manifest; their
+  // profile column is kept as sourceProfileName for mapping rules to match, as it names no
+  // profile on the old LNS.
+  // Devices already discovered from the old LNS are skipped unless options.overwrite is set.
+  // With options.dryRun the manifest is only checked.
+  async importDevices(content, options = {}) {
+    const name = String(options.name || 'manifest').trim() || 'manifest';
+    const manifest = parseManifest(content, { format: options.format, columns: options.columns });
+    const cachedDevices = new Map((await this.db.getAllDevices()).map(device => [device.devEUI.toLowerCase(), device]));
+
+    const results = {
+      name,
+      format: manifest.format,
+      dryRun: !!options.dryRun,
+      total: manifest.devices.length + manifest.errors.length,
+      imported: 0,
+      updated: 0,
+      skipped: [],
+      errors: manifest.errors
+    };
+
+    for (const device of manifest.devices) {
+      const cached = cachedDevices.get(device.devEUI);
+      if (cached && !cached.importedFrom && !options.overwrite) {
+        results.skipped.push({ line: device.line, devEUI: cached.devEUI, reason: `Already discovered from ${this.oldLNS.name}` });
+        continue;
+      }
+      results[cached ? 'updated' : 'imported']++;
+      if (options.dryRun) {
+        continue;
+      }
+
+      const applicationId = device.application || options.applicationId || `import:${name}`;
+      if (!await this.db.getApplication(applicationId)) {
+        await this.db.saveApplication({
+          applicationId,
+          name: device.application || name,
+          description: `Imported from ${name}`
+        });
+      }
+
+      await this.db.saveDevice({
+        // Keep the stored spelling of a known DevEUI, so the row is replaced rather than duplicated
+        devEUI: cached ? cached.devEUI : device.devEUI,
+        appEUI: device.joinEUI || '0000000000000000',
+        appKey: device.appKey,
+        nwkKey: device.nwkKey,
+        name: device.name || device.devEUI,
+        description: device.description,
+        deviceProfileId: null,
+        sourceProfileName: device.profile,
+        applicationId,
+        tags: device.tags,
+        variables: device.variables,
+        sourceUpdatedAt: null,
+        lastSeenAt: null,
+        importedFrom: name
+      });
+    }
+
+    console.log(`${options.dryRun ? 'Checked' : 'Imported'} manifest ${name} (${manifest.format}): ${results.imported} new, ${results.updated} updated, ${results.skipped.length} skipped, ${results.errors.length} invalid`);
+    return results;
+  }
+
+  // Report a migration step for live progress listeners
+  emitProgress(devEUI, step, message, context = {}, details = {}) {
+    this.emit('progress', {
+      devEUI,
+      step,
+      message,
+      jobId: context.jobId || null,
+      timestamp: new Date().toISOString(),
+      ...details
+    });
+  }
+
+  // Migrate a single device with options. context.jobId tags progress events
+  // with the migration job the device belongs to; context.isStopped tells whether
+  // that job has been paused or cancelled since.
+  async migrateDevice(devEUI, options = {}, context = {}) {
+    this.assertCutoverConfirmed(options);
+
     const startTime = Date.now();
-          console.log(`📱 Migrating device: ${devEUI}`);
+    console.log(`📱 Migrating device: ${devEUI}`);
+    this.emitProgress(devEUI, 'started', 'Migration started', context);
+
+    // What this migration changes on the target LNS, recorded so it can be rolled back
+    let snapshot = null;
     
     try {
-      // Get device from local database
-      const localDevice = await this.db.getDevice(devEUI);
+      // Get device from local database, with its AppKey decrypted for the target LNS
+      const localDevice = await this.db.getDecryptedDevice(devEUI);
       if (!localDevice) {
         throw new Error(`Device ${devEUI} not found in local database`);
       }
 
+      // ABP devices (source profile without OTAA) have no AppKey to set and only work with their session
+      const sourceProfile = localDevice.deviceProfileId ? await this.db.getDeviceProfile(localDevice.deviceProfileId) : null;
+      const isAbp = !!sourceProfile && !sourceProfile.supportsOtaa;
+
       // Check if AppKey needs manual handling
       const hasRealAppKey = localDevice.appKey && localDevice.appKey !== '00000000000000000000000000000000';
-      const needsManualAppKey = !hasRealAppKey;
+      const needsManualAppKey = !hasRealAppKey && !isAbp;
+
+      let migrationNotes = [];
+
+      // Mapping rules fill in the targets this migration does not select
+      const mapping = await this.applyMappingRules(localDevice, sourceProfile, options);
+      options = mapping.options;
+      if (mapping.rule) {
+        migrationNotes.push(`📋 Mapping rule ${mapping.rule.name} applied${mapping.targetName !== localDevice.name ? ` - renamed to ${mapping.targetName}` : ''}`);
+      }
+
+      // Use the selected target application, or the one mapped to (or created for) the source application
+      const targetApplication = await this.resolveTargetApplication(localDevice.applicationId, options);
+      if (targetApplication.action !== 'selected') {
+        migrationNotes.push(`📋 Application ${targetApplication.name} ${targetApplication.action === 'created' ? 'created' : 'mapped'} on target (${targetApplication.id})`);
+        this.emitProgress(devEUI, `application_${targetApplication.action}`, `Application ${targetApplication.name} ${targetApplication.action} on target LNS`, context);
+      }
+      if (targetApplication.warning) {
+        migrationNotes.push(`⚠️  ${targetApplication.warning}`);
+      }
+
+      // Find or create the device profile on the target LNS
+      const deviceProfile = await this.resolveTargetProfile(localDevice.deviceProfileId, options);
+      if (deviceProfile.action !== 'selected') {
+        migrationNotes.push(`📋 Device profile ${deviceProfile.name} ${deviceProfile.action === 'created' ? 'created' : 'found'} on target (${deviceProfile.id})`);
+        this.emitProgress(devEUI, `profile_${deviceProfile.action}`, `Device profile ${deviceProfile.name} ${deviceProfile.action} on target LNS`, context);
+      }
+
+      // Root keys are written to the fields of the target profile's LoRaWAN version
+      const macVersion = await this.targetMacVersion(deviceProfile, sourceProfile);
+      const lorawan11 = this.newLNS.isLorawan11(macVersion);
+      const needsManualNwkKey = lorawan11 && !isAbp && !normalizeField(localDevice.nwkKey);
+
+      // Copy the payload codec to the target profile
+      if (options.migrateDecoder && localDevice.deviceProfileId && deviceProfile.id) {
+        try {
+          const codec = await this.resolveProfileCodec(localDevice.deviceProfileId, deviceProfile.id, options);
+          if (codec.status === 'updated') {
+            migrationNotes.push(`📋 Payload codec copied to device profile ${codec.name}`);
+            this.emitProgress(devEUI, 'codec_migrated', `Payload codec copied to device profile ${codec.name}`, context);
+          } else if (codec.status === 'conflict') {
+            migrationNotes.push(`⚠️  Device profile ${codec.name} on target has a different payload codec - not overwritten`);
+            this.emitProgress(devEUI, 'codec_conflict', `Device profile ${codec.name} on target has a different payload codec`, context);
+          }
+        } catch (codecError) {
+          migrationNotes.push(`⚠️  Payload codec not migrated: ${codecError.message}`);
+          this.emitProgress(devEUI, 'codec_failed', `Payload codec not migrated: ${codecError.message}`, context);
+        }
+      }
+
+      const tags = this.targetTags(localDevice);
+      const variables = localDevice.variables ? JSON.parse(localDevice.variables) : {};
+      const tagCount = Object.keys(tags).length;
+      const variableCount = Object.keys(variables).length;
+      if (tagCount > 0 || variableCount > 0) {
+        migrationNotes.push(`🏷️  ${tagCount} tag(s) and ${variableCount} variable(s) migrated`);
+      }
 
       // Prepare target device data
       const targetDevice = {
         devEUI: devEUI,  // Use uppercase EUI to match ChirpStackClient expectations
         devEui: devEUI,  // Also include lowercase for compatibility
-        name: localDevice.name,
+        joinEui: localDevice.appEUI,  // Fixed at creation by LNSs such as The Things Stack
+        name: mapping.targetName,
         description: localDevice.description,
-        applicationId: options.targetApplicationId,
-        deviceProfileId: options.targetDeviceProfileId,
+        applicationId: targetApplication.id,
+        deviceProfileId: deviceProfile.id,
         skipFcntCheck: options.skipFcntCheck !== undefined ? options.skipFcntCheck : true, // Default to true for backward compatibility
-        isDisabled: false
+        isDisabled: false,
+        tags,
+        variables
       };
 
       // Create or update device in target LNS
       let deviceExists = false;
       try {
         await this.newLNS.createDevice(targetDevice);
+        snapshot = { action: 'created' };
         console.log(`✅ Created device ${devEUI} in target LNS`);
+        this.emitProgress(devEUI, 'device_created', 'Device created in target LNS', context);
       } catch (error) {
-        if (error.message && (error.message.includes('duplicate') || error.message.includes('already exists') || error.response?.data?.message?.includes('duplicate'))) {
+        if (error.codeName === 'ALREADY_EXISTS' || error.message && (error.message.includes('duplicate') || error.message.includes('already exists') || error.response?.data?.message?.includes('duplicate'))) {
           deviceExists = true;
+          snapshot = await this.snapshotTargetDevice(devEUI);
           try {
             await this.newLNS.updateDevice(devEUI, targetDevice);
             console.log(`✅ Updated existing device ${devEUI} in target LNS`);
+            this.emitProgress(devEUI, 'device_updated', 'Existing device updated in target LNS', context);
           } catch (updateError) {
             console.log(`⚠️  Could not update existing device ${devEUI}: ${updateError.message}`);
             // Continue anyway, device might still be usable
@@ -166,24 +576,29 @@ class MigrationService {
         }
       }
 
-      let migrationNotes = [];
       let requiresManualSteps = false;
 
       // Handle AppKey - set it automatically using correct LoRaWAN version field
-      if (needsManualAppKey) {
-        console.log(`Device has no AppKey in local database - manual AppKey setup required`);
-        migrationNotes.push(`⚠️  MANUAL ACTION REQUIRED: Set AppKey in new LNS web interface`);
-        migrationNotes.push(`1. Go to: ${this.newLNS.baseUrl}/tenants/${this.newLNS.tenantId}/devices/${devEUI}`);
+      if (needsManualAppKey || needsManualNwkKey) {
+        const missingKeys = [needsManualAppKey && 'AppKey', needsManualNwkKey && 'NwkKey'].filter(Boolean).join(' and ');
+        console.log(`Device has no ${missingKeys} in local database - manual key setup required`);
+        migrationNotes.push(`⚠️  MANUAL ACTION REQUIRED: Set ${missingKeys} in new LNS web interface`);
+        migrationNotes.push(`1. Go to: ${this.newLNS.deviceUrl(devEUI)}`);
         migrationNotes.push(`2. Navigate to Keys tab`);
-        migrationNotes.push(`3. Copy AppKey from old LNS: ${this.oldLNS.baseUrl}/tenants/${this.oldLNS.tenantId}/devices/${devEUI}`);
-        migrationNotes.push(`4. Paste AppKey into new LNS and save`);
+        migrationNotes.push(`3. Copy ${missingKeys} from old LNS: ${this.oldLNS.deviceUrl(devEUI)}`);
+        migrationNotes.push(`4. Paste ${missingKeys} into new LNS and save`);
         requiresManualSteps = true;
+        this.emitProgress(devEUI, 'manual_step_required', `No ${missingKeys} in local database - set it manually in the target LNS`, context);
+      } else if (!hasRealAppKey) {
+        migrationNotes.push(`ℹ️  ABP device - no AppKey to set`);
       } else {
         // Set AppKey automatically - use correct field for LoRaWAN version
         try {
           const keysData = {
             appEUI: localDevice.appEUI || '0000000000000000', // Use stored appEUI or default
-            appKey: localDevice.appKey
+            appKey: localDevice.appKey,
+            nwkKey: localDevice.nwkKey,
+            macVersion
           };
           
           // Brief delay to ensure device is fully committed before setting keys
@@ -198,24 +613,50 @@ class MigrationService {
             console.log(`🔑 Updated AppKey for device ${devEUI}`);
           }
           
-          migrationNotes.push(`✅ AppKey set automatically: ${localDevice.appKey}`);
+          migrationNotes.push(`✅ AppKey set automatically: ${maskKey(localDevice.appKey)}`);
+          if (lorawan11) {
+            migrationNotes.push(`✅ NwkKey set automatically: ${maskKey(localDevice.nwkKey)} (LoRaWAN 1.1)`);
+          }
           migrationNotes.push(`📋 Device ready for activation`);
+          this.emitProgress(devEUI, 'keys_set', 'AppKey set in target LNS', context);
         } catch (keyError) {
           console.error(`❌ Failed to set AppKey for device ${devEUI}:`, keyError.message);
           migrationNotes.push(`⚠️  MANUAL ACTION REQUIRED: Failed to set AppKey automatically`);
-          migrationNotes.push(`1. Go to: ${this.newLNS.baseUrl}/tenants/${this.newLNS.tenantId}/devices/${devEUI}`);
+          migrationNotes.push(`1. Go to: ${this.newLNS.deviceUrl(devEUI)}`);
           migrationNotes.push(`2. Navigate to Keys tab`);
-          migrationNotes.push(`3. Set AppKey: ${localDevice.appKey}`);
+          migrationNotes.push(`3. Set AppKey ${maskKey(localDevice.appKey)}${lorawan11 ? ` and NwkKey ${maskKey(localDevice.nwkKey)}` : ''} (full keys available from the keyManager export)`);
           migrationNotes.push(`4. Set JoinEUI: ${localDevice.appEUI || '0000000000000000'}`);
           migrationNotes.push(`5. Error: ${keyError.message}`);
           requiresManualSteps = true;
+          this.emitProgress(devEUI, 'manual_step_required', `Failed to set AppKey automatically: ${keyError.message}`, context);
         }
       }
 
-      // Skip session key activation for helium-chirpstack (not supported)
-      if (this.newLNS.isHeliumChirpstack) {
-        console.log(`Skipping session key activation (not supported by helium-chirpstack-community)`);
-        migrationNotes.push(`ℹ️  Session key activation skipped (not supported by helium-chirpstack)`);
+      // Carry the session over, so ABP devices keep working and OTAA devices do not have to rejoin
+      let session = null;
+      if (isAbp || options.migrateSessionKeys) {
+        session = await this.activateTargetSession(devEUI, options);
+        if (session.counterSource === 'stored') {
+          migrationNotes.push(`⚠️  Current session could not be read from old LNS - frame counters are from discovery (${session.sourceCounters.readAt})`);
+        }
+        if (session.status === 'activated') {
+          migrationNotes.push(`✅ Session activated: DevAddr ${session.devAddr}, FCntUp ${session.fCntUp}, NFCntDown ${session.fCntDown}, AFCntDown ${session.aFCntDown} (downlink counters +${session.frameCounterMargin})`);
+          this.emitProgress(devEUI, 'session_activated', `Session activated in target LNS (DevAddr ${session.devAddr})`, context);
+        } else if (isAbp) {
+          console.log(`⚠️  Could not activate ABP device ${devEUI} in target LNS: ${session.reason}`);
+          migrationNotes.push(`⚠️  MANUAL ACTION REQUIRED: Activate ABP device in new LNS web interface (${session.reason})`);
+          migrationNotes.push(`1. Go to: ${this.newLNS.deviceUrl(devEUI)}`);
+          migrationNotes.push(`2. Navigate to Activation tab`);
+          migrationNotes.push(`3. Copy DevAddr and session keys from old LNS: ${this.oldLNS.deviceUrl(devEUI)}`);
+          if (session.devAddr) {
+            migrationNotes.push(`4. Set frame counters to at least FCntUp ${session.fCntUp}, NFCntDown ${session.fCntDown}, AFCntDown ${session.aFCntDown} (read ${session.sourceCounters.readAt})`);
+          }
+          requiresManualSteps = true;
+          this.emitProgress(devEUI, 'manual_step_required', `ABP device not activated: ${session.reason}`, context);
+        } else {
+          migrationNotes.push(`⚠️  Session not migrated (${session.reason}) - device will have to rejoin on the new LNS`);
+          this.emitProgress(devEUI, 'session_skipped', `Session not migrated: ${session.reason}`, context);
+        }
       }
 
       const endTime = Date.now();
@@ -228,21 +669,82 @@ class MigrationService {
         targetLNS: this.newLNS.name,
         status: requiresManualSteps ? 'requires_manual_steps' : 'completed',
         migration_options: JSON.stringify({
-          targetApplicationId: options.targetApplicationId,
-          targetDeviceProfileId: options.targetDeviceProfileId,
+          targetApplicationId: targetApplication.id,
+          sourceApplicationId: localDevice.applicationId,
+          targetDeviceProfileId: targetDevice.deviceProfileId,
+          sourceDeviceProfileId: localDevice.deviceProfileId,
+          importedFrom: localDevice.importedFrom || null,
+          mappingRuleId: mapping.rule ? mapping.rule.id : null,
+          targetName: mapping.targetName,
+          tags,
+          macVersion,
+          skipFcntCheck: targetDevice.skipFcntCheck,
+          session: session && {
+            status: session.status,
+            devAddr: session.devAddr || null,
+            fCntUp: session.fCntUp,
+            fCntDown: session.fCntDown,
+            aFCntDown: session.aFCntDown,
+            counterSource: session.counterSource,
+            frameCounterMargin: session.frameCounterMargin,
+            sourceCounters: session.sourceCounters
+          },
           notes: migrationNotes,
           duration
         })
       };
 
       const migrationRecord = await this.db.saveMigrationRecord(migrationData);
+      await this.saveSnapshot(migrationRecord.id, devEUI, snapshot);
       if (requiresManualSteps) {
         await this.db.updateMigrationStatus(migrationRecord.id, 'requires_manual_steps');
       } else {
         await this.db.updateMigrationStatus(migrationRecord.id, 'completed', null, new Date().toISOString());
       }
 
+      // Read the device back from the target LNS to confirm what actually landed there.
+      // The device is migrated by now, so a verification that cannot run is only recorded.
+      let verification = null;
+      if (options.verify !== false) {
+        try {
+          verification = await this.verifyMigration(migrationRecord.id);
+        } catch (error) {
+          console.error(`Verification of migration ${migrationRecord.id} (${devEUI}) could not run:`, error.message);
+          verification = { migrationId: migrationRecord.id, devEUI, status: 'error', mismatches: [], error: error.message };
+        }
+        this.emitProgress(
+          devEUI,
+          verification.status === 'verified' ? 'verified' : 'verification_failed',
+          verification.status === 'verified'
+            ? 'Target device verified'
+            : `Verification ${verification.status}: ${verification.error || verification.mismatches.map(m => m.field).join(', ')}`,
+          context
+        );
+      }
+
+      // Cutover: take the device off the old LNS once it is verified on the new one
+      let cutover = null;
+      if (options.removeFromOldLNS) {
+        if (localDevice.importedFrom) {
+          cutover = { status: 'skipped', reason: `Imported from ${localDevice.importedFrom} - not on the old LNS` };
+          this.emitProgress(devEUI, 'cutover_skipped', 'Imported device has nothing to remove from the old LNS', context);
+        } else if (requiresManualSteps || !verification || verification.status !== 'verified') {
+          console.log(`⚠️  Not removing ${devEUI} from old LNS: target device is not verified`);
+          cutover = { status: 'skipped', reason: 'Target device is not verified' };
+          this.emitProgress(devEUI, 'cutover_skipped', 'Device left on old LNS because the target device is not verified', context);
+        } else {
+          cutover = await this.cutoverSourceDevice(devEUI, migrationRecord.id, options, context);
+        }
+      }
+
       console.log(`✅ Migration completed: ${devEUI}`);
+      this.emitProgress(
+        devEUI,
+        requiresManualSteps ? 'requires_manual_steps' : 'completed',
+        requiresManualSteps ? 'Migration finished - manual steps required' : 'Migration completed',
+        context,
+        { duration, migrationId: migrationRecord.id }
+      );
       
       return {
         success: true,
@@ -251,7 +753,9 @@ class MigrationService {
         duration,
         notes: migrationNotes,
         requiresManualSteps,
-        migrationId: migrationRecord.id
+        migrationId: migrationRecord.id,
+        verification,
+        cutover
       };
 
     } catch (error) {
@@ -275,12 +779,774 @@ class MigrationService {
       };
 
       const migrationRecord = await this.db.saveMigrationRecord(migrationData);
+      await this.saveSnapshot(migrationRecord.id, devEUI, snapshot);
       await this.db.updateMigrationStatus(migrationRecord.id, 'failed', error.message);
+      this.emitProgress(devEUI, 'failed', error.message, context, { duration, migrationId: migrationRecord.id });
 
       throw new Error(`Migration failed for device ${devEUI}: ${error.message}`);
     }
   }
 
+  // Pick the target device profile for a device. With migrateDeviceProfile the
+  // device's cached source profile is matched to an equivalent profile on the
+  // target, which is created when there is none. Otherwise, or when the source
+  // profile was never cached, the selected targetDeviceProfileId is used.
+  async resolveTargetProfile(sourceProfileId, options = {}) {
+    const selected = { id: options.targetDeviceProfileId, action: 'selected' };
+    if (!options.migrateDeviceProfile || !sourceProfileId) {
+      if (!selected.id) {
+        throw badRequest('No target device profile selected or mapped');
+      }
+      return selected;
+    }
+
+    const cached = await this.db.getDeviceProfile(sourceProfileId);
+    if (!cached) {
+      if (!selected.id) {
+        throw new Error(`Device profile ${sourceProfileId} is not cached locally - run discovery or select a target device profile`);
+      }
+      console.log(`Device profile ${sourceProfileId} is not cached locally - using the selected target profile`);
+      return selected;
+    }
+
+    const pending = this.profileResolutions.get(sourceProfileId);
+    if (pending) {
+      return { ...await pending, action: 'matched' };
+    }
+
+    const resolution = this.matchOrCreateProfile(cached);
+    this.profileResolutions.set(sourceProfileId, resolution);
+    try {
+      return await resolution;
+    } catch (error) {
+      this.profileResolutions.delete(sourceProfileId);
+      throw new Error(`Could not find or create device profile ${cached.name} on target: ${error.message}`);
+    }
+  }
+
+  // Tags for the target device: the source device's, stamped with the old LNS name
+  // under config.migration.migratedFromTag when that is set
+  targetTags(localDevice) {
+    const tags = localDevice.tags ? JSON.parse(localDevice.tags) : {};
+    const stampTag = (this.config.migration || {}).migratedFromTag;
+    if (stampTag) {
+      tags[stampTag] = localDevice.importedFrom || this.oldLNS.name;
+    }
+    return tags;
+  }
+
+  // Apply the first mapping rule matching a device to the migration options. Targets the
+  // options select win over the rule's; a rule target profile replaces profile matching.
+  // The rule's skipFcntCheck wins over the options', since the UI always sends one.
+  async applyMappingRules(localDevice, sourceProfile, options = {}) {
+    const match = findMatchingRule(await this.db.getMappingRules(), localDevice, sourceProfile);
+    if (!match) {
+      return { options, rule: null, targetName: localDevice.name };
+    }
+
+    const { rule, nameMatch } = match;
+    const applied = { ...options };
+    if (!options.targetApplicationId && rule.targetApplicationId) {
+      applied.targetApplicationId = rule.targetApplicationId;
+    }
+    if (!options.targetDeviceProfileId && rule.targetDeviceProfileId) {
+      applied.targetDeviceProfileId = rule.targetDeviceProfileId;
+      applied.migrateDeviceProfile = false;
+    }
+    if (rule.skipFcntCheck !== null) {
+      applied.skipFcntCheck = rule.skipFcntCheck;
+    }
+
+    let targetName = localDevice.name;
+    if (rule.nameTemplate) {
+      const application = localDevice.applicationId ? await this.db.getApplication(localDevice.applicationId) : null;
+      targetName = applyNameTemplate(rule.nameTemplate, {
+        name: localDevice.name,
+        devEUI: localDevice.devEUI,
+        applicationName: application && application.name,
+        profileName: sourceProfile ? sourceProfile.name : localDevice.sourceProfileName
+      }, nameMatch);
+    }
+
+    return { options: applied, rule: { id: rule.id, name: rule.name }, targetName };
+  }
+
+  async getMappingRules() {
+    return this.db.getMappingRules();
+  }
+
+  async createMappingRule(input) {
+    const rule = validateRule(input);
+    const result = await this.db.createMappingRule(rule);
+    console.log(`Created mapping rule ${rule.name} (${result.id})`);
+    return this.db.getMappingRule(result.id);
+  }
+
+  async updateMappingRule(id, input) {
+    await this.requireMappingRule(id);
+    const rule = validateRule(input);
+    await this.db.updateMappingRule(id, rule);
+    return this.db.getMappingRule(id);
+  }
+
+  async deleteMappingRule(id) {
+    const rule = await this.requireMappingRule(id);
+    await this.db.deleteMappingRule(id);
+    console.log(`Deleted mapping rule ${rule.name} (${id})`);
+    return { success: true, id: rule.id };
+  }
+
+  async requireMappingRule(id) {
+    const rule = await this.db.getMappingRule(id);
+    if (!rule) {
+      const error = new Error(`Mapping rule ${id} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return rule;
+  }
+
+  // Target application for a device of a source application: the selected one, else the one
+  // mapped to the source application, else (with createTargetApplication) a copy of the
+  // cached source application created on the target and recorded as its mapping
+  async resolveTargetApplication(sourceApplicationId, options = {}) {
+    if (options.targetApplicationId) {
+      return { id: options.targetApplicationId, action: 'selected' };
+    }
+    if (!sourceApplicationId) {
+      throw badRequest('No target application selected');
+    }
+
+    const pending = this.applicationResolutions.get(sourceApplicationId);
+    if (pending) {
+      const resolved = await pending;
+      return { ...resolved, action: 'mapped', warning: null };
+    }
+
+    const resolution = this.mapOrCreateApplication(sourceApplicationId, options);
+    this.applicationResolutions.set(sourceApplicationId, resolution);
+    try {
+      return await resolution;
+    } catch (error) {
+      this.applicationResolutions.delete(sourceApplicationId);
+      throw error;
+    }
+  }
+
+  async mapOrCreateApplication(sourceApplicationId, options = {}) {
+    const mapping = await this.db.getApplicationMapping(sourceApplicationId);
+    if (mapping) {
+      try {
+        const existing = await this.newLNS.getApplication(mapping.targetApplicationId);
+        return { id: existing.id, name: existing.name, action: 'mapped', warning: null };
+      } catch (error) {
+        if (!isNotFound(error)) {
+          throw error;
+        }
+        console.warn(`⚠️  Application ${mapping.targetApplicationId} mapped to source application ${sourceApplicationId} no longer exists on target`);
+      }
+    }
+
+    if (!options.createTargetApplication) {
+      throw badRequest(`No target application selected or mapped for source application ${sourceApplicationId}`);
+    }
+
+    const source = await this.db.getApplication(sourceApplicationId);
+    if (!source) {
+      throw new Error(`Application ${sourceApplicationId} is not cached locally - run discovery first`);
+    }
+
+    const created = await this.newLNS.createApplication({
+      name: source.name,
+      description: source.description || ''
+    });
+    await this.db.saveApplicationMapping({
+      sourceApplicationId,
+      targetApplicationId: created.id,
+      targetApplicationName: source.name,
+      createdByMigration: true
+    });
+    console.log(`📋 Created application ${source.name} (${created.id}) on target for source application ${sourceApplicationId}`);
+
+    // ChirpStack v4 applications have no codec of their own; it lives on the device profiles
+    const hasCodec = source.payloadCodec && !['NONE', ''].includes(source.payloadCodec);
+    return {
+      id: created.id,
+      name: source.name,
+      action: 'created',
+      warning: hasCodec
+        ? `Source application ${source.name} has a ${source.payloadCodec} codec, which target applications cannot hold - set it on the device profiles (migrateDecoder)`
+        : null
+    };
+  }
+
+  // What resolveTargetApplication would pick, without creating anything
+  async planTargetApplication(sourceApplicationId, options = {}, targetApplications = []) {
+    if (options.targetApplicationId) {
+      return { id: options.targetApplicationId, action: 'selected' };
+    }
+
+    const mapping = sourceApplicationId ? await this.db.getApplicationMapping(sourceApplicationId) : null;
+    const mapped = mapping && targetApplications.find(application => application.id === mapping.targetApplicationId);
+    if (mapped) {
+      return { id: mapped.id, name: mapped.name, action: 'mapped' };
+    }
+    if (!options.createTargetApplication) {
+      throw new Error(`No target application selected or mapped for source application ${sourceApplicationId}`);
+    }
+
+    const source = await this.db.getApplication(sourceApplicationId);
+    if (!source) {
+      throw new Error(`Application ${sourceApplicationId} is not cached locally - run discovery first`);
+    }
+    return { id: null, name: source.name, action: 'create' };
+  }
+
+  async getApplicationMappings() {
+    return this.db.getApplicationMappings();
+  }
+
+  // Forget the target application of a source application; later migrations of its devices
+  // need a selected target application or create a new one
+  async deleteApplicationMapping(sourceApplicationId) {
+    const result = await this.db.deleteApplicationMapping(sourceApplicationId);
+    this.applicationResolutions.delete(sourceApplicationId);
+    if (result.changes === 0) {
+      const error = new Error(`No application mapping for source application ${sourceApplicationId}`);
+      error.status = 404;
+      throw error;
+    }
+    return { success: true, sourceApplicationId };
+  }
+
+  async findTargetProfile(cached, targetProfiles = null) {
+    const profiles = targetProfiles || await this.newLNS.getDeviceProfiles();
+    return profiles.find(profile => isEquivalentProfile(cached, profile)) || null;
+  }
+
+  async matchOrCreateProfile(cached) {
+    const existing = await this.findTargetProfile(cached);
+    if (existing) {
+      return { id: existing.id, name: existing.name, macVersion: existing.macVersion, action: 'matched' };
+    }
+    const created = await this.newLNS.createDeviceProfile(toTargetProfile(cached), { sourceProfileId: cached.profileId });
+    return { id: created.id, name: cached.name, macVersion: cached.macVersion, action: 'created' };
+  }
+
+  // LoRaWAN MAC version of the target device profile, which decides the key fields written
+  // on the target. Falls back to the source profile's when the target profile cannot be read.
+  async targetMacVersion(deviceProfile, sourceProfile = null) {
+    if (deviceProfile.macVersion) {
+      return deviceProfile.macVersion;
+    }
+    if (deviceProfile.id) {
+      try {
+        const profile = await this.newLNS.getDeviceProfile(deviceProfile.id);
+        if (profile && profile.macVersion) {
+          return profile.macVersion;
+        }
+      } catch (error) {
+        console.warn(`⚠️  Could not read MAC version of target device profile ${deviceProfile.id}: ${error.message}`);
+      }
+    }
+    return sourceProfile ? sourceProfile.macVersion : null;
+  }
+
+  // What resolveTargetProfile would pick, without creating anything
+  async planTargetProfile(sourceProfileId, options = {}, targetProfiles = null) {
+    const selected = { id: options.targetDeviceProfileId || null, action: 'selected' };
+    if (!options.migrateDeviceProfile || !sourceProfileId) {
+      return selected;
+    }
+
+    const cached = await this.db.getDeviceProfile(sourceProfileId);
+    if (!cached) {
+      return selected;
+    }
+
+    const existing = await this.findTargetProfile(cached, targetProfiles);
+    return existing
+      ? { id: existing.id, name: existing.name, action: 'matched' }
+      : { id: null, name: cached.name, action: 'create' };
+  }
+
+  // Migrate the payload codec of a source profile once per target profile
+  async resolveProfileCodec(sourceProfileId, targetProfileId, options = {}) {
+    const key = `${sourceProfileId}:${targetProfileId}`;
+    if (!this.codecResolutions.has(key)) {
+      const resolution = this.migrateProfileCodec(sourceProfileId, targetProfileId, { overwrite: options.overwriteCodec === true });
+      this.codecResolutions.set(key, resolution);
+      resolution.catch(() => this.codecResolutions.delete(key));
+    }
+    return this.codecResolutions.get(key);
+  }
+
+  // Copy the payload codec of a source device profile to a target device profile.
+  // A different codec already on the target is only replaced with overwrite; otherwise
+  // the result is a 'conflict' with a line diff from the target script to the source script.
+  async migrateProfileCodec(sourceProfileId, targetProfileId, { overwrite = false, dryRun = false } = {}) {
+    let source;
+    try {
+      source = profileCodec(await this.oldLNS.getDeviceProfile(sourceProfileId));
+      await this.db.updateDeviceProfileCodec(sourceProfileId, {
+        payloadCodec: source.runtime,
+        payloadEncoderScript: null,
+        payloadDecoderScript: source.script || null
+      });
+    } catch (error) {
+      const cached = await this.db.getDeviceProfile(sourceProfileId);
+      if (!cached) {
+        throw error;
+      }
+      console.warn(`Could not read device profile ${sourceProfileId} from old LNS - using the cached codec: ${error.message}`);
+      source = cachedCodec(cached);
+    }
+
+    const targetProfile = await this.newLNS.getDeviceProfile(targetProfileId);
+    const target = profileCodec(targetProfile);
+    const result = {
+      sourceProfileId,
+      targetProfileId,
+      name: targetProfile.name,
+      runtime: source.runtime,
+      targetRuntime: target.runtime,
+      status: null,
+      diff: null
+    };
+
+    const targetHasCodec = target.runtime !== 'NONE' || target.script !== '';
+    if (source.runtime === target.runtime && source.script === target.script) {
+      result.status = 'unchanged';
+      return result;
+    }
+    if (source.runtime === 'NONE' && source.script === '') {
+      // Nothing to copy, and an existing target codec is left alone
+      result.status = 'skipped';
+      return result;
+    }
+    if (targetHasCodec) {
+      result.diff = diffLines(target.script, source.script);
+      if (!overwrite) {
+        result.status = 'conflict';
+        return result;
+      }
+    }
+
+    if (dryRun) {
+      result.status = 'will_update';
+      return result;
+    }
+
+    await this.newLNS.updateDeviceProfile({
+      ...targetProfile,
+      payloadCodecRuntime: source.runtime,
+      payloadCodecScript: source.script
+    });
+    result.status = 'updated';
+    return result;
+  }
+
+  // Migrate payload codecs on their own, without touching devices: every cached
+  // source profile (or those in sourceProfileIds) is matched to its equivalent
+  // target profile and its codec copied there.
+  async migrateCodecs({ sourceProfileIds = null, overwrite = false, dryRun = false } = {}) {
+    const cachedProfiles = await this.db.getAllDeviceProfiles();
+    const selected = sourceProfileIds
+      ? cachedProfiles.filter(profile => sourceProfileIds.includes(profile.profileId))
+      : cachedProfiles;
+    const targetProfiles = await this.newLNS.getDeviceProfiles();
+
+    console.log(`${dryRun ? 'Planning' : 'Running'} payload codec migration for ${selected.length} device profiles...`);
+    const results = [];
+    for (const cached of selected) {
+      const target = await this.findTargetProfile(cached, targetProfiles);
+      if (!target) {
+        results.push({ sourceProfileId: cached.profileId, name: cached.name, status: 'no_target_profile' });
+        continue;
+      }
+      try {
+        results.push(await this.migrateProfileCodec(cached.profileId, target.id, { overwrite, dryRun }));
+      } catch (error) {
+        results.push({ sourceProfileId: cached.profileId, targetProfileId: target.id, name: cached.name, status: 'failed', error: error.message });
+      }
+    }
+
+    // Target profiles may have changed, so device migrations have to look at them again
+    if (!dryRun) {
+      this.codecResolutions.clear();
+    }
+
+    const summary = {};
+    results.forEach(result => {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    });
+    console.log('Payload codec migration:', summary);
+    return { dryRun, summary, results };
+  }
+
+  cutoverSettings(options = {}) {
+    const migrationConfig = this.config.migration || {};
+    return {
+      mode: options.cutoverMode || migrationConfig.cutoverMode || 'disable',
+      delay: options.cutoverDelay !== undefined ? Number(options.cutoverDelay) : (migrationConfig.cutoverDelay ?? 10000)
+    };
+  }
+
+  // Removing devices from the old LNS must be asked for explicitly
+  assertCutoverConfirmed(options = {}) {
+    if (!options.removeFromOldLNS) {
+      return;
+    }
+    if (options.confirmCutover !== true) {
+      throw badRequest('removeFromOldLNS requires confirmCutover: true');
+    }
+    const { mode } = this.cutoverSettings(options);
+    if (!['delete', 'disable'].includes(mode)) {
+      throw badRequest(`cutoverMode must be 'delete' or 'disable', not '${mode}'`);
+    }
+  }
+
+  // Take a migrated device off the old LNS so it does not join both networks.
+  // The old device, its keys and activation are archived locally first, so
+  // restoreSourceDevice can put it back. A failure leaves the migration itself intact.
+  async cutoverSourceDevice(devEUI, migrationId, options = {}, context = {}) {
+    const { mode, delay } = this.cutoverSettings(options);
+    let archiveId = null;
+
+    try {
+      const [device, deviceKeys, activation] = await Promise.all([
+        this.oldLNS.findDevice(devEUI),
+        this.oldLNS.findDeviceKeys(devEUI),
+        this.oldLNS.findDeviceActivation(devEUI)
+      ]);
+      if (!device) {
+        throw new Error(`Device ${devEUI} not found in old LNS`);
+      }
+      archiveId = (await this.db.saveSourceArchive({ migrationId, devEUI, mode, device, deviceKeys, activation })).id;
+
+      // Last chance to stop the job before the device leaves the old network
+      this.emitProgress(devEUI, 'cutover_pending', `Archived old LNS device - will ${mode} it in ${Math.round(delay / 1000)}s`, context);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      if (context.isStopped && context.isStopped()) {
+        await this.db.updateSourceArchive(archiveId, { status: 'cancelled' });
+        console.log(`Cutover of ${devEUI} cancelled: job ${context.jobId} was stopped`);
+        this.emitProgress(devEUI, 'cutover_cancelled', 'Job stopped - device left on old LNS', context);
+        return { status: 'cancelled', mode, archiveId };
+      }
+
+      if (mode === 'delete') {
+        await this.oldLNS.deleteDevice(devEUI);
+      } else {
+        await this.oldLNS.setDeviceDisabled(devEUI, true);
+      }
+
+      await this.db.updateSourceArchive(archiveId, { status: 'removed', removed_at: new Date().toISOString() });
+      console.log(`✂️  Cutover of ${devEUI}: ${mode === 'delete' ? 'deleted' : 'disabled'} in old LNS`);
+      this.emitProgress(devEUI, 'source_removed', `Device ${mode === 'delete' ? 'deleted' : 'disabled'} in old LNS`, context);
+      return { status: 'removed', mode, archiveId };
+    } catch (error) {
+      console.error(`Cutover of ${devEUI} failed:`, error.message);
+      if (archiveId) {
+        await this.db.updateSourceArchive(archiveId, { status: 'failed', error_message: error.message });
+      }
+      this.emitProgress(devEUI, 'cutover_failed', `Could not remove device from old LNS: ${error.message}`, context);
+      return { status: 'failed', mode, archiveId, error: error.message };
+    }
+  }
+
+  // Put a device that cutover removed back on the old LNS from its archive
+  async restoreSourceDevice(migrationId) {
+    const archive = await this.db.getSourceArchive(migrationId);
+    if (!archive || archive.status !== 'removed') {
+      throw conflict(`Migration ${migrationId} did not remove its device from the old LNS`);
+    }
+
+    const devEUI = archive.devEUI;
+    if (archive.mode === 'disable') {
+      await this.oldLNS.setDeviceDisabled(devEUI, false);
+    } else {
+      await this.oldLNS.recreateDevice(archive.device);
+      if (archive.device_keys) {
+        await this.oldLNS.restoreDeviceKeys(devEUI, archive.device_keys, { create: true });
+      }
+      if (archive.activation) {
+        await this.oldLNS.restoreDeviceActivation(devEUI, archive.activation);
+      }
+    }
+
+    await this.db.updateSourceArchive(archive.id, { status: 'restored', restored_at: new Date().toISOString() });
+    console.log(`↩️  Restored ${devEUI} on old LNS (${archive.mode === 'delete' ? 're-created' : 're-enabled'})`);
+    return { success: true, devEUI, migrationId: archive.migration_id, action: archive.mode === 'delete' ? 'recreated' : 'enabled' };
+  }
+
+  // Activate the device on the target LNS with its current session. The session and
+  // frame counters are re-read from the old LNS right before activation, falling back to
+  // the session stored at discovery. The downlink counters are raised by the frame counter
+  // margin, as the old LNS may still send downlinks until cutover and the device drops any
+  // downlink whose counter it has already seen; the uplink counter is used as read, since
+  // the target accepts any higher counter. Returns status 'activated' with the DevAddr and
+  // frame counters used, or 'no_session', 'unsupported' or 'failed' with a reason.
+  async activateTargetSession(devEUI, options = {}) {
+    const margin = Math.max(0, parseInt(options.frameCounterMargin ?? (this.config.migration || {}).frameCounterMargin ?? 16, 10) || 0);
+
+    let sessionKeys = null;
+    let counterSource = 'old_lns';
+    try {
+      const current = await this.oldLNS.findDeviceActivation(devEUI);
+      if (current) {
+        sessionKeys = {
+          devAddr: current.devAddr,
+          nwkSKey: current.nwkSEncKey,
+          sNwkSIntKey: current.sNwkSIntKey,
+          fNwkSIntKey: current.fNwkSIntKey,
+          appSKey: current.appSKey,
+          fCntUp: current.fCntUp || 0,
+          fCntDown: current.nFCntDown || 0,
+          aFCntDown: current.aFCntDown || 0
+        };
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not read the current session of ${devEUI} from old LNS - using the stored session: ${error.message}`);
+    }
+
+    if (hasSession(sessionKeys)) {
+      await this.db.saveSessionKeys({ devEUI, ...sessionKeys });
+    } else {
+      sessionKeys = await this.db.getDecryptedSessionKeys(devEUI);
+      counterSource = 'stored';
+    }
+    if (!hasSession(sessionKeys)) {
+      return { status: 'no_session', reason: 'the device has no session on the old LNS and none is stored' };
+    }
+
+    const session = {
+      devAddr: sessionKeys.devAddr,
+      fCntUp: sessionKeys.fCntUp || 0,
+      fCntDown: (sessionKeys.fCntDown || 0) + margin,
+      aFCntDown: (sessionKeys.aFCntDown || 0) + margin,
+      counterSource,
+      frameCounterMargin: margin,
+      sourceCounters: {
+        fCntUp: sessionKeys.fCntUp || 0,
+        fCntDown: sessionKeys.fCntDown || 0,
+        aFCntDown: sessionKeys.aFCntDown || 0,
+        readAt: counterSource === 'stored' ? sessionKeys.created_at : new Date().toISOString()
+      }
+    };
+    if (!this.newLNS.supportsSessionActivation) {
+      return { ...session, status: 'unsupported', reason: `session activation is not supported by ${this.newLNS.name}` };
+    }
+
+    try {
+      await this.newLNS.activateDevice(devEUI, {
+        devAddr: session.devAddr,
+        fCntUp: session.fCntUp,
+        fCntDown: session.fCntDown,
+        aFCntDown: session.aFCntDown,
+        nwkSKey: sessionKeys.nwkSKey,
+        sNwkSIntKey: sessionKeys.sNwkSIntKey,
+        fNwkSIntKey: sessionKeys.fNwkSIntKey,
+        appSKey: sessionKeys.appSKey
+      });
+      console.log(`🔑 Activated session of device ${devEUI} (DevAddr ${session.devAddr}, ${counterSource === 'stored' ? 'stored' : 'current'} frame counters)`);
+      return { ...session, status: 'activated' };
+    } catch (error) {
+      console.error(`❌ Failed to activate session of device ${devEUI}:`, error.message);
+      return { ...session, status: error.codeName === 'UNIMPLEMENTED' ? 'unsupported' : 'failed', reason: error.message };
+    }
+  }
+
+  // Capture a target device, its keys and its activation before a migration updates them.
+  // Without a snapshot the update still goes ahead, but cannot be rolled back.
+  async snapshotTargetDevice(devEUI) {
+    try {
+      const [device, deviceKeys, activation] = await Promise.all([
+        this.newLNS.findDevice(devEUI),
+        this.newLNS.findDeviceKeys(devEUI),
+        this.newLNS.findDeviceActivation(devEUI)
+      ]);
+      return { action: 'updated', device, deviceKeys, activation };
+    } catch (error) {
+      console.warn(`⚠️  Could not snapshot existing device ${devEUI} before updating it - it cannot be rolled back: ${error.message}`);
+      return { action: 'updated', device: null, deviceKeys: null, activation: null };
+    }
+  }
+
+  async saveSnapshot(migrationId, devEUI, snapshot) {
+    if (snapshot) {
+      await this.db.saveSnapshot({ migrationId, devEUI, ...snapshot });
+    }
+  }
+
+  // Undo what a migration did on the target LNS: delete a device it created, or put
+  // back the device and keys it updated from the snapshot taken beforehand. The
+  // rollback is recorded in migration_history as a record of its own.
+  async rollbackMigration(migrationId, context = {}) {
+    const migration = await this.db.getMigrationRecord(migrationId);
+    if (!migration) {
+      const error = new Error(`Migration ${migrationId} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    const devEUI = migration.devEUI;
+    const snapshot = await this.db.getSnapshot(migration.id);
+    if (!snapshot) {
+      throw conflict(`Migration ${migration.id} made no recorded changes to the target LNS`);
+    }
+    if (snapshot.rolled_back_at) {
+      throw conflict(`Migration ${migration.id} was already rolled back`);
+    }
+    const latest = await this.db.getLatestActiveSnapshot(devEUI);
+    if (latest.id !== snapshot.id) {
+      throw conflict(`Migration ${latest.migration_id} changed device ${devEUI} after migration ${migration.id} - roll that back first`);
+    }
+    if (snapshot.action === 'updated' && !snapshot.device) {
+      throw conflict(`No snapshot of device ${devEUI} was taken before migration ${migration.id} updated it`);
+    }
+
+    console.log(`↩️  Rolling back migration ${migration.id} of device ${devEUI} (${snapshot.action})`);
+    const rollbackRecord = await this.db.saveMigrationRecord({
+      devEUI,
+      sourceLNS: this.oldLNS.name,
+      targetLNS: this.newLNS.name,
+      status: 'in_progress',
+      migration_options: JSON.stringify({
+        rollbackOf: migration.id,
+        action: snapshot.action,
+        requestedBy: context.requestedBy || null
+      })
+    });
+
+    try {
+      if (snapshot.action === 'created') {
+        try {
+          await this.newLNS.deleteDevice(devEUI);
+        } catch (error) {
+          if (!isNotFound(error)) {
+            throw error;
+          }
+        }
+      } else {
+        await this.newLNS.updateDevice(devEUI, snapshot.device);
+        if (snapshot.device_keys) {
+          await this.newLNS.restoreDeviceKeys(devEUI, snapshot.device_keys);
+        } else {
+          try {
+            await this.newLNS.deleteDeviceKeys(devEUI);
+          } catch (error) {
+            if (!isNotFound(error)) {
+              throw error;
+            }
+          }
+        }
+        if (snapshot.activation) {
+          await this.newLNS.restoreDeviceActivation(devEUI, snapshot.activation);
+        }
+      }
+
+      // A device that cutover removed from the old LNS goes back there
+      const archive = await this.db.getSourceArchive(migration.id);
+      if (archive && archive.status === 'removed') {
+        await this.restoreSourceDevice(migration.id);
+      }
+
+      await this.db.markSnapshotRolledBack(snapshot.id, rollbackRecord.id);
+      await this.db.updateMigrationStatus(rollbackRecord.id, 'rolled_back');
+      console.log(`✅ Rolled back migration ${migration.id} of device ${devEUI}`);
+
+      return {
+        success: true,
+        devEUI,
+        migrationId: migration.id,
+        rollbackId: rollbackRecord.id,
+        action: snapshot.action === 'created' ? 'deleted' : 'restored'
+      };
+    } catch (error) {
+      console.error(`Rollback of migration ${migration.id} failed for device ${devEUI}:`, error.message);
+      await this.db.updateMigrationStatus(rollbackRecord.id, 'rollback_failed', error.message);
+      throw new Error(`Rollback failed for device ${devEUI}: ${error.message}`);
+    }
+  }
+
+  // Read a migrated device and its keys back from the target LNS and compare them
+  // field by field with the local database and the migration options. The result is
+  // stored as a verification record with status 'verified', 'mismatched' or 'missing',
+  // or 'error' when the target could not be read.
+  async verifyMigration(migrationId) {
+    const migration = await this.db.getMigrationRecord(migrationId);
+    if (!migration) {
+      const error = new Error(`Migration ${migrationId} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    const devEUI = migration.devEUI;
+    const options = migration.migration_options ? JSON.parse(migration.migration_options) : {};
+    const verification = { migrationId: migration.id, devEUI, status: null, mismatches: [], error: null };
+
+    try {
+      const localDevice = await this.db.getDecryptedDevice(devEUI);
+      if (!localDevice) {
+        throw new Error(`Device ${devEUI} not found in local database`);
+      }
+
+      const targetDevice = await this.newLNS.findDevice(devEUI);
+      if (!targetDevice) {
+        verification.status = 'missing';
+      } else {
+        // A failed read throws, so it is reported as an error rather than a key mismatch
+        const targetKeys = (await this.newLNS.findDeviceKeys(devEUI)) || {};
+        const lorawan11 = this.newLNS.isLorawan11(options.macVersion);
+        // The LoRaWAN 1.0.x AppKey may be in either field of the raw keys
+        const targetAppKey = lorawan11 || !normalizeField(targetKeys.nwkKey) ? targetKeys.appKey : targetKeys.nwkKey;
+
+        // [field, expected, actual, secret]; undefined expectations are not checked
+        const checks = [
+          ['devEUI', devEUI, targetDevice.devEui],
+          ['joinEUI', localDevice.appEUI, targetDevice.joinEui],
+          ['appKey', normalizeField(localDevice.appKey) ? localDevice.appKey : undefined, targetAppKey, true],
+          ['nwkKey', lorawan11 && normalizeField(localDevice.nwkKey) ? localDevice.nwkKey : undefined, targetKeys.nwkKey, true],
+          ['name', options.targetName || localDevice.name, targetDevice.name],
+          ['deviceProfileId', options.targetDeviceProfileId, targetDevice.deviceProfileId],
+          ['applicationId', options.targetApplicationId, targetDevice.applicationId],
+          ['skipFcntCheck', options.skipFcntCheck, !!targetDevice.skipFcntCheck]
+        ];
+
+        // A migrated session must have landed with the same DevAddr
+        if (options.session && options.session.status === 'activated') {
+          const targetActivation = await this.newLNS.findDeviceActivation(devEUI);
+          checks.push(['devAddr', options.session.devAddr, targetActivation && targetActivation.devAddr]);
+        }
+
+        for (const [key, value] of Object.entries(options.tags || {})) {
+          checks.push([`tags.${key}`, value, targetDevice.tags && targetDevice.tags[key]]);
+        }
+
+        for (const [field, expected, actual, secret] of checks) {
+          if (expected === undefined || normalizeField(expected) === normalizeField(actual)) {
+            continue;
+          }
+          verification.mismatches.push({
+            field,
+            expected: secret ? maskKey(expected) : expected,
+            actual: secret ? maskKey(actual) : actual
+          });
+        }
+        verification.status = verification.mismatches.length === 0 ? 'verified' : 'mismatched';
+      }
+    } catch (error) {
+      console.error(`Verification of migration ${migrationId} (${devEUI}) failed:`, error.message);
+      verification.status = 'error';
+      verification.error = error.message;
+    }
+
+    const record = await this.db.saveVerification(verification);
+    console.log(`🔍 Verification of ${devEUI}: ${verification.status}`);
+    return { id: record.id, ...verification };
+  }
+
   // Migrate multiple devices in batches
   async migrateDevices(devEUIs, options = {}) {
     const batchSize = options.batchSize || config.migration.defaultBatchSize;
@@ -321,6 +1587,175 @@ class MigrationService {
     return results;
   }
 
+  // Work out what migrateDevice would do for each device without writing anything.
+  // Reads the local database and both LNSs and returns a plan to confirm before migrating.
+  async planMigration(devEUIs, options = {}) {
+    const uniqueDevEUIs = [...new Set(devEUIs)];
+    console.log(`Planning migration of ${uniqueDevEUIs.length} devices (dry run)...`);
+
+    const [applications, profiles] = await Promise.all([
+      this.newLNS.getApplications(),
+      this.newLNS.getDeviceProfiles()
+    ]);
+    const targetApplication = applications.find(app => app.id === options.targetApplicationId) || null;
+    const targetDeviceProfile = profiles.find(profile => profile.id === options.targetDeviceProfileId) || null;
+
+    const warnings = [];
+    if (options.targetApplicationId && !targetApplication) {
+      warnings.push(`Target application ${options.targetApplicationId} does not exist in ${this.newLNS.name}`);
+    }
+    if (options.targetDeviceProfileId && !targetDeviceProfile) {
+      warnings.push(`Target device profile ${options.targetDeviceProfileId} does not exist in ${this.newLNS.name}`);
+    }
+
+    // Look devices up a few at a time to keep the load on the target LNS reasonable
+    const devices = [];
+    const batchSize = options.batchSize || 5;
+    for (let i = 0; i < uniqueDevEUIs.length; i += batchSize) {
+      const batch = uniqueDevEUIs.slice(i, i + batchSize);
+      devices.push(...await Promise.all(batch.map(devEUI => this.planDevice(devEUI, options, profiles, applications))));
+    }
+
+    const summary = {
+      total: devices.length,
+      create: devices.filter(device => device.action === 'create').length,
+      update: devices.filter(device => device.action === 'update').length,
+      manualAppKey: devices.filter(device => device.needsManualAppKey).length,
+      sessionsToActivate: devices.filter(device => device.session === 'activate').length,
+      manualActivation: devices.filter(device => device.session === 'manual').length,
+      applicationsToCreate: [...new Set(devices
+        .filter(device => device.targetApplication && device.targetApplication.action === 'create')
+        .map(device => device.targetApplication.name))],
+      profilesToCreate: [...new Set(devices
+        .filter(device => device.deviceProfile && device.deviceProfile.action === 'create')
+        .map(device => device.deviceProfile.name))],
+      errors: devices.filter(device => device.action === 'error').length
+    };
+    console.log(`Migration plan: ${summary.create} to create, ${summary.update} to update, ${summary.manualAppKey} need a manual AppKey, ${summary.errors} errors`);
+
+    return {
+      dryRun: true,
+      generatedAt: new Date().toISOString(),
+      cutover: options.removeFromOldLNS ? this.cutoverSettings(options) : null,
+      targetApplication: targetApplication && { id: targetApplication.id, name: targetApplication.name },
+      targetDeviceProfile: targetDeviceProfile && { id: targetDeviceProfile.id, name: targetDeviceProfile.name },
+      warnings,
+      summary,
+      devices
+    };
+  }
+
+  // Plan the migration of a single device; see planMigration
+  async planDevice(devEUI, options = {}, targetProfiles = null, targetApplications = null) {
+    const plan = {
+      devEUI,
+      name: null,
+      action: null,
+      targetApplicationId: options.targetApplicationId || null,
+      targetDeviceProfileId: options.targetDeviceProfileId || null,
+      needsManualAppKey: false,
+      needsManualNwkKey: false,
+      targetName: null,
+      mappingRule: null,
+      tags: null,
+      targetApplication: null,
+      session: null,
+      deviceProfile: null,
+      existingDevice: null,
+      warnings: [],
+      error: null
+    };
+
+    try {
+      const localDevice = await this.db.getDevice(devEUI);
+      if (!localDevice) {
+        throw new Error(`Device ${devEUI} not found in local database`);
+      }
+      plan.name = localDevice.name;
+      if (localDevice.removedFromSourceAt) {
+        plan.warnings.push(`No longer exists in ${this.oldLNS.name} (since ${localDevice.removedFromSourceAt})`);
+      }
+
+      const sourceProfile = localDevice.deviceProfileId ? await this.db.getDeviceProfile(localDevice.deviceProfileId) : null;
+      const mapping = await this.applyMappingRules(localDevice, sourceProfile, options);
+      options = mapping.options;
+      plan.mappingRule = mapping.rule;
+      plan.targetName = mapping.targetName;
+      plan.targetApplicationId = options.targetApplicationId || null;
+      plan.targetDeviceProfileId = options.targetDeviceProfileId || null;
+      plan.tags = this.targetTags(localDevice);
+
+      const isAbp = !!sourceProfile && !sourceProfile.supportsOtaa;
+      plan.needsManualAppKey = !isAbp && (!localDevice.appKey || localDevice.appKey === '00000000000000000000000000000000');
+      plan.needsManualNwkKey = !isAbp && !!sourceProfile && this.newLNS.isLorawan11(sourceProfile.macVersion) && !normalizeField(localDevice.nwkKey);
+
+      // 'activate' when the stored session will be carried over, 'manual' when an ABP device
+      // will need activating by hand, 'rejoin' when an OTAA device will have to rejoin
+      if (isAbp || options.migrateSessionKeys) {
+        const sessionKeys = await this.db.getSessionKeys(devEUI);
+        if (hasSession(sessionKeys) && this.newLNS.supportsSessionActivation) {
+          plan.session = 'activate';
+        } else {
+          plan.session = isAbp ? 'manual' : 'rejoin';
+          plan.warnings.push(hasSession(sessionKeys)
+            ? 'Session activation is not supported by the target LNS'
+            : 'No session keys stored for this device');
+        }
+      }
+
+      plan.targetApplication = await this.planTargetApplication(
+        localDevice.applicationId,
+        options,
+        targetApplications || await this.newLNS.getApplications()
+      );
+      plan.targetApplicationId = plan.targetApplication.id;
+
+      plan.deviceProfile = await this.planTargetProfile(localDevice.deviceProfileId, options, targetProfiles);
+      plan.targetDeviceProfileId = plan.deviceProfile.id;
+      if (plan.deviceProfile.action === 'selected' && !plan.deviceProfile.id) {
+        throw new Error(options.migrateDeviceProfile && localDevice.deviceProfileId
+          ? `Device profile ${localDevice.deviceProfileId} is not cached locally - run discovery or select a target device profile`
+          : 'No target device profile selected or mapped');
+      }
+
+      const existingDevice = await this.newLNS.findDevice(devEUI);
+      plan.action = existingDevice ? 'update' : 'create';
+
+      if (existingDevice) {
+        plan.existingDevice = {
+          name: existingDevice.name,
+          applicationId: existingDevice.applicationId,
+          deviceProfileId: existingDevice.deviceProfileId
+        };
+        if (plan.targetApplicationId && existingDevice.applicationId !== plan.targetApplicationId) {
+          plan.warnings.push(`Already exists in application ${existingDevice.applicationId}, not the target application`);
+        }
+        const droppedTags = Object.keys(existingDevice.tags || {}).filter(key => !(key in plan.tags));
+        if (droppedTags.length > 0) {
+          plan.warnings.push(`Tags ${droppedTags.join(', ')} of the existing device will be removed`);
+        }
+      }
+    } catch (error) {
+      plan.action = 'error';
+      plan.error = error.message;
+    }
+
+    return plan;
+  }
+
+  // Plan the migration of every device in a source application; see planMigration
+  async planApplicationMigration(sourceApplicationId, targetApplicationId, targetDeviceProfileId, options = {}) {
+    const applicationDevices = await this.getDevicesForApplication(sourceApplicationId);
+    const devEUIs = applicationDevices.devices.map(device => device.devEui);
+
+    const plan = await this.planMigration(devEUIs, {
+      ...options,
+      targetApplicationId,
+      targetDeviceProfileId
+    });
+    return { ...plan, sourceApplicationId };
+  }
+
   // Get migration status and history
   async getMigrationHistory(devEUI = null) {
     return this.db.getMigrationHistory(devEUI);
@@ -422,7 +1857,7 @@ class MigrationService {
   // Migrate all devices from a source application to target application
   async migrateApplicationDevices(sourceApplicationId, targetApplicationId, targetDeviceProfileId, options = {}) {
     try {
-      console.log(`Starting application migration from ${sourceApplicationId} to ${targetApplicationId}`);
+      console.log(`Starting application migration from ${sourceApplicationId} to ${targetApplicationId || 'its mapped application'}`);
       
       // Get all devices from the source application
       const applicationDevices = await this.getDevicesForApplication(sourceApplicationId);
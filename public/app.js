@@ -4,6 +4,10 @@ let filteredDevices = [];
 const selectedDevices = new Set();
 let migrationInProgress = false;
 
+// Logged-in user and role hierarchy (mirrors auth.js on the server)
+let currentUser = null;
+const ROLES = ['viewer', 'operator', 'admin'];
+
 // Global variables
 let currentStep = 1;
 let sourceTestPassed = false;
@@ -13,19 +17,105 @@ let targetTestPassed = false;
 const API_BASE = '/api';
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     console.log('LoRa Key Manager initialized');
     
+    // Require a logged-in user before loading anything
+    try {
+        const response = await apiCall('/auth/me');
+        setCurrentUser(response.user);
+        loadDashboard();
+    } catch (error) {
+        showLoginModal();
+    }
+});
+
+function loadDashboard() {
     // Load initial data
     checkConnections();
     loadDevices();
     loadApplications();
     loadDeviceProfiles();
     loadMigrationHistory();
+    loadMigrationJobs();
+    loadMappingRules();
+    if (hasRole('operator')) {
+        resumeDiscovery();
+    }
     
     // Check if setup is needed
     checkSetupStatus();
-});
+}
+
+// Authentication
+function hasRole(role) {
+    return !!currentUser && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+}
+
+function setCurrentUser(user) {
+    currentUser = user;
+    
+    const userLabel = document.getElementById('currentUser');
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (user) {
+        userLabel.innerHTML = `<i class="bi bi-person-circle"></i> ${user.username} (${user.role})`;
+        userLabel.classList.remove('d-none');
+        logoutBtn.classList.remove('d-none');
+    } else {
+        userLabel.classList.add('d-none');
+        logoutBtn.classList.add('d-none');
+    }
+    
+    applyRoleVisibility();
+}
+
+// Hide controls the current user's role is not allowed to use
+function applyRoleVisibility() {
+    document.querySelectorAll('[data-min-role]').forEach(element => {
+        element.style.display = hasRole(element.dataset.minRole) ? '' : 'none';
+    });
+}
+
+function showLoginModal() {
+    const modalElement = document.getElementById('loginModal');
+    if (!modalElement.classList.contains('show')) {
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
+    }
+}
+
+async function login(event) {
+    event.preventDefault();
+    
+    const loginError = document.getElementById('loginError');
+    loginError.classList.add('d-none');
+    
+    try {
+        const result = await apiCall('/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({
+                username: document.getElementById('loginUsername').value.trim(),
+                password: document.getElementById('loginPassword').value
+            })
+        });
+        
+        document.getElementById('loginPassword').value = '';
+        bootstrap.Modal.getInstance(document.getElementById('loginModal')).hide();
+        setCurrentUser(result.user);
+        loadDashboard();
+    } catch (error) {
+        loginError.textContent = error.message;
+        loginError.classList.remove('d-none');
+    }
+}
+
+// eslint-disable-next-line no-unused-vars
+async function logout() {
+    try {
+        await apiCall('/auth/logout', { method: 'POST' });
+    } finally {
+        window.location.reload();
+    }
+}
 
 // Function to open setup modal manually
 // eslint-disable-next-line no-unused-vars
@@ -109,6 +199,12 @@ async function apiCall(endpoint, options = {}) {
             ...options
         });
         
+        if (response.status === 401 && endpoint !== '/auth/login' && endpoint !== '/auth/me') {
+            // Session expired or missing - ask the user to log in again
+            setCurrentUser(null);
+            showLoginModal();
+        }
+        
         if (!response.ok) {
             const error = await response.json();
             throw new Error(error.error || `HTTP ${response.status}`);
@@ -217,13 +313,20 @@ function renderDevices() {
                     <small>${device.applicationId ? device.applicationId.substring(0, 8) + '...' : 'N/A'}</small>
                 </td>
                 <td>
-                    <small>${device.deviceProfileId ? device.deviceProfileId.substring(0, 8) + '...' : 'N/A'}</small>
+                    <small>${device.deviceProfileId ? device.deviceProfileId.substring(0, 8) + '...' : (device.sourceProfileName || 'N/A')}</small>
                 </td>
                 <td>
                     <small>${formatDate(device.updated_at)}</small>
                 </td>
                 <td>
-                    <span class="badge bg-success">Ready</span>
+                    ${device.removedFromSourceAt
+                        ? `<span class="badge bg-secondary" title="Not found by discovery since ${formatDate(device.removedFromSourceAt)}">Removed from old LNS</span>`
+                        : '<span class="badge bg-success">Ready</span>'}
+                    ${device.importedFrom ? `<span class="badge bg-info" title="Imported from ${device.importedFrom}">Imported</span>` : ''}
+                    ${hasRole('admin') ? `
+                        <button class="btn btn-sm btn-link p-0 ms-1" onclick="revealDeviceKeys('${device.devEUI}')" title="Reveal keys">
+                            <i class="bi bi-key"></i>
+                        </button>` : ''}
                 </td>
             </tr>
         `;
@@ -233,6 +336,40 @@ function renderDevices() {
     updateSelectAllCheckbox();
 }
 
+// Show the decrypted keys of a device (admin only)
+// eslint-disable-next-line no-unused-vars
+async function revealDeviceKeys(devEUI) {
+    if (!confirm(`Reveal the keys of device ${formatDevEUI(devEUI)}? This access is logged.`)) {
+        return;
+    }
+    
+    try {
+        const keys = await apiCall(`/devices/${devEUI}/keys`);
+        const rows = [
+            ['DevEUI', keys.devEUI],
+            ['JoinEUI / AppEUI', keys.appEUI],
+            ['AppKey', keys.appKey],
+            ['NwkKey (LoRaWAN 1.1)', keys.nwkKey],
+            ['DevAddr', keys.sessionKeys?.devAddr],
+            ['NwkSKey / NwkSEncKey', keys.sessionKeys?.nwkSKey],
+            ['SNwkSIntKey', keys.sessionKeys?.sNwkSIntKey],
+            ['FNwkSIntKey', keys.sessionKeys?.fNwkSIntKey],
+            ['AppSKey', keys.sessionKeys?.appSKey]
+        ].filter(([, value]) => value);
+        
+        document.getElementById('deviceKeysBody').innerHTML = rows.map(([label, value]) => `
+            <div class="mb-2">
+                <small class="text-muted">${label}</small><br>
+                <code class="user-select-all">${value}</code>
+            </div>
+        `).join('');
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('deviceKeysModal')).show();
+    } catch (error) {
+        console.error('Error revealing device keys:', error);
+        showAlert('Failed to reveal device keys: ' + error.message, 'danger');
+    }
+}
+
 function toggleDeviceSelection(devEUI) {
     if (migrationInProgress) return;
     
@@ -346,16 +483,27 @@ function toggleSelectAll() {
     updateMigrateButton();
 }
 
-// Device discovery
+// Device discovery, run in the background by the server
 async function discoverDevices() {
     try {
-        showAlert('Starting device discovery from old LNS...', 'info');
-        
-        const results = await apiCall('/devices/discover', {
+        const started = await apiCall('/devices/discover', {
             method: 'POST'
         });
+        showAlert('Started device discovery from old LNS...', 'info');
+        
+        const discovery = await followDiscovery(started);
+        if (discovery.status === 'failed') {
+            showAlert('Device discovery failed: ' + discovery.error, 'danger');
+            return;
+        }
         
-        showAlert(`Discovery complete! Synced ${results.synced}/${results.total} devices.`, 'success');
+        const results = discovery.results;
+        showAlert(`Discovery complete! ${results.added} new, ${results.changed} changed, ${results.unchanged} unchanged, ${results.removed} removed from old LNS.`, 'success');
+        
+        if (results.failedApplications.length > 0) {
+            showAlert(`Devices of ${results.failedApplications.length} application(s) could not be listed. Check console for details.`, 'warning');
+            console.warn('Applications not listed:', results.failedApplications);
+        }
         
         if (results.errors.length > 0) {
             console.warn('Discovery errors:', results.errors);
@@ -371,6 +519,110 @@ async function discoverDevices() {
     }
 }
 
+// Poll a background discovery until it finishes, showing its progress on the discover button
+async function followDiscovery(discovery) {
+    const button = document.getElementById('discoverButton');
+    const label = button.innerHTML;
+    button.disabled = true;
+    
+    try {
+        while (discovery.status === 'running') {
+            button.innerHTML = `<i class="bi bi-hourglass-split"></i> Discovering... ${discovery.processed}/${discovery.total ?? '?'}`;
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            discovery = await apiCall('/devices/discover');
+        }
+        return discovery;
+    } finally {
+        button.disabled = false;
+        button.innerHTML = label;
+    }
+}
+
+// Pick up a discovery started before the page was loaded
+async function resumeDiscovery() {
+    try {
+        const discovery = await apiCall('/devices/discover');
+        if (discovery.status === 'running') {
+            await followDiscovery(discovery);
+            await loadDevices();
+        }
+    } catch (error) {
+        // No discovery has run yet
+    }
+}
+
+// eslint-disable-next-line no-unused-vars
+function openManifestImport() {
+    document.getElementById('manifestImportForm').reset();
+    document.getElementById('manifestImportResult').innerHTML = '';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('manifestImportModal')).show();
+}
+
+// Check (dryRun) or import the selected manifest file
+// eslint-disable-next-line no-unused-vars
+async function importManifest(dryRun) {
+    const file = document.getElementById('manifestFile').files[0];
+    if (!file) {
+        showAlert('Select a manifest file first', 'warning');
+        return;
+    }
+    
+    try {
+        const results = await apiCall(`/devices/import${dryRun ? '?dryRun=true' : ''}`, {
+            method: 'POST',
+            body: JSON.stringify({
+                content: await file.text(),
+                name: file.name,
+                applicationId: document.getElementById('manifestApplication').value.trim() || undefined,
+                overwrite: document.getElementById('manifestOverwrite').checked,
+                passphrase: document.getElementById('manifestPassphrase').value || undefined
+            })
+        });
+        renderManifestImport(results);
+        
+        if (!dryRun) {
+            showAlert(`Manifest imported: ${results.imported} new, ${results.updated} updated.`, 'success');
+            await loadDevices();
+        }
+    } catch (error) {
+        console.error('Error importing manifest:', error);
+        showAlert('Manifest import failed: ' + error.message, 'danger');
+    }
+}
+
+function renderManifestImport(results) {
+    const escape = text => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const problems = [
+        ...results.errors.map(error => ({ ...error, badge: 'danger', text: error.error })),
+        ...results.skipped.map(skip => ({ ...skip, badge: 'secondary', text: skip.reason }))
+    ].sort((a, b) => a.line - b.line);
+    
+    const rows = problems.map(problem => `
+        <tr>
+            <td>${problem.line}</td>
+            <td><code>${escape(problem.devEUI) || '-'}</code></td>
+            <td><span class="badge bg-${problem.badge}">${problem.badge === 'danger' ? 'invalid' : 'skipped'}</span> ${escape(problem.text)}</td>
+        </tr>
+    `).join('');
+    
+    document.getElementById('manifestImportResult').innerHTML = `
+        <div class="alert alert-${results.errors.length > 0 ? 'warning' : 'success'} mb-2">
+            ${results.dryRun ? 'Check only - nothing has been imported yet.' : 'Import finished.'}
+            ${escape(results.name)} (${results.format}): ${results.total} devices,
+            ${results.imported} new, ${results.updated} updated,
+            ${results.skipped.length} skipped, ${results.errors.length} invalid.
+        </div>
+        ${rows ? `
+            <div class="table-responsive">
+                <table class="table table-sm">
+                    <thead><tr><th>Line</th><th>DevEUI</th><th>Problem</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        ` : ''}
+    `;
+}
+
 // Application and profile loading
 async function loadApplications() {
     try {
@@ -380,7 +632,7 @@ async function loadApplications() {
         const sourceSelect = document.getElementById('sourceApplication');
         
         // Load target applications (new LNS)
-        const targetOptions = '<option value="">Select target application...</option>' +
+        const targetOptions = '<option value="">Mapping rule or application mapping</option>' +
             (applications.newLNS.applications || []).map(app => 
                 `<option value="${app.id}">${app.name} (${app.id})</option>`
             ).join('');
@@ -416,7 +668,7 @@ async function loadDeviceProfiles() {
         const select = document.getElementById('targetDeviceProfile');
         const bulkSelect = document.getElementById('bulkTargetDeviceProfile');
         
-        const options = '<option value="">Select target device profile...</option>' +
+        const options = '<option value="">Matched profile or mapping rule</option>' +
             (profiles.newLNS.profiles || []).map(profile => 
                 `<option value="${profile.id}">${profile.name} (${profile.id})</option>`
             ).join('');
@@ -442,7 +694,9 @@ function getMigrationOptions() {
         migrateDeviceProfile: document.getElementById('migrateDeviceProfile').checked,
         migrateDecoder: document.getElementById('migrateDecoder').checked,
         migrateSessionKeys: document.getElementById('migrateSessionKeys').checked,
+        createTargetApplication: document.getElementById('createTargetApplication').checked,
         removeFromOldLNS: document.getElementById('removeFromOldLNS').checked,
+        cutoverMode: document.getElementById('cutoverMode').value,
         skipFcntCheck: document.getElementById('skipFcntCheck').checked
     };
 }
@@ -455,28 +709,387 @@ async function migrateSelectedDevices() {
     
     const options = getMigrationOptions();
     
-    if (!options.targetApplicationId) {
-        showAlert('Please select a target application.', 'warning');
+    migrationInProgress = true;
+    updateMigrateButton();
+    
+    try {
+        // Show what the migration would do and let the user confirm it
+        const plan = await apiCall('/devices/migrate/batch?dryRun=true', {
+            method: 'POST',
+            body: JSON.stringify({
+                devEUIs: Array.from(selectedDevices),
+                options
+            })
+        });
+        
+        if (!await confirmMigrationPlan(plan)) {
+            migrationInProgress = false;
+            updateMigrateButton();
+            return;
+        }
+        
+        // Cutover takes devices off the old network, so it needs its own confirmation
+        if (options.removeFromOldLNS) {
+            const action = options.cutoverMode === 'delete' ? 'DELETED from' : 'DISABLED in';
+            if (!confirm(`Verified devices will be ${action} the old LNS after migration. Continue?`)) {
+                migrationInProgress = false;
+                updateMigrateButton();
+                return;
+            }
+            options.confirmCutover = true;
+        }
+        
+        const job = await apiCall('/jobs', {
+            method: 'POST',
+            body: JSON.stringify({
+                devEUIs: Array.from(selectedDevices),
+                options
+            })
+        });
+        
+        clearSelection();
+        followMigrationJob(job);
+        
+    } catch (error) {
+        console.error('Migration error:', error);
+        showAlert('Migration failed: ' + error.message, 'danger');
+        migrationInProgress = false;
+        updateMigrateButton();
+    }
+}
+
+// Render a dry-run migration plan and resolve to true when the user confirms it
+function confirmMigrationPlan(plan) {
+    const modalElement = document.getElementById('migrationPlanModal');
+    const confirmBtn = document.getElementById('confirmMigrationPlanBtn');
+    const { summary } = plan;
+    
+    const actionBadges = {
+        create: '<span class="badge bg-success">create</span>',
+        update: '<span class="badge bg-info">update</span>',
+        error: '<span class="badge bg-danger">error</span>'
+    };
+    
+    const rows = plan.devices.map(device => {
+        const notes = [...device.warnings];
+        if (device.error) {
+            notes.push(device.error);
+        }
+        if (device.needsManualAppKey) {
+            notes.push('No AppKey - must be set manually');
+        }
+        if (device.needsManualNwkKey) {
+            notes.push('LoRaWAN 1.1 device without NwkKey - must be set manually');
+        }
+        if (device.session === 'activate') {
+            notes.push('Session will be activated');
+        } else if (device.session === 'manual') {
+            notes.push('ABP device - must be activated manually');
+        } else if (device.session === 'rejoin') {
+            notes.push('Session not migrated - device will rejoin');
+        }
+        if (device.mappingRule) {
+            notes.push(`Mapping rule ${device.mappingRule.name}${device.targetName !== device.name ? ` - renamed to ${device.targetName}` : ''}`);
+        }
+        if (device.targetApplication && device.targetApplication.action === 'create') {
+            notes.push(`Creates application ${device.targetApplication.name}`);
+        } else if (device.targetApplication && device.targetApplication.action === 'mapped') {
+            notes.push(`Mapped application ${device.targetApplication.name}`);
+        }
+        if (device.deviceProfile && device.deviceProfile.action === 'create') {
+            notes.push(`Creates device profile ${device.deviceProfile.name}`);
+        } else if (device.deviceProfile && device.deviceProfile.action === 'matched') {
+            notes.push(`Device profile ${device.deviceProfile.name}`);
+        }
+        return `
+            <tr>
+                <td><code>${formatDevEUI(device.devEUI)}</code></td>
+                <td>${device.name || '-'}</td>
+                <td>${actionBadges[device.action] || device.action}</td>
+                <td>${device.needsManualAppKey ? '<span class="badge bg-warning text-dark">manual</span>' : '<span class="badge bg-success">automatic</span>'}</td>
+                <td><small>${notes.join('<br>') || '-'}</small></td>
+            </tr>
+        `;
+    }).join('');
+    
+    const cutoverNotice = plan.cutover
+        ? `<div class="alert alert-danger py-2"><i class="bi bi-exclamation-triangle"></i> Verified devices will be ${plan.cutover.mode === 'delete' ? 'deleted from' : 'disabled in'} the old LNS ${Math.round(plan.cutover.delay / 1000)}s after migration.</div>`
+        : '';
+    
+    document.getElementById('migrationPlanBody').innerHTML = `
+        ${plan.warnings.map(warning => `<div class="alert alert-warning py-2">${warning}</div>`).join('')}
+        ${cutoverNotice}
+        <p>
+            Target application: <strong>${plan.targetApplication ? plan.targetApplication.name : 'mapped per source application'}</strong>,
+            device profile: <strong>${plan.targetDeviceProfile ? plan.targetDeviceProfile.name : '-'}</strong>
+        </p>
+        <p>
+            <span class="badge bg-success">${summary.create} to create</span>
+            <span class="badge bg-info">${summary.update} to update</span>
+            <span class="badge bg-warning text-dark">${summary.manualAppKey} need a manual AppKey</span>
+            ${summary.sessionsToActivate ? `<span class="badge bg-info">${summary.sessionsToActivate} sessions to activate</span>` : ''}
+            ${summary.manualActivation ? `<span class="badge bg-warning text-dark">${summary.manualActivation} need manual activation</span>` : ''}
+            <span class="badge bg-danger">${summary.errors} will fail</span>
+        </p>
+        ${summary.applicationsToCreate.length > 0 ? `<p>Applications to create on the new LNS: <strong>${summary.applicationsToCreate.join(', ')}</strong></p>` : ''}
+        ${summary.profilesToCreate.length > 0 ? `<p>Device profiles to create on the new LNS: <strong>${summary.profilesToCreate.join(', ')}</strong></p>` : ''}
+        <div class="table-responsive">
+            <table class="table table-sm">
+                <thead>
+                    <tr><th>DevEUI</th><th>Name</th><th>Action</th><th>AppKey</th><th>Notes</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="5" class="text-center text-muted">No devices</td></tr>'}</tbody>
+            </table>
+        </div>
+    `;
+    confirmBtn.disabled = summary.total === 0 || plan.warnings.length > 0;
+    
+    const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+    return new Promise(resolve => {
+        let confirmed = false;
+        const onConfirm = () => {
+            confirmed = true;
+            modal.hide();
+        };
+        confirmBtn.addEventListener('click', onConfirm);
+        modalElement.addEventListener('hidden.bs.modal', () => {
+            confirmBtn.removeEventListener('click', onConfirm);
+            resolve(confirmed);
+        }, { once: true });
+        modal.show();
+    });
+}
+
+// Mapping rules
+let mappingRules = [];
+
+function describeMappingRule(rule) {
+    const matches = [];
+    if (rule.sourceApplicationId) matches.push(`application ${optionLabel('sourceApplication', rule.sourceApplicationId)}`);
+    if (rule.sourceDeviceProfile) matches.push(`profile ${rule.sourceDeviceProfile}`);
+    if (rule.nameRegex) matches.push(`name /${rule.nameRegex}/`);
+    if (rule.tags) matches.push(Object.entries(rule.tags).map(([key, value]) => `${key}=${value}`).join(', '));
+    
+    const sets = [];
+    if (rule.targetApplicationId) sets.push(`application ${optionLabel('targetApplication', rule.targetApplicationId)}`);
+    if (rule.targetDeviceProfileId) sets.push(`profile ${optionLabel('targetDeviceProfile', rule.targetDeviceProfileId)}`);
+    if (rule.nameTemplate) sets.push(`name ${rule.nameTemplate}`);
+    if (rule.skipFcntCheck !== null) sets.push(`skipFcntCheck ${rule.skipFcntCheck}`);
+    
+    return { matches: matches.join('<br>') || 'all devices', sets: sets.join('<br>') };
+}
+
+// Text of the option with the given value in a select, or the value itself
+function optionLabel(selectId, value) {
+    const option = [...document.getElementById(selectId).options].find(item => item.value === value);
+    return option ? option.text : value;
+}
+
+async function loadMappingRules() {
+    try {
+        mappingRules = await apiCall('/mapping-rules');
+        const tableBody = document.getElementById('mappingRulesTable');
+        
+        if (mappingRules.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No mapping rules</td></tr>';
+            return;
+        }
+        
+        tableBody.innerHTML = mappingRules.map(rule => {
+            const { matches, sets } = describeMappingRule(rule);
+            const actions = hasRole('operator') ? `
+                <button class="btn btn-sm btn-outline-primary" onclick="openMappingRule(${rule.id})" title="Edit"><i class="bi bi-pencil"></i></button>
+                <button class="btn btn-sm btn-outline-danger ms-1" onclick="deleteMappingRule(${rule.id})" title="Delete"><i class="bi bi-trash"></i></button>
+            ` : '';
+            return `
+                <tr class="${rule.enabled ? '' : 'text-muted'}">
+                    <td>${rule.priority}</td>
+                    <td>${rule.name}${rule.enabled ? '' : ' <span class="badge bg-secondary">disabled</span>'}</td>
+                    <td><small>${matches}</small></td>
+                    <td><small>${sets}</small></td>
+                    <td>${actions}</td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading mapping rules:', error);
+        showAlert('Failed to load mapping rules: ' + error.message, 'danger');
+    }
+}
+
+// Fill a rule form select with the options of one of the migration selects
+function copySelectOptions(fromId, toId, placeholder, value) {
+    const target = document.getElementById(toId);
+    target.innerHTML = `<option value="">${placeholder}</option>` +
+        [...document.getElementById(fromId).options]
+            .filter(option => option.value)
+            .map(option => `<option value="${option.value}">${option.text}</option>`)
+            .join('');
+    target.value = value || '';
+}
+
+// eslint-disable-next-line no-unused-vars
+function openMappingRule(ruleId) {
+    const rule = mappingRules.find(item => item.id === ruleId) || { priority: 100, enabled: true, skipFcntCheck: null };
+    
+    document.getElementById('ruleId').value = rule.id || '';
+    document.getElementById('ruleName').value = rule.name || '';
+    document.getElementById('rulePriority').value = rule.priority;
+    document.getElementById('ruleEnabled').checked = rule.enabled;
+    copySelectOptions('sourceApplication', 'ruleSourceApplication', 'Any application', rule.sourceApplicationId);
+    document.getElementById('ruleSourceDeviceProfile').value = rule.sourceDeviceProfile || '';
+    document.getElementById('ruleNameRegex').value = rule.nameRegex || '';
+    document.getElementById('ruleTags').value = rule.tags ? Object.entries(rule.tags).map(([key, value]) => `${key}=${value}`).join(', ') : '';
+    copySelectOptions('targetApplication', 'ruleTargetApplication', 'Do not set', rule.targetApplicationId);
+    copySelectOptions('targetDeviceProfile', 'ruleTargetDeviceProfile', 'Do not set', rule.targetDeviceProfileId);
+    document.getElementById('ruleNameTemplate').value = rule.nameTemplate || '';
+    document.getElementById('ruleSkipFcntCheck').value = rule.skipFcntCheck === null ? '' : String(rule.skipFcntCheck);
+    
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('mappingRuleModal')).show();
+}
+
+// eslint-disable-next-line no-unused-vars
+async function saveMappingRule() {
+    const ruleId = document.getElementById('ruleId').value;
+    const tags = Object.fromEntries(document.getElementById('ruleTags').value
+        .split(',')
+        .map(pair => pair.split('=').map(part => part.trim()))
+        .filter(([key]) => key));
+    const skipFcntCheck = document.getElementById('ruleSkipFcntCheck').value;
+    
+    const rule = {
+        name: document.getElementById('ruleName').value,
+        priority: document.getElementById('rulePriority').value,
+        enabled: document.getElementById('ruleEnabled').checked,
+        sourceApplicationId: document.getElementById('ruleSourceApplication').value,
+        sourceDeviceProfile: document.getElementById('ruleSourceDeviceProfile').value.trim(),
+        nameRegex: document.getElementById('ruleNameRegex').value,
+        tags,
+        targetApplicationId: document.getElementById('ruleTargetApplication').value,
+        targetDeviceProfileId: document.getElementById('ruleTargetDeviceProfile').value,
+        nameTemplate: document.getElementById('ruleNameTemplate').value,
+        skipFcntCheck: skipFcntCheck === '' ? null : skipFcntCheck === 'true'
+    };
+    
+    try {
+        await apiCall(ruleId ? `/mapping-rules/${ruleId}` : '/mapping-rules', {
+            method: ruleId ? 'PUT' : 'POST',
+            body: JSON.stringify(rule)
+        });
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('mappingRuleModal')).hide();
+        showAlert(`Mapping rule ${rule.name} saved.`, 'success');
+        await loadMappingRules();
+    } catch (error) {
+        console.error('Error saving mapping rule:', error);
+        showAlert('Failed to save mapping rule: ' + error.message, 'danger');
+    }
+}
+
+// eslint-disable-next-line no-unused-vars
+async function deleteMappingRule(ruleId) {
+    const rule = mappingRules.find(item => item.id === ruleId);
+    if (!confirm(`Delete mapping rule ${rule ? rule.name : ruleId}?`)) {
         return;
     }
     
-    // Confirm migration
-    const confirmMessage = `Are you sure you want to migrate ${selectedDevices.size} device(s) to the new LNS?`;
-    if (!confirm(confirmMessage)) {
+    try {
+        await apiCall(`/mapping-rules/${ruleId}`, { method: 'DELETE' });
+        showAlert('Mapping rule deleted.', 'info');
+        await loadMappingRules();
+    } catch (error) {
+        console.error('Error deleting mapping rule:', error);
+        showAlert('Failed to delete mapping rule: ' + error.message, 'danger');
+    }
+}
+
+// Payload codec migration on its own, without migrating devices
+function renderCodecResults(response) {
+    const statusBadges = {
+        'updated': 'success',
+        'will_update': 'info',
+        'unchanged': 'secondary',
+        'skipped': 'secondary',
+        'conflict': 'warning',
+        'no_target_profile': 'dark',
+        'failed': 'danger'
+    };
+    
+    const rows = response.results.map(result => {
+        const diff = result.diff
+            ? `<pre class="small mb-0 mt-2">${result.diff.map(({ type, line }) => {
+                const escaped = `${type}${line}`.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+                const color = type === '+' ? 'text-success' : type === '-' ? 'text-danger' : 'text-muted';
+                return `<span class="${color}">${escaped}</span>`;
+            }).join('\n')}</pre>`
+            : '';
+        return `
+            <tr>
+                <td>${result.name || result.sourceProfileId}</td>
+                <td><span class="badge bg-${statusBadges[result.status] || 'secondary'}">${result.status.replace(/_/g, ' ')}</span></td>
+                <td>${result.runtime || '-'}${result.targetRuntime && result.targetRuntime !== result.runtime ? ` <small class="text-muted">(target: ${result.targetRuntime})</small>` : ''}</td>
+                <td>${result.error || ''}${diff}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    document.getElementById('codecResults').innerHTML = `
+        <p class="text-muted">
+            ${response.dryRun ? 'Preview - nothing has been changed yet.' : 'Codec migration finished.'}
+            Diffs show the target LNS script (-) against the script being migrated (+).
+        </p>
+        <div class="table-responsive">
+            <table class="table table-sm">
+                <thead>
+                    <tr><th>Device Profile</th><th>Status</th><th>Codec</th><th>Details</th></tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="4" class="text-center text-muted">No cached device profiles - run discovery first</td></tr>'}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// eslint-disable-next-line no-unused-vars
+async function openCodecMigration() {
+    try {
+        const response = await apiCall('/codecs/migrate?dryRun=true', { method: 'POST', body: JSON.stringify({}) });
+        renderCodecResults(response);
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('codecModal')).show();
+    } catch (error) {
+        console.error('Error planning codec migration:', error);
+        showAlert('Failed to load codec migration preview: ' + error.message, 'danger');
+    }
+}
+
+// eslint-disable-next-line no-unused-vars
+async function runCodecMigration(overwrite) {
+    if (overwrite && !confirm('Replace codecs on the new LNS that differ from the old LNS?')) {
         return;
     }
     
-    migrationInProgress = true;
-    updateMigrateButton();
+    try {
+        const response = await apiCall('/codecs/migrate', { method: 'POST', body: JSON.stringify({ overwrite }) });
+        renderCodecResults(response);
+        showAlert(`Payload codecs migrated: ${response.summary.updated || 0} device profiles updated.`, 'success');
+    } catch (error) {
+        console.error('Error migrating codecs:', error);
+        showAlert('Codec migration failed: ' + error.message, 'danger');
+    }
+}
+
+// Live migration progress, streamed from the server as Server-Sent Events
+let migrationEvents = null;
+
+function followMigrationJob(job) {
+    if (migrationEvents) {
+        migrationEvents.close();
+    }
     
-    // Show progress panel
     const progressPanel = document.getElementById('migrationProgress');
-    progressPanel.style.display = 'block';
-    
     const progressBar = document.getElementById('progressBar');
+    const progressCounts = document.getElementById('progressCounts');
     const migrationLog = document.getElementById('migrationLog');
     
-    // Clear previous log
+    progressPanel.style.display = 'block';
     migrationLog.innerHTML = '';
     
     function addLogEntry(message, type = 'info') {
@@ -488,69 +1101,94 @@ async function migrateSelectedDevices() {
         migrationLog.scrollTop = migrationLog.scrollHeight;
     }
     
-    try {
-        addLogEntry(`Starting migration of ${selectedDevices.size} devices...`);
+    function renderJob(update) {
+        const counts = update.counts || {};
+        const progress = update.total > 0 ? Math.round((update.processed / update.total) * 100) : 0;
+        progressBar.style.width = `${progress}%`;
+        progressBar.textContent = `${progress}%`;
+        progressCounts.innerHTML = `
+            ${update.processed}/${update.total} processed -
+            <span class="text-success">${counts.completed || 0} succeeded</span>,
+            <span class="text-warning">${counts.requires_manual_steps || 0} need manual steps</span>,
+            <span class="text-danger">${counts.failed || 0} failed</span>
+        `;
+    }
+    
+    const stepStyles = {
+        started: ['→', 'muted'],
+        device_created: ['+', 'info'],
+        device_updated: ['~', 'info'],
+        keys_set: ['🔑', 'info'],
+        application_created: ['+', 'info'],
+        application_mapped: ['=', 'muted'],
+        profile_created: ['+', 'info'],
+        codec_migrated: ['{}', 'info'],
+        codec_conflict: ['{}', 'warning'],
+        codec_failed: ['{}', 'danger'],
+        session_activated: ['🔑', 'info'],
+        session_skipped: ['!', 'warning'],
+        profile_matched: ['=', 'muted'],
+        manual_step_required: ['!', 'warning'],
+        completed: ['✓', 'success'],
+        requires_manual_steps: ['!', 'warning'],
+        verified: ['🔍', 'success'],
+        verification_failed: ['🔍', 'warning'],
+        cutover_pending: ['⏳', 'warning'],
+        cutover_skipped: ['!', 'warning'],
+        cutover_cancelled: ['!', 'warning'],
+        cutover_failed: ['✗', 'danger'],
+        source_removed: ['✂', 'info'],
+        failed: ['✗', 'danger']
+    };
+    
+    addLogEntry(`Migration job #${job.id} queued with ${job.total} devices...`);
+    renderJob(job);
+    
+    const events = new EventSource(`/api/jobs/${job.id}/events`);
+    migrationEvents = events;
+    let lastStatus = job.status;
+    
+    events.addEventListener('progress', event => {
+        const progress = JSON.parse(event.data);
+        const [symbol, type] = stepStyles[progress.step] || ['•', 'info'];
+        const duration = progress.duration !== undefined ? ` (${(progress.duration / 1000).toFixed(1)}s)` : '';
+        addLogEntry(`${symbol} ${formatDevEUI(progress.devEUI)}: ${progress.message}${duration}`, type);
+    });
+    
+    events.addEventListener('job', async event => {
+        const update = JSON.parse(event.data);
+        renderJob(update);
         
-        const devEUIArray = Array.from(selectedDevices);
-        let completed = 0;
+        if (update.status !== lastStatus) {
+            lastStatus = update.status;
+            addLogEntry(`Job #${update.id} is ${update.status}`);
+            loadMigrationJobs();
+        }
         
-        // Migrate devices in batches
-        const batchSize = 5;
-        for (let i = 0; i < devEUIArray.length; i += batchSize) {
-            const batch = devEUIArray.slice(i, i + batchSize);
-            
-            addLogEntry(`Processing batch ${Math.floor(i / batchSize) + 1} (${batch.length} devices)...`);
-            
-            const batchPromises = batch.map(async (devEUI) => {
-                try {
-                    await apiCall(`/devices/${devEUI}/migrate`, {
-                        method: 'POST',
-                        body: JSON.stringify(options)
-                    });
-                    
-                    completed++;
-                    const progress = Math.round((completed / devEUIArray.length) * 100);
-                    progressBar.style.width = `${progress}%`;
-                    progressBar.textContent = `${progress}%`;
-                    
-                    addLogEntry(`✓ Migrated device: ${devEUI}`, 'success');
-                    return { devEUI, success: true };
-                    
-                } catch (error) {
-                    completed++;
-                    const progress = Math.round((completed / devEUIArray.length) * 100);
-                    progressBar.style.width = `${progress}%`;
-                    progressBar.textContent = `${progress}%`;
-                    
-                    addLogEntry(`✗ Failed to migrate ${devEUI}: ${error.message}`, 'danger');
-                    return { devEUI, success: false, error: error.message };
-                }
-            });
+        if (update.status === 'completed' || update.status === 'cancelled') {
+            events.close();
+            migrationEvents = null;
+            migrationInProgress = false;
+            updateMigrateButton();
             
-            await Promise.all(batchPromises);
+            const failed = (update.counts && update.counts.failed) || 0;
+            addLogEntry(`Migration ${update.status}: ${update.processed}/${update.total} devices processed, ${failed} failed`, failed > 0 ? 'warning' : 'success');
+            showAlert(`Migration job #${update.id} ${update.status}.`, failed > 0 ? 'warning' : 'success');
             
-            // Small delay between batches
-            if (i + batchSize < devEUIArray.length) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
+            await loadDevices();
+            await loadMigrationHistory();
         }
-        
-        addLogEntry('Migration completed!', 'success');
-        showAlert('Migration completed successfully!', 'success');
-        
-        // Clear selection and reload data
-        clearSelection();
-        await loadDevices();
-        await loadMigrationHistory();
-        
-    } catch (error) {
-        console.error('Migration error:', error);
-        addLogEntry(`Migration failed: ${error.message}`, 'danger');
-        showAlert('Migration failed: ' + error.message, 'danger');
-    } finally {
-        migrationInProgress = false;
-        updateMigrateButton();
-    }
+    });
+    
+    // EventSource reconnects on its own; only give up once the server refuses the stream
+    events.onerror = () => {
+        if (events.readyState === EventSource.CLOSED) {
+            addLogEntry('Lost connection to the migration progress stream', 'danger');
+            migrationEvents = null;
+            migrationInProgress = false;
+            updateMigrateButton();
+        }
+    };
 }
 
 // Migration history
@@ -560,7 +1198,7 @@ async function loadMigrationHistory() {
         const tableBody = document.getElementById('migrationHistoryTable');
         
         if (history.length === 0) {
-            tableBody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No migration history</td></tr>';
+            tableBody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No migration history</td></tr>';
             return;
         }
         
@@ -569,15 +1207,24 @@ async function loadMigrationHistory() {
                 'completed': 'success',
                 'failed': 'danger',
                 'in_progress': 'warning',
-                'pending': 'secondary'
+                'pending': 'secondary',
+                'rolled_back': 'dark',
+                'rollback_failed': 'danger'
             }[record.status] || 'secondary';
             
+            const options = JSON.parse(record.migration_options || '{}');
+            const rollbackOf = options.rollbackOf ? ` <small class="text-muted">of #${options.rollbackOf}</small>` : '';
+            const rollbackButton = hasRole('operator') && record.can_rollback
+                ? ` <button class="btn btn-sm btn-link p-0 text-danger" onclick="rollbackMigration(${record.id}, '${record.devEUI}')" title="Roll back"><i class="bi bi-arrow-counterclockwise"></i></button>`
+                : '';
+            
             return `
                 <tr>
                     <td><code>${formatDevEUI(record.devEUI)}</code></td>
-                    <td><span class="badge bg-${statusBadge}">${record.status}</span></td>
+                    <td><span class="badge bg-${statusBadge}">${record.status}</span>${rollbackOf}${rollbackButton}</td>
                     <td>${formatDate(record.started_at)}</td>
                     <td>${formatDate(record.completed_at)}</td>
+                    <td>${options.rollbackOf ? '-' : renderVerification(record)}${renderCutover(record)}</td>
                     <td>${record.error_message || '-'}</td>
                 </tr>
             `;
@@ -591,6 +1238,195 @@ async function loadMigrationHistory() {
     }
 }
 
+// Result of the latest verification of a migration against the target LNS
+function renderVerification(record) {
+    const verifyButton = hasRole('operator') && record.status !== 'failed'
+        ? ` <button class="btn btn-sm btn-link p-0" onclick="verifyMigration(${record.id})" title="Verify again"><i class="bi bi-arrow-repeat"></i></button>`
+        : '';
+    
+    if (!record.verification_status) {
+        return `<span class="text-muted">-</span>${verifyButton}`;
+    }
+    
+    const badge = {
+        'verified': 'success',
+        'mismatched': 'warning',
+        'missing': 'danger',
+        'error': 'secondary'
+    }[record.verification_status] || 'secondary';
+    
+    let details = record.verification_error || '';
+    if (record.verification_status === 'mismatched') {
+        const mismatches = JSON.parse(record.verification_mismatches || '[]');
+        details = mismatches.map(m => `${m.field}: expected ${m.expected}, found ${m.actual === null || m.actual === '' ? 'nothing' : m.actual}`).join('\n');
+    }
+    
+    return `<span class="badge bg-${badge}" title="${details.replace(/"/g, '&quot;')}">${record.verification_status}</span>${verifyButton}`;
+}
+
+// eslint-disable-next-line no-unused-vars
+async function verifyMigration(migrationId) {
+    try {
+        const verification = await apiCall(`/migrations/${migrationId}/verify`, { method: 'POST' });
+        showAlert(`Verification of ${formatDevEUI(verification.devEUI)}: ${verification.status}`, verification.status === 'verified' ? 'success' : 'warning');
+        await loadMigrationHistory();
+    } catch (error) {
+        console.error('Error verifying migration:', error);
+        showAlert('Verification failed: ' + error.message, 'danger');
+    }
+}
+
+// Whether cutover removed the device from the old LNS, with a restore action
+function renderCutover(record) {
+    if (!record.cutover_status) {
+        return '';
+    }
+    
+    const label = {
+        'removed': record.cutover_mode === 'delete' ? 'deleted from old LNS' : 'disabled in old LNS',
+        'restored': 'restored on old LNS',
+        'failed': 'cutover failed',
+        'cancelled': 'cutover cancelled',
+        'archived': 'cutover pending'
+    }[record.cutover_status] || record.cutover_status;
+    const badge = record.cutover_status === 'failed' ? 'danger' : 'light text-dark';
+    const restoreButton = hasRole('operator') && record.cutover_status === 'removed'
+        ? ` <button class="btn btn-sm btn-link p-0" onclick="restoreSourceDevice(${record.id}, '${record.devEUI}')" title="Restore on old LNS"><i class="bi bi-box-arrow-in-left"></i></button>`
+        : '';
+    
+    return `<br><span class="badge bg-${badge}" title="${(record.cutover_error || '').replace(/"/g, '&quot;')}">${label}</span>${restoreButton}`;
+}
+
+// eslint-disable-next-line no-unused-vars
+async function restoreSourceDevice(migrationId, devEUI) {
+    if (!confirm(`Put ${formatDevEUI(devEUI)} back on the old LNS? It will be able to join both networks again.`)) {
+        return;
+    }
+    
+    try {
+        const result = await apiCall(`/migrations/${migrationId}/restore-source`, { method: 'POST' });
+        showAlert(`Device ${formatDevEUI(result.devEUI)} ${result.action} on the old LNS.`, 'success');
+    } catch (error) {
+        console.error('Error restoring old LNS device:', error);
+        showAlert('Restore failed: ' + error.message, 'danger');
+    }
+    await loadMigrationHistory();
+}
+
+// eslint-disable-next-line no-unused-vars
+async function rollbackMigration(migrationId, devEUI) {
+    if (!confirm(`Roll back migration #${migrationId} of ${formatDevEUI(devEUI)}? A device it created is deleted from the new LNS, a device it updated is restored to its previous state.`)) {
+        return;
+    }
+    
+    try {
+        const result = await apiCall(`/migrations/${migrationId}/rollback`, { method: 'POST' });
+        showAlert(`Rolled back migration #${migrationId}: device ${result.action}.`, 'success');
+    } catch (error) {
+        console.error('Error rolling back migration:', error);
+        showAlert('Rollback failed: ' + error.message, 'danger');
+    }
+    await loadMigrationHistory();
+}
+
+// Migration jobs
+let jobPollTimer = null;
+
+async function loadMigrationJobs() {
+    try {
+        const jobs = await apiCall('/jobs');
+        const tableBody = document.getElementById('migrationJobsTable');
+        
+        if (jobs.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No migration jobs</td></tr>';
+        } else {
+            tableBody.innerHTML = jobs.slice(0, 10).map(job => {
+                const statusBadge = {
+                    'completed': 'success',
+                    'cancelled': 'secondary',
+                    'paused': 'warning',
+                    'running': 'primary',
+                    'pending': 'info',
+                    'rolled_back': 'dark'
+                }[job.status] || 'secondary';
+                const failed = job.counts.failed || 0;
+                
+                let actions = '';
+                if (hasRole('operator')) {
+                    if (job.status === 'pending' || job.status === 'running') {
+                        actions += `<button class="btn btn-sm btn-outline-warning" onclick="controlMigrationJob(${job.id}, 'pause')" title="Pause"><i class="bi bi-pause"></i></button>`;
+                    }
+                    if (job.status === 'paused') {
+                        actions += `<button class="btn btn-sm btn-outline-success" onclick="controlMigrationJob(${job.id}, 'resume')" title="Resume"><i class="bi bi-play"></i></button>`;
+                    }
+                    if (job.status !== 'completed' && job.status !== 'cancelled' && job.status !== 'rolled_back') {
+                        actions += `<button class="btn btn-sm btn-outline-danger ms-1" onclick="controlMigrationJob(${job.id}, 'cancel')" title="Cancel"><i class="bi bi-x"></i></button>`;
+                    }
+                    if (job.status === 'completed' || job.status === 'cancelled' || job.status === 'paused') {
+                        actions += `<button class="btn btn-sm btn-outline-dark ms-1" onclick="rollbackMigrationJob(${job.id})" title="Roll back"><i class="bi bi-arrow-counterclockwise"></i></button>`;
+                    }
+                }
+                
+                return `
+                    <tr>
+                        <td>#${job.id} <small class="text-muted">${job.type}${job.sourceApplicationId ? ` (${job.sourceApplicationId.substring(0, 8)}...)` : ''}</small></td>
+                        <td><span class="badge bg-${statusBadge}">${job.status}</span></td>
+                        <td>${job.processed}/${job.total}${failed > 0 ? ` <small class="text-danger">(${failed} failed)</small>` : ''}</td>
+                        <td>${formatDate(job.created_at)}</td>
+                        <td>${formatDate(job.finished_at)}</td>
+                        <td>${actions}</td>
+                    </tr>
+                `;
+            }).join('');
+        }
+        
+        // Keep polling while any job still has work to do
+        clearTimeout(jobPollTimer);
+        if (jobs.some(job => job.status === 'pending' || job.status === 'running')) {
+            jobPollTimer = setTimeout(loadMigrationJobs, 3000);
+        }
+        
+    } catch (error) {
+        console.error('Error loading migration jobs:', error);
+        showAlert('Failed to load migration jobs: ' + error.message, 'danger');
+    }
+}
+
+// eslint-disable-next-line no-unused-vars
+async function controlMigrationJob(jobId, action) {
+    if (action === 'cancel' && !confirm(`Cancel migration job #${jobId}? Devices not yet migrated will be skipped.`)) {
+        return;
+    }
+    
+    try {
+        await apiCall(`/jobs/${jobId}/${action}`, { method: 'POST' });
+        showAlert(`Migration job #${jobId}: ${action} requested.`, 'info');
+        await loadMigrationJobs();
+    } catch (error) {
+        console.error(`Error during ${action} of migration job:`, error);
+        showAlert(`Failed to ${action} migration job: ` + error.message, 'danger');
+    }
+}
+
+// eslint-disable-next-line no-unused-vars
+async function rollbackMigrationJob(jobId) {
+    if (!confirm(`Roll back every migration of job #${jobId}? Devices it created are deleted from the new LNS, devices it updated are restored to their previous state.`)) {
+        return;
+    }
+    
+    try {
+        showAlert(`Rolling back migration job #${jobId}...`, 'info');
+        const result = await apiCall(`/jobs/${jobId}/rollback`, { method: 'POST' });
+        const message = `Migration job #${jobId}: ${result.rolledBack} rolled back, ${result.skipped} skipped, ${result.failed} failed.`;
+        showAlert(message, result.failed > 0 ? 'warning' : 'success');
+    } catch (error) {
+        console.error('Error rolling back migration job:', error);
+        showAlert('Rollback failed: ' + error.message, 'danger');
+    }
+    await loadMigrationJobs();
+    await loadMigrationHistory();
+}
+
 // Statistics
 // Bulk migration by application
 let applicationDevices = [];
@@ -644,11 +1480,10 @@ async function loadApplicationDevices() {
 
 function updateBulkMigrateButton() {
     const sourceApplicationId = document.getElementById('sourceApplication').value;
-    const targetApplicationId = document.getElementById('bulkTargetApplication').value;
-    const targetDeviceProfileId = document.getElementById('bulkTargetDeviceProfile').value;
     const migrateBtn = document.getElementById('bulkMigrateBtn');
     
-    migrateBtn.disabled = !sourceApplicationId || !targetApplicationId || !targetDeviceProfileId || applicationDevices.length === 0;
+    // Targets left empty come from mapping rules and application mappings; the plan shows devices without one
+    migrateBtn.disabled = !sourceApplicationId || applicationDevices.length === 0;
 }
 
 async function migrateApplicationDevices() {
@@ -656,14 +1491,10 @@ async function migrateApplicationDevices() {
     const targetApplicationId = document.getElementById('bulkTargetApplication').value;
     const targetDeviceProfileId = document.getElementById('bulkTargetDeviceProfile').value;
     
-    if (!sourceApplicationId || !targetApplicationId || !targetDeviceProfileId) {
-        showAlert('Please select source application, target application, and target device profile.', 'warning');
-        return;
-    }
+    const createTargetApplication = document.getElementById('bulkCreateTargetApplication').checked;
     
-    // Confirm migration
-    const confirmMessage = `Are you sure you want to migrate all ${applicationDevices.length} devices from the selected source application to the target application?`;
-    if (!confirm(confirmMessage)) {
+    if (!sourceApplicationId) {
+        showAlert('Please select a source application.', 'warning');
         return;
     }
     
@@ -672,43 +1503,43 @@ async function migrateApplicationDevices() {
     
     try {
         migrateBtn.disabled = true;
-        migrateBtn.innerHTML = '<i class="bi bi-hourglass-split"></i> Migrating...';
+        migrateBtn.innerHTML = '<i class="bi bi-hourglass-split"></i> Planning...';
+        
+        const bulkOptions = {
+            migrateDeviceProfile: true,
+            migrateDecoder: true,
+            migrateSessionKeys: false,
+            createTargetApplication,
+            removeFromOldLNS: false,
+            skipFcntCheck: document.getElementById('bulkSkipFcntCheck').checked
+        };
+        
+        // Show what the migration would do and let the user confirm it
+        const plan = await apiCall(`/applications/${sourceApplicationId}/migrate?dryRun=true`, {
+            method: 'POST',
+            body: JSON.stringify({ targetApplicationId, targetDeviceProfileId, options: bulkOptions })
+        });
         
-        showAlert(`Starting bulk migration of ${applicationDevices.length} devices...`, 'info');
+        if (!await confirmMigrationPlan(plan)) {
+            return;
+        }
+        
+        migrateBtn.innerHTML = '<i class="bi bi-hourglass-split"></i> Migrating...';
         
-        const result = await apiCall(`/applications/${sourceApplicationId}/migrate`, {
+        // Queue the migration as a background job so it survives page reloads and restarts
+        const job = await apiCall('/jobs', {
             method: 'POST',
             body: JSON.stringify({
+                sourceApplicationId,
                 targetApplicationId,
                 targetDeviceProfileId,
-                options: {
-                    migrateDeviceProfile: true,
-                    migrateDecoder: true,
-                    migrateSessionKeys: false,
-                    removeFromOldLNS: false,
-                    skipFcntCheck: document.getElementById('bulkSkipFcntCheck').checked
-                }
+                options: bulkOptions
             })
         });
         
-        if (result.success) {
-            showAlert(
-                `Bulk migration completed! ${result.successful} successful, ${result.failed} failed out of ${result.total} devices.`,
-                result.failed > 0 ? 'warning' : 'success'
-            );
-            
-            if (result.errors && result.errors.length > 0) {
-                console.warn('Migration errors:', result.errors);
-            }
-            
-            // Refresh the application devices view
-            await loadApplicationDevices();
-            
-            // Refresh the main device list
-            await loadDevices();
-        } else {
-            showAlert('Bulk migration failed: ' + (result.message || 'Unknown error'), 'danger');
-        }
+        showAlert(`Queued migration job #${job.id} for ${job.total} devices.`, 'success');
+        followMigrationJob(job);
+        await loadMigrationJobs();
         
     } catch (error) {
         console.error('Error during bulk migration:', error);
@@ -736,12 +1567,15 @@ document.addEventListener('DOMContentLoaded', function() {
 // Setup wizard variables and functions
 async function checkSetupStatus() {
     try {
-        const response = await fetch('/api/setup/status');
-        const data = await response.json();
+        const data = await apiCall('/setup/status');
         
         if (!data.isConfigured) {
-            // Show setup modal if not configured
-            showSetupModal();
+            // Show setup modal if not configured - only admins can run setup
+            if (hasRole('admin')) {
+                showSetupModal();
+            } else {
+                showAlert('The service has not been configured yet. Ask an admin to run the setup wizard.', 'warning');
+            }
             return false;
         }
         return true;
@@ -905,11 +1739,18 @@ function validateSourceForm() {
     if (!tenantId) {
         highlightField('sourceTenantId', 'Tenant ID is required');
         isValid = false;
-    } else if (!isValidUUID(tenantId)) {
+    } else if (usesTenantUUID('source') && !isValidUUID(tenantId)) {
         highlightField('sourceTenantId', 'Tenant ID must be a valid UUID');
         isValid = false;
     }
     
+    try {
+        ttsSettings('source');
+    } catch (error) {
+        highlightField('sourceFrequencyPlans', error.message);
+        isValid = false;
+    }
+    
     // If name is empty, we'll use a default, but it's not an error
     if (!name) {
         document.getElementById('sourceName').value = 'Old LNS - Origin';
@@ -943,11 +1784,18 @@ function validateTargetForm() {
     if (!tenantId) {
         highlightField('targetTenantId', 'Tenant ID is required');
         isValid = false;
-    } else if (!isValidUUID(tenantId)) {
+    } else if (usesTenantUUID('target') && !isValidUUID(tenantId)) {
         highlightField('targetTenantId', 'Tenant ID must be a valid UUID');
         isValid = false;
     }
     
+    try {
+        ttsSettings('target');
+    } catch (error) {
+        highlightField('targetFrequencyPlans', error.message);
+        isValid = false;
+    }
+    
     // If name is empty, we'll use a default, but it's not an error
     if (!name) {
         document.getElementById('targetName').value = 'New LNS - Destination';
@@ -960,6 +1808,40 @@ function validateTargetForm() {
     return isValid;
 }
 
+// Only ChirpStack v4 tenants are UUIDs; v3 and The Things Stack have organization IDs
+function usesTenantUUID(side) {
+    return ['chirpstack', 'standard', 'helium'].includes(document.getElementById(`${side}Type`).value);
+}
+
+// Show the The Things Stack settings when it is the selected LNS type
+function updateLNSTypeFields(side) {
+    const isTTS = document.getElementById(`${side}Type`).value === 'tts';
+    document.getElementById(`${side}TtsFields`).classList.toggle('d-none', !isTTS);
+}
+
+// The Things Stack settings of a side: owner type and frequency plans by region,
+// entered as "US915=US_902_928_FSB_2, EU868=EU_863_870_TTN"
+function ttsSettings(side) {
+    if (document.getElementById(`${side}Type`).value !== 'tts') {
+        return {};
+    }
+    
+    const frequencyPlans = {};
+    const entries = document.getElementById(`${side}FrequencyPlans`).value.split(',').map(entry => entry.trim()).filter(Boolean);
+    for (const entry of entries) {
+        const [region, plan] = entry.split('=').map(part => part.trim());
+        if (!region || !plan) {
+            throw new Error(`Expected REGION=FREQUENCY_PLAN, not "${entry}"`);
+        }
+        frequencyPlans[region.toUpperCase()] = plan;
+    }
+    
+    return {
+        ownerType: document.getElementById(`${side}OwnerType`).value,
+        frequencyPlans
+    };
+}
+
 // URL Building Functions
 function updateSourceProtocol() {
     const useSSL = document.getElementById('sourceUseSSL').checked;
@@ -1130,8 +2012,10 @@ async function testAndComplete() {
             url: buildSourceUrl(),
             apiKey: document.getElementById('sourceApiKey').value.trim(),
             name: document.getElementById('sourceName').value.trim() || 'Source LNS',
+            type: document.getElementById('sourceType').value,
             tenantId: document.getElementById('sourceTenantId').value.trim(),
-            tenantName: document.getElementById('sourceTenantName').value.trim()
+            tenantName: document.getElementById('sourceTenantName').value.trim(),
+            ...ttsSettings('source')
         };
         
         const sourceResponse = await fetch('/api/setup/test-source', {
@@ -1173,7 +2057,8 @@ async function testAndComplete() {
             name: document.getElementById('targetName').value.trim() || 'Target LNS',
             type: document.getElementById('targetType').value,
             tenantId: document.getElementById('targetTenantId').value.trim(),
-            tenantName: document.getElementById('targetTenantName').value.trim()
+            tenantName: document.getElementById('targetTenantName').value.trim(),
+            ...ttsSettings('target')
         };
         
         const targetResponse = await fetch('/api/setup/test-target', {
@@ -1224,7 +2109,9 @@ async function completeSetupWithTenants() {
             tenantId: document.getElementById('sourceTenantId').value.trim(),
             tenantName: document.getElementById('sourceTenantName').value.trim(),
             lorawanVersion: document.getElementById('sourceLorawanVersion').value,
-            isHeliumChirpStack: false
+            type: document.getElementById('sourceType').value,
+            isHeliumChirpStack: false,
+            ...ttsSettings('source')
         };
         
         const targetLNS = {
@@ -1234,7 +2121,8 @@ async function completeSetupWithTenants() {
             tenantId: document.getElementById('targetTenantId').value.trim(),
             tenantName: document.getElementById('targetTenantName').value.trim(),
             type: document.getElementById('targetType').value,
-            isHeliumChirpStack: document.getElementById('targetType').value === 'helium'
+            isHeliumChirpStack: document.getElementById('targetType').value === 'helium',
+            ...ttsSettings('target')
         };
         
         const response = await fetch('/api/setup/complete', {
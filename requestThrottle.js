@@ -0,0 +1,75 @@
+// Pacing and retries for requests to an LNS. Each LNS client spaces its requests
+// with a RateLimiter and retries transient failures with exponential backoff.
+
+// Failures where the LNS did not process the request, safe to retry for any request
+const UNPROCESSED_GRPC_CODES = ['UNAVAILABLE', 'RESOURCE_EXHAUSTED'];
+const UNPROCESSED_HTTP_STATUSES = [429, 503];
+const UNPROCESSED_NETWORK_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+// Failures after which the request may or may not have been processed, only retried
+// for requests that can safely be repeated
+const AMBIGUOUS_GRPC_CODES = ['DEADLINE_EXCEEDED'];
+const AMBIGUOUS_HTTP_STATUSES = [502, 504];
+const AMBIGUOUS_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Whether a gRPC or axios error is worth retrying
+function isTransientError(error, idempotent) {
+  if (error.codeName) {
+    return UNPROCESSED_GRPC_CODES.includes(error.codeName) ||
+      (idempotent && AMBIGUOUS_GRPC_CODES.includes(error.codeName));
+  }
+  if (error.response) {
+    return UNPROCESSED_HTTP_STATUSES.includes(error.response.status) ||
+      (idempotent && AMBIGUOUS_HTTP_STATUSES.includes(error.response.status));
+  }
+  return UNPROCESSED_NETWORK_CODES.includes(error.code) ||
+    (idempotent && AMBIGUOUS_NETWORK_CODES.includes(error.code));
+}
+
+// Spaces request starts evenly to stay under requestsPerSecond; 0 or unset means no limit
+class RateLimiter {
+  constructor(requestsPerSecond) {
+    this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.nextStart = 0;
+  }
+
+  // Resolve when the next request may start
+  async wait() {
+    if (!this.interval) {
+      return;
+    }
+    const now = Date.now();
+    const start = Math.max(now, this.nextStart);
+    this.nextStart = start + this.interval;
+    if (start > now) {
+      await sleep(start - now);
+    }
+  }
+}
+
+// Run send(), retrying transient failures up to retryAttempts times after waiting
+// retryDelay, 2 * retryDelay, 4 * retryDelay, ... milliseconds
+async function withRetry(send, { retryAttempts = 0, retryDelay = 0, idempotent = false, label = 'request' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      if (attempt >= retryAttempts || !isTransientError(error, idempotent)) {
+        throw error;
+      }
+      const delay = retryDelay * 2 ** attempt;
+      console.warn(`${label} failed (${error.codeName || error.code || error.message}), retrying in ${delay}ms (${attempt + 1}/${retryAttempts})`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  withRetry,
+  isTransientError
+};
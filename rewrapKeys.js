@@ -0,0 +1,70 @@
+// Re-wrap every encrypted key in the database under a new master key.
+//
+// Usage:
+//   node rewrapKeys.js --new-key-file <path>    re-wrap under the key in <path>
+//   node rewrapKeys.js --generate <path>        generate a new key into <path> and re-wrap under it
+//   KEYMANAGER_NEW_MASTER_KEY=<key> node rewrapKeys.js
+//
+// The current master key is loaded the same way the service loads it
+// (KEYMANAGER_MASTER_KEY, KEYMANAGER_MASTER_KEY_FILE or config.app.masterKeyFile).
+// Stop the service before running this, and point it at the new key afterwards.
+
+const Database = require('./database');
+const KeyVault = require('./keyVault');
+const config = require('./config');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--new-key-file') {
+      args.newKeyFile = argv[++i];
+    } else if (argv[i] === '--generate') {
+      args.generate = argv[++i];
+    }
+  }
+  return args;
+}
+
+// The new master key from the arguments or environment; --generate writes it to a new key file
+function loadNewVault(args) {
+  if (args.generate) {
+    const newVault = KeyVault.generateKeyFile(args.generate);
+    console.log(`Generated new master key in ${args.generate}`);
+    return newVault;
+  }
+  if (args.newKeyFile) {
+    return KeyVault.fromKeyFile(args.newKeyFile);
+  }
+  return KeyVault.fromString(process.env.KEYMANAGER_NEW_MASTER_KEY, 'KEYMANAGER_NEW_MASTER_KEY');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.generate && !args.newKeyFile && !process.env.KEYMANAGER_NEW_MASTER_KEY) {
+    throw new Error('Provide the new master key with --new-key-file, --generate or KEYMANAGER_NEW_MASTER_KEY');
+  }
+
+  // The current key must open every stored key before a new key file is written;
+  // initialize checks that
+  const currentVault = KeyVault.load(config.app, { generate: false });
+  const db = new Database(currentVault);
+  await db.initialize();
+
+  try {
+    const newVault = loadNewVault(args);
+    if (currentVault.keyId === newVault.keyId) {
+      throw new Error('The new master key is the same as the current one');
+    }
+
+    const updated = await db.rewrapKeys(newVault);
+    console.log(`Re-wrapped key material in ${updated} rows from master key ${currentVault.keyId} to ${newVault.keyId}`);
+    console.log('Update KEYMANAGER_MASTER_KEY or KEYMANAGER_MASTER_KEY_FILE to the new key before restarting the service.');
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Key re-wrap failed:', error.message);
+  process.exit(1);
+});
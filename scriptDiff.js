@@ -0,0 +1,49 @@
+// Line diff of two scripts, used to show how a payload codec on the target LNS
+// differs from the one being migrated.
+
+// Longest common subsequence table of two line arrays, filled from the end
+function lcsTable(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  return table;
+}
+
+// Diff two texts line by line. Returns [{ type, line }] where type is
+// ' ' for an unchanged line, '-' for a line only in oldText and '+' for one only in newText.
+function diffLines(oldText = '', newText = '') {
+  const a = oldText ? oldText.split(/\r?\n/) : [];
+  const b = newText ? newText.split(/\r?\n/) : [];
+  const table = lcsTable(a, b);
+  const diff = [];
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      diff.push({ type: '-', line: a[i++] });
+    } else {
+      diff.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) {
+    diff.push({ type: '-', line: a[i++] });
+  }
+  while (j < b.length) {
+    diff.push({ type: '+', line: b[j++] });
+  }
+  return diff;
+}
+
+module.exports = {
+  diffLines
+};
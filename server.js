@@ -5,6 +5,11 @@ const path = require('path');
 
 const Database = require('./database');
 const MigrationService = require('./migrationService');
+const MigrationJobQueue = require('./migrationJobQueue');
+const BackupService = require('./backupService');
+const { BundleKeys, sealBundle, openBundle, isBundleText } = require('./exportBundle');
+const { AuthService, requireRole } = require('./auth');
+const { createLNSClient } = require('./lnsClient');
 const config = require('./config');
 
 const app = express();
@@ -13,6 +18,10 @@ const port = config.app.port;
 // Initialize database and migration service
 let db;
 let migrationService;
+let authService;
+let jobQueue;
+let backupService;
+let bundleKeys;
 
 // Middleware
 app.use(helmet({
@@ -41,13 +50,69 @@ app.use(helmet({
     },
   },
 }));
-app.use(cors());
+// Cross-origin access is off unless origins are listed in config.app.corsOrigins
+app.use(cors({ origin: config.app.corsOrigins || false }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Resolve the calling user (session cookie or bearer token) for every API request
+app.use('/api', (req, res, next) => authService.authenticate()(req, res, next));
+
+// Strip key material from device records for API responses
+function redactDevice(device) {
+  if (!device) {
+    return device;
+  }
+  const { appKey, nwkKey, tags, variables, ...rest } = device;
+  return {
+    ...rest,
+    hasAppKey: !!appKey && !/^0+$/.test(appKey),
+    hasNwkKey: !!nwkKey && !/^0+$/.test(nwkKey),
+    tags: tags ? JSON.parse(tags) : {},
+    // Variables often hold integration credentials, so only their names are shown
+    variableNames: variables ? Object.keys(JSON.parse(variables)) : []
+  };
+}
+
+function redactSessionKeys(sessionKeys) {
+  if (!sessionKeys) {
+    return sessionKeys;
+  }
+  const { nwkSKey, sNwkSIntKey, fNwkSIntKey, appSKey, ...rest } = sessionKeys;
+  return rest;
+}
+
+// Migrate endpoints only plan (read both LNSs, write nothing) when dryRun is set
+function isDryRun(req) {
+  return req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+}
+
+// LNS client config from setup wizard settings ({ url, apiKey, name, type, tenantId, ... }),
+// as posted to the wizard endpoints and stored by setup. The wizard's target types
+// 'standard' and 'helium' are both ChirpStack v4; ownerType and frequencyPlans are for 'tts'.
+function lnsConfigFromSettings(settings, defaults = {}) {
+  return {
+    type: ['standard', 'helium'].includes(settings.type) ? 'chirpstack' : (settings.type || 'chirpstack'),
+    name: settings.name || defaults.name,
+    baseUrl: settings.url,
+    apiKey: settings.apiKey,
+    tenantId: settings.tenantId || null,
+    tenantName: settings.tenantName || null,
+    lorawanVersion: settings.lorawanVersion,
+    isHeliumChirpStack: settings.type === 'helium' || settings.isHeliumChirpStack === true,
+    ownerType: settings.ownerType,
+    frequencyPlans: settings.frequencyPlans,
+    pageSize: settings.pageSize || defaults.pageSize,
+    // Rate limit and timeouts are not set by the wizard, so config.js decides them
+    requestsPerSecond: settings.requestsPerSecond ?? defaults.requestsPerSecond,
+    timeout: settings.timeout ?? defaults.timeout,
+    grpcTimeout: settings.grpcTimeout ?? defaults.grpcTimeout
+  };
+}
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -58,8 +123,146 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Authentication endpoints
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const session = await authService.login(username, password);
+    
+    if (!session) {
+      console.warn(`Failed login attempt for user ${username}`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    res.setHeader('Set-Cookie', authService.sessionCookie(req, session.token, session.expiresAt));
+    res.json({ success: true, user: session.user });
+  } catch (error) {
+    console.error('Error during login:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await authService.logout(authService.sessionToken(req));
+    res.setHeader('Set-Cookie', authService.clearedSessionCookie());
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  res.json({ user: req.user });
+});
+
+// API tokens for scripts - each user manages their own, with their own role
+app.get('/api/auth/tokens', requireRole('viewer'), async (req, res) => {
+  try {
+    const tokens = await db.getApiTokens(req.user.id);
+    res.json(tokens);
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/tokens', requireRole('viewer'), async (req, res) => {
+  try {
+    const { name, expiresAt } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Token name is required' });
+    }
+    
+    const token = await authService.createApiToken(req.user.id, name, expiresAt || null);
+    console.log(`User ${req.user.username} created API token "${name}"`);
+    res.json(token);
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/auth/tokens/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await db.deleteApiToken(req.params.id, req.user.id);
+    
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting API token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// User management
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await db.getAllUsers();
+    res.json(users);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    
+    if (!username || !password || !role) {
+      return res.status(400).json({ error: 'username, password and role are required' });
+    }
+    
+    const user = await authService.createUser(username, password, role);
+    console.log(`User ${req.user.username} created user ${username} (${role})`);
+    res.json(user);
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { password, role, disabled } = req.body;
+    const result = await authService.updateUser(req.params.id, { password, role, disabled });
+    
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.log(`User ${req.user.username} updated user ${req.params.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (Number(req.params.id) === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    
+    const result = await db.deleteUser(req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.log(`User ${req.user.username} deleted user ${req.params.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Setup wizard endpoints
-app.get('/api/setup/status', async (req, res) => {
+app.get('/api/setup/status', requireRole('viewer'), async (req, res) => {
   try {
     const isConfigured = await db.isServiceConfigured();
     res.json({ isConfigured });
@@ -69,7 +272,7 @@ app.get('/api/setup/status', async (req, res) => {
   }
 });
 
-app.post('/api/setup/test-source', async (req, res) => {
+app.post('/api/setup/test-source', requireRole('admin'), async (req, res) => {
   try {
     const { url, apiKey, name, tenantId, tenantName } = req.body;
     
@@ -88,18 +291,10 @@ app.post('/api/setup/test-source', async (req, res) => {
       });
     }
     
-    // Create temporary ChirpStack client for testing
-    const tempClient = {
-      name: name || 'Source LNS',
-      baseUrl: url,
-      apiKey: apiKey,
-      tenantId: tenantId || null,
-      tenantName: tenantName || null,
-      isHeliumChirpStack: false // Source is always standard ChirpStack
-    };
+    // Create temporary client for testing; a ChirpStack source is always standard ChirpStack
+    const tempClient = lnsConfigFromSettings({ ...req.body, isHeliumChirpStack: false }, { name: 'Source LNS' });
     
-    const ChirpStackClient = require('./chirpstackClient');
-    const testClient = new ChirpStackClient(tempClient);
+    const testClient = createLNSClient(tempClient);
     
     // If tenant ID is provided, test with tenant, otherwise basic connection
     const result = tenantId 
@@ -116,7 +311,7 @@ app.post('/api/setup/test-source', async (req, res) => {
   }
 });
 
-app.post('/api/setup/test-target', async (req, res) => {
+app.post('/api/setup/test-target', requireRole('admin'), async (req, res) => {
   try {
     const { url, apiKey, name, type, tenantId, tenantName } = req.body;
     
@@ -136,18 +331,10 @@ app.post('/api/setup/test-target', async (req, res) => {
       });
     }
     
-    // Create temporary ChirpStack client for testing
-    const tempClient = {
-      name: name || 'Target LNS',
-      baseUrl: url,
-      apiKey: apiKey,
-      tenantId: tenantId || null,
-      tenantName: tenantName || null,
-      isHeliumChirpStack: type === 'helium'
-    };
+    // Create temporary client for testing
+    const tempClient = lnsConfigFromSettings(req.body, { name: 'Target LNS' });
     
-    const ChirpStackClient = require('./chirpstackClient');
-    const testClient = new ChirpStackClient(tempClient);
+    const testClient = createLNSClient(tempClient);
     
     // If tenant ID is provided, test with tenant, otherwise basic connection
     const result = tenantId 
@@ -165,9 +352,9 @@ app.post('/api/setup/test-target', async (req, res) => {
 });
 
 // Get available tenants from source LNS
-app.post('/api/setup/get-source-tenants', async (req, res) => {
+app.post('/api/setup/get-source-tenants', requireRole('admin'), async (req, res) => {
   try {
-    const { url, apiKey, name } = req.body;
+    const { url, apiKey } = req.body;
     
     if (!url || !apiKey) {
       return res.json({ 
@@ -176,18 +363,15 @@ app.post('/api/setup/get-source-tenants', async (req, res) => {
       });
     }
     
-    // Create temporary ChirpStack client for tenant discovery
-    const tempClient = {
-      name: name || 'Source LNS',
-      baseUrl: url,
-      apiKey: apiKey,
+    // Create temporary client for tenant discovery; ChirpStack v3 and The Things Stack list their organizations
+    const tempClient = lnsConfigFromSettings({
+      ...req.body,
       tenantId: null, // Not needed for tenant discovery
       tenantName: null,
       isHeliumChirpStack: !url.includes('8080') // Heuristic: assume port 8080 = standard ChirpStack
-    };
+    }, { name: 'Source LNS' });
     
-    const ChirpStackClient = require('./chirpstackClient');
-    const testClient = new ChirpStackClient(tempClient);
+    const testClient = createLNSClient(tempClient);
     
     const tenants = await testClient.getTenants();
     
@@ -205,9 +389,9 @@ app.post('/api/setup/get-source-tenants', async (req, res) => {
 });
 
 // Get available tenants from target LNS
-app.post('/api/setup/get-target-tenants', async (req, res) => {
+app.post('/api/setup/get-target-tenants', requireRole('admin'), async (req, res) => {
   try {
-    const { url, apiKey, name, type } = req.body;
+    const { url, apiKey } = req.body;
     
     if (!url || !apiKey) {
       return res.json({ 
@@ -216,18 +400,14 @@ app.post('/api/setup/get-target-tenants', async (req, res) => {
       });
     }
     
-    // Create temporary ChirpStack client for tenant discovery
-    const tempClient = {
-      name: name || 'Target LNS',
-      baseUrl: url,
-      apiKey: apiKey,
+    // Create temporary client for tenant discovery
+    const tempClient = lnsConfigFromSettings({
+      ...req.body,
       tenantId: null, // Not needed for tenant discovery
-      tenantName: null,
-      isHeliumChirpStack: type === 'helium'
-    };
+      tenantName: null
+    }, { name: 'Target LNS' });
     
-    const ChirpStackClient = require('./chirpstackClient');
-    const testClient = new ChirpStackClient(tempClient);
+    const testClient = createLNSClient(tempClient);
     
     const tenants = await testClient.getTenants();
     
@@ -245,9 +425,9 @@ app.post('/api/setup/get-target-tenants', async (req, res) => {
 });
 
 // Final validation with selected tenant
-app.post('/api/setup/validate-with-tenant', async (req, res) => {
+app.post('/api/setup/validate-with-tenant', requireRole('admin'), async (req, res) => {
   try {
-    const { url, apiKey, name, tenantId, type } = req.body;
+    const { url, apiKey, tenantId } = req.body;
     
     if (!url || !apiKey || !tenantId) {
       return res.json({ 
@@ -256,18 +436,10 @@ app.post('/api/setup/validate-with-tenant', async (req, res) => {
       });
     }
     
-    // Create temporary ChirpStack client for validation
-    const tempClient = {
-      name: name || 'LNS',
-      baseUrl: url,
-      apiKey: apiKey,
-      tenantId: tenantId,
-      tenantName: null,
-      isHeliumChirpStack: type === 'helium'
-    };
+    // Create temporary client for validation
+    const tempClient = lnsConfigFromSettings({ ...req.body, tenantName: null }, { name: 'LNS' });
     
-    const ChirpStackClient = require('./chirpstackClient');
-    const testClient = new ChirpStackClient(tempClient);
+    const testClient = createLNSClient(tempClient);
     
     const result = await testClient.testConnectionWithTenant(tenantId);
     
@@ -281,13 +453,13 @@ app.post('/api/setup/validate-with-tenant', async (req, res) => {
   }
 });
 
-app.post('/api/setup/complete', async (req, res) => {
+app.post('/api/setup/complete', requireRole('admin'), async (req, res) => {
   try {
     const { sourceLNS, targetLNS } = req.body;
     
     // Save configuration to database
-    await db.saveConfig('sourceLNS', sourceLNS, 'Source ChirpStack LNS configuration');
-    await db.saveConfig('targetLNS', targetLNS, 'Target ChirpStack LNS configuration');
+    await db.saveConfig('sourceLNS', sourceLNS, 'Source LNS configuration');
+    await db.saveConfig('targetLNS', targetLNS, 'Target LNS configuration');
     
     console.log('Setup completed successfully');
     res.json({ success: true });
@@ -298,7 +470,7 @@ app.post('/api/setup/complete', async (req, res) => {
 });
 
 // Test LNS connections
-app.get('/api/connections/test', async (req, res) => {
+app.get('/api/connections/test', requireRole('viewer'), async (req, res) => {
   try {
     const results = await migrationService.testConnections();
     res.json(results);
@@ -308,23 +480,62 @@ app.get('/api/connections/test', async (req, res) => {
   }
 });
 
-// Device discovery and sync
-app.post('/api/devices/discover', async (req, res) => {
+// Device discovery and sync, run in the background; poll GET for its progress and results
+app.post('/api/devices/discover', requireRole('operator'), async (req, res) => {
   try {
     console.log('Starting device discovery...');
-    const results = await migrationService.discoverDevices();
+    const discovery = migrationService.startDiscovery({
+      full: req.body && req.body.full === true,
+      concurrency: req.body && req.body.concurrency
+    });
+    res.status(202).json(discovery);
+  } catch (error) {
+    console.error('Error starting device discovery:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/devices/discover', requireRole('viewer'), async (req, res) => {
+  const discovery = migrationService.getDiscovery();
+  if (!discovery) {
+    return res.status(404).json({ error: 'No discovery has run since the server started' });
+  }
+  res.json(discovery);
+});
+
+// Import devices from a CSV/JSON manifest or a keyManager export instead of the old LNS;
+// the manifest text is sent as content. dryRun only validates it.
+app.post('/api/devices/import', requireRole('operator'), async (req, res) => {
+  try {
+    const { format, name, columns, applicationId, overwrite, passphrase } = req.body || {};
+    let { content, bundle } = req.body || {};
+    // An export bundle, sent as bundle or uploaded as the manifest, is imported as its backup or CSV
+    if (!bundle && typeof content === 'string' && isBundleText(content)) {
+      bundle = JSON.parse(content);
+    }
+    if (bundle) {
+      content = (await openExportBundle(bundle, passphrase)).content;
+    }
+    const results = await migrationService.importDevices(content, {
+      format,
+      name,
+      columns,
+      applicationId,
+      overwrite: overwrite === true,
+      dryRun: isDryRun(req)
+    });
     res.json(results);
   } catch (error) {
-    console.error('Error during device discovery:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error importing devices:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Get all devices from local database
-app.get('/api/devices', async (req, res) => {
+app.get('/api/devices', requireRole('viewer'), async (req, res) => {
   try {
     const devices = await db.getAllDevices();
-    res.json(devices);
+    res.json(devices.map(redactDevice));
   } catch (error) {
     console.error('Error fetching devices:', error);
     res.status(500).json({ error: error.message });
@@ -332,7 +543,7 @@ app.get('/api/devices', async (req, res) => {
 });
 
 // Get specific device details
-app.get('/api/devices/:devEUI', async (req, res) => {
+app.get('/api/devices/:devEUI', requireRole('viewer'), async (req, res) => {
   try {
     const { devEUI } = req.params;
     const device = await db.getDevice(devEUI);
@@ -348,8 +559,8 @@ app.get('/api/devices/:devEUI', async (req, res) => {
     ]);
 
     res.json({
-      device,
-      sessionKeys,
+      device: redactDevice(device),
+      sessionKeys: redactSessionKeys(sessionKeys),
       migrationHistory
     });
   } catch (error) {
@@ -358,8 +569,40 @@ app.get('/api/devices/:devEUI', async (req, res) => {
   }
 });
 
+// Reveal the decrypted keys of a device
+app.get('/api/devices/:devEUI/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { devEUI } = req.params;
+    const device = await db.getDecryptedDevice(devEUI);
+    
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    
+    const sessionKeys = await db.getDecryptedSessionKeys(devEUI);
+    console.log(`User ${req.user.username} revealed keys for device ${devEUI}`);
+    
+    res.json({
+      devEUI: device.devEUI,
+      appEUI: device.appEUI,
+      appKey: device.appKey,
+      nwkKey: device.nwkKey,
+      sessionKeys: sessionKeys ? {
+        devAddr: sessionKeys.devAddr,
+        nwkSKey: sessionKeys.nwkSKey,
+        sNwkSIntKey: sessionKeys.sNwkSIntKey,
+        fNwkSIntKey: sessionKeys.fNwkSIntKey,
+        appSKey: sessionKeys.appSKey
+      } : null
+    });
+  } catch (error) {
+    console.error('Error revealing device keys:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Test AppKey extraction for a specific device
-app.get('/api/devices/:devEUI/test-appkey', async (req, res) => {
+app.get('/api/devices/:devEUI/test-appkey', requireRole('admin'), async (req, res) => {
   try {
     const { devEUI } = req.params;
     const result = await migrationService.testAppKeyExtraction(devEUI);
@@ -371,10 +614,15 @@ app.get('/api/devices/:devEUI/test-appkey', async (req, res) => {
 });
 
 // Migrate single device
-app.post('/api/devices/:devEUI/migrate', async (req, res) => {
+app.post('/api/devices/:devEUI/migrate', requireRole('operator'), async (req, res) => {
   try {
     const { devEUI } = req.params;
-    const options = req.body;
+    const { dryRun, ...options } = req.body;
+
+    if (isDryRun(req)) {
+      const plan = await migrationService.planMigration([devEUI], options);
+      return res.json(plan);
+    }
 
     console.log(`Received migration request for ${devEUI} with options:`, options);
 
@@ -382,12 +630,12 @@ app.post('/api/devices/:devEUI/migrate', async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('Error migrating device:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Migrate multiple devices
-app.post('/api/devices/migrate/batch', async (req, res) => {
+app.post('/api/devices/migrate/batch', requireRole('operator'), async (req, res) => {
   try {
     const { devEUIs, options } = req.body;
 
@@ -395,18 +643,155 @@ app.post('/api/devices/migrate/batch', async (req, res) => {
       return res.status(400).json({ error: 'devEUIs array is required' });
     }
 
+    if (isDryRun(req)) {
+      const plan = await migrationService.planMigration(devEUIs, options || {});
+      return res.json(plan);
+    }
+
+    migrationService.assertCutoverConfirmed(options || {});
     console.log(`Received batch migration request for ${devEUIs.length} devices`);
 
     const results = await migrationService.migrateDevices(devEUIs, options || {});
     res.json(results);
   } catch (error) {
     console.error('Error during batch migration:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Migration jobs - queued migrations processed in the background
+app.post('/api/jobs', requireRole('operator'), async (req, res) => {
+  try {
+    const { devEUIs, sourceApplicationId, targetApplicationId, targetDeviceProfileId, concurrency, options = {} } = req.body;
+    const jobOptions = { concurrency, createdBy: req.user.username };
+    const migrationOptions = {
+      ...options,
+      targetApplicationId: targetApplicationId || options.targetApplicationId,
+      targetDeviceProfileId: targetDeviceProfileId || options.targetDeviceProfileId
+    };
+    migrationService.assertCutoverConfirmed(migrationOptions);
+
+    let job;
+    if (sourceApplicationId) {
+      job = await jobQueue.createApplicationJob(sourceApplicationId, migrationOptions, jobOptions);
+    } else if (Array.isArray(devEUIs) && devEUIs.length > 0) {
+      job = await jobQueue.createJob({ ...jobOptions, devEUIs, options: migrationOptions });
+    } else {
+      return res.status(400).json({ error: 'devEUIs array or sourceApplicationId is required' });
+    }
+
+    res.status(202).json(job);
+  } catch (error) {
+    console.error('Error creating migration job:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs', requireRole('viewer'), async (req, res) => {
+  try {
+    const jobs = await jobQueue.listJobs();
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching migration jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id, true);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching migration job:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Stream live progress of a migration job as Server-Sent Events.
+// 'job' events carry the job state, 'progress' events the per-device migration steps.
+app.get('/api/jobs/:id/events', requireRole('viewer'), async (req, res) => {
+  let job;
+  try {
+    job = await jobQueue.getJob(req.params.id, true);
+  } catch (error) {
+    console.error('Error fetching migration job:', error);
+    return res.status(500).json({ error: error.message });
+  }
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const onProgress = progress => {
+    if (progress.jobId === job.id) {
+      send('progress', progress);
+    }
+  };
+  const onJob = update => {
+    if (update && update.id === job.id) {
+      send('job', update);
+      if (['completed', 'cancelled'].includes(update.status)) {
+        res.end();
+      }
+    }
+  };
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  migrationService.on('progress', onProgress);
+  jobQueue.on('job', onJob);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    migrationService.off('progress', onProgress);
+    jobQueue.off('job', onJob);
+  });
+
+  send('job', job);
+  if (['completed', 'cancelled'].includes(job.status)) {
+    res.end();
+  }
+});
+
+['pause', 'resume', 'cancel'].forEach(action => {
+  app.post(`/api/jobs/:id/${action}`, requireRole('operator'), async (req, res) => {
+    try {
+      const job = await jobQueue[`${action}Job`](req.params.id);
+      console.log(`User ${req.user.username} requested ${action} of migration job ${req.params.id}`);
+      res.json(job);
+    } catch (error) {
+      console.error(`Error during ${action} of migration job:`, error);
+      res.status(error.status || 409).json({ error: error.message });
+    }
+  });
+});
+
+app.post('/api/jobs/:id/rollback', requireRole('operator'), async (req, res) => {
+  try {
+    console.log(`User ${req.user.username} requested rollback of migration job ${req.params.id}`);
+    const result = await jobQueue.rollbackJob(req.params.id, { requestedBy: req.user.username });
+    res.json(result);
+  } catch (error) {
+    console.error('Error rolling back migration job:', error);
+    res.status(error.status || 409).json({ error: error.message });
+  }
+});
+
 // Get migration history
-app.get('/api/migrations', async (req, res) => {
+app.get('/api/migrations', requireRole('viewer'), async (req, res) => {
   try {
     const { devEUI } = req.query;
     const history = await migrationService.getMigrationHistory(devEUI);
@@ -417,8 +802,56 @@ app.get('/api/migrations', async (req, res) => {
   }
 });
 
+// Re-run the verification of a migration against the target LNS
+app.post('/api/migrations/:id/verify', requireRole('operator'), async (req, res) => {
+  try {
+    const verification = await migrationService.verifyMigration(req.params.id);
+    res.json(verification);
+  } catch (error) {
+    console.error('Error verifying migration:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Roll back a migration: delete the device it created on the target LNS, or restore the one it updated
+app.post('/api/migrations/:id/rollback', requireRole('operator'), async (req, res) => {
+  try {
+    console.log(`User ${req.user.username} requested rollback of migration ${req.params.id}`);
+    const result = await migrationService.rollbackMigration(req.params.id, { requestedBy: req.user.username });
+    res.json(result);
+  } catch (error) {
+    console.error('Error rolling back migration:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Put a device that cutover removed back on the old LNS
+app.post('/api/migrations/:id/restore-source', requireRole('operator'), async (req, res) => {
+  try {
+    console.log(`User ${req.user.username} requested restore of the old LNS device of migration ${req.params.id}`);
+    const result = await migrationService.restoreSourceDevice(req.params.id);
+    res.json(result);
+  } catch (error) {
+    console.error('Error restoring old LNS device:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/migrations/:id/verifications', requireRole('viewer'), async (req, res) => {
+  try {
+    const verifications = await db.getVerifications(req.params.id);
+    res.json(verifications.map(verification => ({
+      ...verification,
+      mismatches: verification.mismatches ? JSON.parse(verification.mismatches) : []
+    })));
+  } catch (error) {
+    console.error('Error fetching migration verifications:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get available applications from both LNS systems
-app.get('/api/applications', async (req, res) => {
+app.get('/api/applications', requireRole('viewer'), async (req, res) => {
   try {
     const applications = await migrationService.getAvailableApplications();
     res.json(applications);
@@ -429,7 +862,7 @@ app.get('/api/applications', async (req, res) => {
 });
 
 // Get devices for a specific application from old LNS
-app.get('/api/applications/:applicationId/devices', async (req, res) => {
+app.get('/api/applications/:applicationId/devices', requireRole('viewer'), async (req, res) => {
   try {
     const { applicationId } = req.params;
     const devices = await migrationService.getDevicesForApplication(applicationId);
@@ -441,19 +874,24 @@ app.get('/api/applications/:applicationId/devices', async (req, res) => {
 });
 
 // Migrate all devices from a source application to target application
-app.post('/api/applications/:applicationId/migrate', async (req, res) => {
+app.post('/api/applications/:applicationId/migrate', requireRole('operator'), async (req, res) => {
   try {
     const { applicationId } = req.params;
     const { targetApplicationId, targetDeviceProfileId, options = {} } = req.body;
 
-    if (!targetApplicationId || !targetDeviceProfileId) {
-      return res.status(400).json({ 
-        error: 'targetApplicationId and targetDeviceProfileId are required' 
-      });
+    if (isDryRun(req)) {
+      const plan = await migrationService.planApplicationMigration(
+        applicationId,
+        targetApplicationId,
+        targetDeviceProfileId,
+        options
+      );
+      return res.json(plan);
     }
 
+    migrationService.assertCutoverConfirmed(options);
     console.log(`Received bulk migration request for application ${applicationId}`);
-    console.log(`Target: Application ${targetApplicationId}, Device Profile ${targetDeviceProfileId}`);
+    console.log(`Target: Application ${targetApplicationId || '(mapped)'}, Device Profile ${targetDeviceProfileId || '(mapped)'}`);
 
     const result = await migrationService.migrateApplicationDevices(
       applicationId, 
@@ -464,12 +902,92 @@ app.post('/api/applications/:applicationId/migrate', async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('Error during application migration:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Mapping rules - choose the target application, device profile, name and skipFcntCheck per device
+app.get('/api/mapping-rules', requireRole('viewer'), async (req, res) => {
+  try {
+    const rules = await migrationService.getMappingRules();
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching mapping rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/mapping-rules', requireRole('operator'), async (req, res) => {
+  try {
+    const rule = await migrationService.createMappingRule(req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating mapping rule:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/mapping-rules/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const rule = await migrationService.updateMappingRule(req.params.id, req.body);
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating mapping rule:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/mapping-rules/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const result = await migrationService.deleteMappingRule(req.params.id);
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting mapping rule:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Source to target application mappings, recorded when migrations create target applications
+app.get('/api/application-mappings', requireRole('viewer'), async (req, res) => {
+  try {
+    const mappings = await migrationService.getApplicationMappings();
+    res.json(mappings);
+  } catch (error) {
+    console.error('Error fetching application mappings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/application-mappings/:sourceApplicationId', requireRole('operator'), async (req, res) => {
+  try {
+    const result = await migrationService.deleteApplicationMapping(req.params.sourceApplicationId);
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting application mapping:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Migrate payload codecs of cached device profiles on their own, without touching devices
+app.post('/api/codecs/migrate', requireRole('operator'), async (req, res) => {
+  try {
+    const { sourceProfileIds, overwrite } = req.body;
+    const dryRun = isDryRun(req);
+
+    if (sourceProfileIds !== undefined && !Array.isArray(sourceProfileIds)) {
+      return res.status(400).json({ error: 'sourceProfileIds must be an array' });
+    }
+
+    const result = await migrationService.migrateCodecs({ sourceProfileIds, overwrite: overwrite === true, dryRun });
+    res.json(result);
+  } catch (error) {
+    console.error('Error migrating payload codecs:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get available device profiles from both LNS systems
-app.get('/api/device-profiles', async (req, res) => {
+app.get('/api/device-profiles', requireRole('viewer'), async (req, res) => {
   try {
     const profiles = await migrationService.getAvailableDeviceProfiles();
     res.json(profiles);
@@ -480,7 +998,7 @@ app.get('/api/device-profiles', async (req, res) => {
 });
 
 // Configuration endpoint
-app.get('/api/config', (req, res) => {
+app.get('/api/config', requireRole('viewer'), (req, res) => {
   res.json({
     oldLNS: {
       name: config.oldLNS?.name || 'Source LNS',
@@ -493,58 +1011,174 @@ app.get('/api/config', (req, res) => {
   });
 });
 
-// Export backup data endpoint
-app.get('/api/export', async (req, res) => {
-  try {
-    const { format = 'json' } = req.query;
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    
-    // Get all data from database
-    const devices = await db.getAllDevices();
-    const migrations = await db.getMigrationHistory();
-    
-    const exportData = {
-      metadata: {
-        exportDate: new Date().toISOString(),
-        version: '1.0.0',
-        source: 'keyManager-backup',
-        deviceCount: devices.length,
-        migrationCount: migrations.length
-      },
-      devices: devices,
-      migrations: migrations
+// Open an export bundle signed here or by a trusted keyManager
+async function openExportBundle(bundle, passphrase) {
+  return openBundle(bundle, {
+    passphrase,
+    keys: bundleKeys,
+    trustedSigners: config.app.trustedBundleSigners || []
+  });
+}
+
+// Export content: the JSON backup or the CSV device list, with keys decrypted
+async function buildExport(format) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const exportData = await backupService.createBackup();
+
+  if (format === 'json') {
+    return {
+      content: JSON.stringify(exportData),
+      contentType: 'application/json',
+      filename: `keyManager_backup_${timestamp}.json`
     };
+  }
+  if (format === 'csv') {
+    const csv = [
+      // CSV Header
+      'DevEUI,Name,AppEUI,AppKey,NwkKey,Description,LastSeen,Application,DeviceProfile',
+      // CSV Data
+      ...exportData.devices.map(device => [
+        device.devEUI || '',
+        `"${(device.name || '').replace(/"/g, '""')}"`,
+        device.appEUI || '',
+        device.appKey || '',
+        device.nwkKey || '',
+        `"${(device.description || '').replace(/"/g, '""')}"`,
+        device.lastSeen || '',
+        device.applicationId || '',
+        device.deviceProfileId || device.sourceProfileName || ''
+      ].join(','))
+    ].join('\n');
+    return { content: csv, contentType: 'text/csv', filename: `keyManager_devices_${timestamp}.csv` };
+  }
 
-    if (format === 'json') {
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', `attachment; filename="keyManager_backup_${timestamp}.json"`);
-      res.json(exportData);
-    } else if (format === 'csv') {
-      // Convert devices to CSV format
-      const csv = [
-        // CSV Header
-        'DevEUI,Name,AppEUI,AppKey,Description,LastSeen,Application,DeviceProfile',
-        // CSV Data
-        ...devices.map(device => [
-          device.devEUI || '',
-          `"${(device.name || '').replace(/"/g, '""')}"`,
-          device.appEUI || '',
-          device.appKey || '',
-          `"${(device.description || '').replace(/"/g, '""')}"`,
-          device.lastSeen || '',
-          device.applicationId || '',
-          device.deviceProfileId || ''
-        ].join(','))
-      ].join('\n');
-      
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="keyManager_devices_${timestamp}.csv"`);
-      res.send(csv);
-    } else {
-      res.status(400).json({ error: 'Invalid format. Use json or csv' });
+  const error = new Error('Invalid format. Use json or csv');
+  error.status = 400;
+  throw error;
+}
+
+// Export backup data. Exports are signed bundles encrypted with a passphrase or a recipient
+// keyManager's public key; keys leave in clear text only with an explicit plaintext option
+async function sendExport(req, res, { format = 'json', passphrase, recipientKey, plaintext = false }) {
+  const exported = await buildExport(format);
+
+  if (plaintext) {
+    await db.saveAuditEntry('export', req.user.username, { format, encryption: 'none' });
+    console.log(`User ${req.user.username} exported a plaintext ${format} backup`);
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    return res.send(exported.content);
+  }
+
+  const bundle = await sealBundle(exported.content, {
+    contentType: exported.contentType,
+    filename: exported.filename,
+    passphrase,
+    recipientKey,
+    keys: bundleKeys
+  });
+  await db.saveAuditEntry('export', req.user.username, {
+    format,
+    encryption: bundle.encryption.method,
+    recipient: bundle.encryption.recipient
+  });
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}.kmbundle"`);
+  res.json(bundle);
+}
+
+// Plaintext export for scripts: GET /api/export?format=json&plaintext=true
+app.get('/api/export', requireRole('admin'), async (req, res) => {
+  try {
+    if (req.query.plaintext !== 'true') {
+      return res.status(400).json({ error: 'Exports are encrypted - POST /api/export with a passphrase or recipientKey, or add plaintext=true for a plaintext export' });
     }
+    await sendExport(req, res, { format: req.query.format, plaintext: true });
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/export', requireRole('admin'), async (req, res) => {
+  try {
+    const { format, passphrase, recipientKey, plaintext } = req.body;
+    await sendExport(req, res, { format, passphrase, recipientKey, plaintext: plaintext === true });
   } catch (error) {
     console.error('Error exporting data:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Public keys of this instance: other keyManagers encrypt bundles to encryptionKey and
+// trust bundles from here by adding signerFingerprint to config.app.trustedBundleSigners
+app.get('/api/export/keys', requireRole('viewer'), (req, res) => {
+  res.json(bundleKeys.describe());
+});
+
+// Why a restore cannot run now, or null. A restore runs in one transaction on the database
+// connection that migration jobs and discovery share, so it waits until neither is running.
+async function restoreBlocker() {
+  const job = await db.getNextRunnableJob();
+  if (job) {
+    return `Migration job ${job.id} is ${job.status} - wait for it to finish, or pause or cancel it, before restoring`;
+  }
+  if (jobQueue.processing) {
+    return 'Migration jobs are still finishing their devices - try again shortly';
+  }
+  const discovery = migrationService.getDiscovery();
+  if (discovery && discovery.status === 'running') {
+    return `Discovery ${discovery.id} is running - wait for it to finish before restoring`;
+  }
+  return null;
+}
+
+// Restore a backup from /api/export (mode 'merge' or 'replace', dryRun for a preview). An
+// export bundle is restored only after its signature has been checked and it has been decrypted
+app.post('/api/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const { bundle, passphrase, mode = 'merge' } = req.body;
+    const plaintext = req.body.plaintext === true;
+    let { backup } = req.body;
+    let signer = null;
+    if (bundle) {
+      const opened = await openExportBundle(bundle, passphrase);
+      if (opened.contentType !== 'application/json') {
+        return res.status(400).json({ error: 'Bundle holds a CSV device list - only JSON backups can be restored' });
+      }
+      backup = JSON.parse(opened.content);
+      signer = opened.signer;
+    } else if (!plaintext) {
+      // Like plaintext exports, unsigned backups are only taken when asked for explicitly
+      return res.status(400).json({ error: 'Backups are restored from signed bundles - send bundle, or add plaintext: true to restore an unsigned backup' });
+    }
+
+    const blocker = isDryRun(req) ? null : await restoreBlocker();
+    if (blocker) {
+      return res.status(409).json({ error: blocker });
+    }
+
+    const results = await backupService.restore(backup, {
+      mode,
+      dryRun: isDryRun(req),
+      username: req.user.username,
+      signer,
+      plaintext: !bundle
+    });
+    res.json(results);
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Audit log of administrative changes such as backup restores
+app.get('/api/audit-log', requireRole('admin'), async (req, res) => {
+  try {
+    const entries = await db.getAuditLog(Math.min(parseInt(req.query.limit, 10) || 100, 1000));
+    res.json(entries);
+  } catch (error) {
+    console.error('Error getting audit log:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -584,23 +1218,8 @@ async function initialize() {
       
       runtimeConfig = {
         app: config.app, // Keep app config from config.js
-        oldLNS: {
-          name: sourceLNS.name,
-          baseUrl: sourceLNS.url,
-          apiKey: sourceLNS.apiKey,
-          tenantId: sourceLNS.tenantId,
-          tenantName: sourceLNS.tenantName,
-          lorawanVersion: sourceLNS.lorawanVersion,
-          isHeliumChirpStack: sourceLNS.isHeliumChirpStack || false
-        },
-        newLNS: {
-          name: targetLNS.name,
-          baseUrl: targetLNS.url,
-          apiKey: targetLNS.apiKey,
-          tenantId: targetLNS.tenantId,
-          tenantName: targetLNS.tenantName,
-          isHeliumChirpStack: targetLNS.type === 'helium'
-        },
+        oldLNS: lnsConfigFromSettings(sourceLNS, config.oldLNS),
+        newLNS: lnsConfigFromSettings(targetLNS, config.newLNS),
         migration: config.migration // Keep migration defaults from config.js
       };
       
@@ -609,10 +1228,21 @@ async function initialize() {
       console.log('Using config.js configuration (setup wizard will be shown)');
     }
 
+    // Initialize authentication
+    authService = new AuthService(db);
+    await authService.bootstrapAdmin();
+
+    backupService = new BackupService(db);
+    bundleKeys = BundleKeys.load(config.app);
+
     // Initialize migration service with runtime configuration
     migrationService = new MigrationService(db, runtimeConfig);
     console.log('Migration service initialized');
 
+    // Start the migration job worker, resuming any unfinished jobs
+    jobQueue = new MigrationJobQueue(db, migrationService, runtimeConfig.migration);
+    await jobQueue.start();
+
     // Start server
     app.listen(port, () => {
       console.log(`\n🚀 keyManager service running on port ${port}`);
@@ -620,22 +1250,43 @@ async function initialize() {
       console.log(`🔗 API base URL: http://localhost:${port}/api`);
       console.log(`\nAvailable endpoints:`);
       console.log(`  GET  /api/health                    - Health check`);
+      console.log(`  POST /api/auth/login                - Log in (session cookie)`);
+      console.log(`  POST /api/auth/tokens               - Create API token`);
+      console.log(`  GET  /api/users                     - List users (admin)`);
       console.log(`  GET  /api/setup/status              - Check setup status`);
       console.log(`  POST /api/setup/test-source         - Test source LNS connection`);
       console.log(`  POST /api/setup/test-target         - Test target LNS connection`);
       console.log(`  POST /api/setup/complete            - Complete setup wizard`);
       console.log(`  GET  /api/connections/test          - Test LNS connections`);
-      console.log(`  POST /api/devices/discover          - Discover devices from old LNS`);
+      console.log(`  POST /api/devices/discover          - Start discovery of devices from old LNS (GET for progress)`);
+      console.log(`  POST /api/devices/import            - Import devices from a CSV/JSON manifest`);
       console.log(`  GET  /api/devices                   - List all devices`);
       console.log(`  GET  /api/devices/:devEUI           - Get device details`);
+      console.log(`  GET  /api/devices/:devEUI/keys      - Reveal device keys (admin)`);
       console.log(`  GET  /api/devices/:devEUI/test-appkey - Test AppKey extraction`);
       console.log(`  POST /api/devices/:devEUI/migrate   - Migrate single device`);
       console.log(`  POST /api/devices/migrate/batch     - Migrate multiple devices`);
+      console.log(`  POST /api/jobs                      - Queue a migration job`);
+      console.log(`  GET  /api/jobs                      - List migration jobs`);
+      console.log(`  GET  /api/jobs/:id/events           - Stream live migration job progress (SSE)`);
+      console.log(`  POST /api/jobs/:id/pause|resume|cancel - Control a migration job`);
       console.log(`  GET  /api/migrations                - Get migration history`);
+      console.log(`  POST /api/migrations/:id/verify     - Verify a migration against the target LNS`);
+      console.log(`  POST /api/migrations/:id/rollback   - Roll back a migration on the target LNS`);
+      console.log(`  POST /api/migrations/:id/restore-source - Put a device removed at cutover back on the old LNS`);
+      console.log(`  POST /api/jobs/:id/rollback         - Roll back every migration of a job`);
       console.log(`  GET  /api/applications              - Get available applications`);
       console.log(`  GET  /api/applications/:id/devices  - Get devices for application`);
       console.log(`  POST /api/applications/:id/migrate  - Migrate all devices in application`);
+      console.log(`  (add ?dryRun=true to any migrate endpoint to get a migration plan without writing)`);
       console.log(`  GET  /api/device-profiles           - Get available device profiles`);
+      console.log(`  POST /api/codecs/migrate            - Migrate payload codecs without devices`);
+      console.log(`  GET  /api/application-mappings      - Source to target application mappings`);
+      console.log(`  GET  /api/mapping-rules             - List migration mapping rules (POST/PUT/DELETE to manage)`);
+      console.log(`  POST /api/export                    - Export an encrypted, signed backup bundle (admin)`);
+      console.log(`  GET  /api/export/keys               - Public keys for exchanging bundles`);
+      console.log(`  POST /api/restore                   - Restore a backup or bundle (admin)`);
+      console.log(`  GET  /api/audit-log                 - Audit log (admin)`);
       console.log(`  GET  /api/config                    - Get configuration`);
       
       // Test connections after server starts (don't block startup)
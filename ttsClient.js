@@ -0,0 +1,942 @@
+const axios = require('axios');
+const { LNSClient, unsupported } = require('./lnsClient');
+
+const EMPTY_KEY = '00000000000000000000000000000000';
+
+// How long a scan of all devices answers "no such DevEUI" before the registry is listed again
+const DEVICE_INDEX_TTL = 60000;
+
+// ChirpStack MAC versions and their The Things Stack equivalents
+const MAC_VERSIONS = {
+  LORAWAN_1_0_0: 'MAC_V1_0',
+  LORAWAN_1_0_1: 'MAC_V1_0_1',
+  LORAWAN_1_0_2: 'MAC_V1_0_2',
+  LORAWAN_1_0_3: 'MAC_V1_0_3',
+  LORAWAN_1_0_4: 'MAC_V1_0_4',
+  LORAWAN_1_1_0: 'MAC_V1_1'
+};
+
+// Regional parameters versions of pre-RP002 MAC versions, by ChirpStack revision
+const PHY_VERSIONS = {
+  LORAWAN_1_0_0: { A: 'PHY_V1_0' },
+  LORAWAN_1_0_1: { A: 'PHY_V1_0_1' },
+  LORAWAN_1_0_2: { A: 'PHY_V1_0_2_REV_A', B: 'PHY_V1_0_2_REV_B' },
+  LORAWAN_1_0_3: { A: 'PHY_V1_0_3_REV_A' },
+  LORAWAN_1_1_0: { A: 'PHY_V1_1_REV_A', B: 'PHY_V1_1_REV_B' }
+};
+
+// Frequency plan used for devices of each ChirpStack region, unless config.frequencyPlans says otherwise
+const DEFAULT_FREQUENCY_PLANS = {
+  EU868: 'EU_863_870_TTN',
+  US915: 'US_902_928_FSB_2',
+  AU915: 'AU_915_928_FSB_2',
+  AS923: 'AS_920_923',
+  IN865: 'IN_865_867',
+  KR920: 'KR_920_923_TTN',
+  CN470: 'CN_470_510_FSB_11',
+  RU864: 'RU_864_870_TTN',
+  EU433: 'EU_433',
+  CN779: 'CN_779_787'
+};
+
+// ChirpStack region of a frequency plan, by frequency plan id prefix
+const FREQUENCY_PLAN_REGIONS = [
+  ['EU_863_870', 'EU868'],
+  ['US_902_928', 'US915'],
+  ['AU_915_928', 'AU915'],
+  ['AS_92', 'AS923'],
+  ['IN_865_867', 'IN865'],
+  ['KR_920_923', 'KR920'],
+  ['CN_470_510', 'CN470'],
+  ['RU_864_870', 'RU864'],
+  ['EU_433', 'EU433'],
+  ['CN_779_787', 'CN779']
+];
+
+// Payload formatters and ChirpStack codec runtimes
+const FORMATTERS = {
+  FORMATTER_JAVASCRIPT: 'JS',
+  FORMATTER_CAYENNELPP: 'CAYENNE_LPP'
+};
+
+// Network Server fields that make up a virtual device profile
+const PROFILE_FIELDS = ['frequency_plan_id', 'lorawan_version', 'lorawan_phy_version', 'supports_join', 'supports_class_b', 'supports_class_c'];
+
+// Identity Server attribute of a device holding the source profile its virtual profile was created for
+const PROFILE_ATTRIBUTE = 'keymanager-profile';
+
+function isEmptyKey(key) {
+  return !key || key === EMPTY_KEY;
+}
+
+// The Things Stack identifiers are lowercase letters, digits and dashes
+function toIdentifier(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 36) || 'application';
+}
+
+function httpError(error) {
+  const status = error.response && error.response.status;
+  const codeNames = { 404: 'NOT_FOUND', 409: 'ALREADY_EXISTS', 501: 'UNIMPLEMENTED' };
+  if (codeNames[status]) {
+    error.codeName = codeNames[status];
+  }
+  const message = error.response && error.response.data && error.response.data.message;
+  if (message) {
+    error.message = `${error.message}: ${message}`;
+  }
+  return error;
+}
+
+// LNS adapter for The Things Stack v3 over its HTTP API. A device lives in four registries -
+// Identity Server (name, attributes), Network Server (LoRaWAN settings, session), Application
+// Server (payload formatters, AppSKey) and Join Server (root keys) - which this adapter
+// presents as one ChirpStack-shaped device. tenantId is the organization (or, with
+// ownerType 'user', the user) that owns the applications.
+//
+// The Things Stack has no device profiles: a device profile is a virtual one whose id encodes
+// the frequency plan, LoRaWAN versions, OTAA support and classes of a device, and for profiles
+// created here the source profile they were created for, which devices keep in an attribute.
+// Created profiles are stored with their name and payload codec in config.profileStore (the
+// database), profiles seen on devices only for the life of the process. The codec of a
+// profile is the payload formatter of its devices.
+class TTSClient extends LNSClient {
+  constructor(config) {
+    super(config, 'tts');
+
+    this.ownerType = config.ownerType === 'user' ? 'users' : 'organizations';
+    this.frequencyPlans = { ...DEFAULT_FREQUENCY_PLANS, ...(config.frequencyPlans || {}) };
+    // Server addresses set on devices created here; one cluster hosts all four servers by default
+    this.clusterAddress = config.clusterAddress || new URL(config.baseUrl).hostname;
+    this.timeout = config.timeout || 30000;
+
+    // Application and device id of each DevEUI, as the API addresses devices by id
+    this.deviceIds = new Map();
+    this.deviceIndexedAt = 0;
+    // Name and codec of virtual device profiles by id, and where created profiles are stored
+    this.profiles = new Map();
+    this.profileStore = config.profileStore || null;
+    this.profileNamespace = `${this.baseUrl}/${this.ownerType}/${this.tenantId}`;
+    this.profilesLoaded = null;
+
+    console.log(`Initialized The Things Stack client for ${this.name} at ${this.baseUrl} (${this.ownerType.slice(0, -1)}: ${this.tenantId})`);
+  }
+
+  // HTTP API call through request(); GET, PUT and DELETE are retried after timeouts, POST is not
+  async api(method, path, { params, body } = {}) {
+    try {
+      const response = await this.request(`${method} ${path}`, method !== 'POST', () => axios({
+        method,
+        url: `${this.baseUrl}/api/v3/${path}`,
+        params,
+        data: body,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeout
+      }));
+      return response.data;
+    } catch (error) {
+      throw httpError(error);
+    }
+  }
+
+  // Walk every page of a listing, yielding items as each page arrives
+  async *paginate(path, field, params = {}) {
+    for (let page = 1; ; page++) {
+      const result = await this.api('GET', path, { params: { ...params, limit: this.pageSize, page } });
+      const items = result[field] || [];
+      for (const item of items) {
+        yield item;
+      }
+      if (items.length < this.pageSize) {
+        break;
+      }
+    }
+  }
+
+  async testConnection() {
+    try {
+      const info = await this.api('GET', 'auth_info');
+      const applications = await this.api('GET', `${this.ownerType}/${this.tenantId}/applications`, { params: { limit: 1 } });
+      console.log(`Basic connection test succeeded for ${this.name}`);
+      return {
+        success: true,
+        data: {
+          message: 'Connected successfully',
+          type: 'the-things-stack',
+          apiKey: info.api_key && info.api_key.api_key ? info.api_key.api_key.id : null,
+          applications: (applications.applications || []).length
+        }
+      };
+    } catch (error) {
+      console.error(`Connection test failed for ${this.name}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async testConnectionWithTenant(tenantId) {
+    try {
+      const applications = await this.api('GET', `${this.ownerType}/${tenantId}/applications`, { params: { limit: 1 } });
+      console.log(`${this.ownerType === 'users' ? 'User' : 'Organization'} validation succeeded for ${this.name}`);
+      return {
+        success: true,
+        data: {
+          message: 'Connected successfully',
+          applications: (applications.applications || []).length
+        }
+      };
+    } catch (error) {
+      console.error(`${this.ownerType === 'users' ? 'User' : 'Organization'} validation failed for ${this.name}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Organizations the API key's owner collaborates on, which take the place of tenants
+  async getTenants() {
+    try {
+      const organizations = await this.collect(this.paginate('organizations', 'organizations', { field_mask: 'name' }));
+      console.log(`Found ${organizations.length} organizations from ${this.name}`);
+      return organizations.map(organization => ({
+        id: organization.ids.organization_id,
+        name: organization.name || organization.ids.organization_id
+      }));
+    } catch (error) {
+      console.error(`Error fetching organizations from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  deviceUrl(devEUI) {
+    const ids = this.deviceIds.get(devEUI.toUpperCase());
+    return ids
+      ? `${this.baseUrl}/console/applications/${ids.applicationId}/devices/${ids.deviceId}`
+      : `${this.baseUrl}/console/applications`;
+  }
+
+  // Applications
+
+  toApplication(application) {
+    return {
+      id: application.ids.application_id,
+      name: application.name || application.ids.application_id,
+      description: application.description || ''
+    };
+  }
+
+  async getApplications() {
+    try {
+      const applications = await this.collect(this.paginate(`${this.ownerType}/${this.tenantId}/applications`, 'applications', {
+        field_mask: 'name,description'
+      }));
+      console.log(`Found ${applications.length} applications from ${this.name}`);
+      return applications.map(application => this.toApplication(application));
+    } catch (error) {
+      console.error(`Error fetching applications from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getApplication(applicationId) {
+    try {
+      return this.toApplication(await this.api('GET', `applications/${applicationId}`, { params: { field_mask: 'name,description' } }));
+    } catch (error) {
+      console.error(`Error fetching application ${applicationId} from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // The application id is derived from the name, as The Things Stack ids are chosen by the caller
+  async createApplication(applicationData) {
+    const applicationId = toIdentifier(applicationData.name);
+    try {
+      await this.api('POST', `${this.ownerType}/${this.tenantId}/applications`, {
+        body: {
+          application: {
+            ids: { application_id: applicationId },
+            name: applicationData.name,
+            description: applicationData.description || ''
+          }
+        }
+      });
+      console.log(`Created application ${applicationData.name} (${applicationId}) in ${this.name}`);
+      return { success: true, id: applicationId };
+    } catch (error) {
+      console.error(`Error creating application ${applicationData.name} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Device ids
+
+  rememberDevice(ids) {
+    if (ids.dev_eui) {
+      this.deviceIds.set(ids.dev_eui.toUpperCase(), {
+        applicationId: ids.application_ids.application_id,
+        deviceId: ids.device_id,
+        joinEui: ids.join_eui || null
+      });
+    }
+  }
+
+  // Application and device id of a DevEUI, or null when no application has the device.
+  // Unknown DevEUIs trigger a scan of every application, at most once per DEVICE_INDEX_TTL.
+  async resolveDevice(devEUI) {
+    const key = devEUI.toUpperCase();
+    if (!this.deviceIds.has(key) && Date.now() - this.deviceIndexedAt > DEVICE_INDEX_TTL) {
+      const applications = await this.collect(this.paginate(`${this.ownerType}/${this.tenantId}/applications`, 'applications'));
+      for (const application of applications) {
+        for await (const device of this.paginate(`applications/${application.ids.application_id}/devices`, 'end_devices')) {
+          this.rememberDevice(device.ids);
+        }
+      }
+      this.deviceIndexedAt = Date.now();
+    }
+    return this.deviceIds.get(key) || null;
+  }
+
+  async requireDevice(devEUI) {
+    const ids = await this.resolveDevice(devEUI);
+    if (!ids) {
+      throw httpError(Object.assign(new Error(`Device ${devEUI} not found in ${this.name}`), { response: { status: 404 } }));
+    }
+    return ids;
+  }
+
+  // Path of a device in a registry: '' for the Identity Server, else 'ns', 'as' or 'js'
+  devicePath(ids, server = '') {
+    return `${server ? `${server}/` : ''}applications/${ids.applicationId}/devices/${ids.deviceId}`;
+  }
+
+  endDeviceIds(ids, devEUI, joinEUI) {
+    return {
+      device_id: ids.deviceId,
+      application_ids: { application_id: ids.applicationId },
+      dev_eui: devEUI.toUpperCase(),
+      join_eui: joinEUI ? joinEUI.toUpperCase() : undefined
+    };
+  }
+
+  // PUT the given end device fields to one registry
+  async setDeviceFields(ids, server, endDevice, paths) {
+    return this.api('PUT', this.devicePath(ids, server), {
+      body: { end_device: { ids: { device_id: ids.deviceId, application_ids: { application_id: ids.applicationId } }, ...endDevice }, field_mask: { paths } }
+    });
+  }
+
+  // Device profiles
+
+  // Virtual profile id of a device's Network Server settings, and the source profile
+  // the profile was created for
+  profileId(nsDevice, sourceProfileId = null) {
+    const id = ['tts', ...PROFILE_FIELDS.map(field => {
+      const value = nsDevice[field];
+      return typeof value === 'boolean' || value === undefined ? (value ? '1' : '0') : value;
+    })].join(':');
+    return sourceProfileId ? `${id}:${sourceProfileId}` : id;
+  }
+
+  // Source profile a virtual profile was created for, or null for a profile seen on devices
+  profileSource(profileId) {
+    return String(profileId).split(':').slice(PROFILE_FIELDS.length + 1).join(':') || null;
+  }
+
+  // Network Server settings encoded in a virtual profile id
+  profileSettings(profileId) {
+    const parts = String(profileId).split(':');
+    if (parts[0] !== 'tts' || parts.length < PROFILE_FIELDS.length + 1) {
+      throw httpError(Object.assign(new Error(`Device profile ${profileId} not found in ${this.name}`), { response: { status: 404 } }));
+    }
+    const settings = {};
+    PROFILE_FIELDS.forEach((field, index) => {
+      const value = parts[index + 1];
+      settings[field] = field.startsWith('supports_') ? value === '1' : value;
+    });
+    return settings;
+  }
+
+  region(frequencyPlanId) {
+    const match = FREQUENCY_PLAN_REGIONS.find(([prefix]) => String(frequencyPlanId).startsWith(prefix));
+    return match ? match[1] : frequencyPlanId;
+  }
+
+  // Read the stored virtual profiles once
+  async loadProfiles() {
+    if (!this.profilesLoaded) {
+      this.profilesLoaded = (async () => {
+        const stored = this.profileStore ? await this.profileStore.getVirtualDeviceProfiles(this.profileNamespace) : [];
+        for (const profile of stored) {
+          this.profiles.set(profile.profileId, {
+            name: profile.name,
+            payloadCodecRuntime: profile.payloadCodec || 'NONE',
+            payloadCodecScript: profile.payloadDecoderScript || ''
+          });
+        }
+      })();
+      this.profilesLoaded.catch(() => {
+        this.profilesLoaded = null;
+      });
+    }
+    return this.profilesLoaded;
+  }
+
+  // Keep the name and codec of a virtual profile, in the store as well for created profiles
+  async saveProfile(profile) {
+    this.profiles.set(profile.id, {
+      name: profile.name,
+      payloadCodecRuntime: profile.payloadCodecRuntime || 'NONE',
+      payloadCodecScript: profile.payloadCodecScript || ''
+    });
+    if (this.profileStore && this.profileSource(profile.id)) {
+      const stored = await this.getDeviceProfile(profile.id);
+      await this.profileStore.saveVirtualDeviceProfile(this.profileNamespace, {
+        profileId: profile.id,
+        name: stored.name,
+        region: stored.region,
+        macVersion: stored.macVersion,
+        regParamsRevision: stored.regParamsRevision,
+        payloadCodec: stored.payloadCodecRuntime,
+        payloadDecoderScript: stored.payloadCodecScript,
+        supportsOtaa: stored.supportsOtaa,
+        supportsClassB: stored.supportsClassB,
+        supportsClassC: stored.supportsClassC
+      });
+    }
+  }
+
+  async getDeviceProfile(profileId) {
+    await this.loadProfiles();
+    const settings = this.profileSettings(profileId);
+    const macVersion = Object.keys(MAC_VERSIONS).find(version => MAC_VERSIONS[version] === settings.lorawan_version) || settings.lorawan_version;
+    const phyVersion = settings.lorawan_phy_version;
+    const region = this.region(settings.frequency_plan_id);
+    const known = this.profiles.get(profileId) || {};
+
+    return {
+      id: profileId,
+      name: known.name || `${region} ${macVersion} ${settings.supports_join ? 'OTAA' : 'ABP'}`,
+      region,
+      macVersion,
+      regParamsRevision: phyVersion.startsWith('RP002_V') ? `RP002_${phyVersion.slice(7)}` : (phyVersion.endsWith('_REV_B') ? 'B' : 'A'),
+      supportsOtaa: settings.supports_join,
+      supportsClassB: settings.supports_class_b,
+      supportsClassC: settings.supports_class_c,
+      payloadCodecRuntime: known.payloadCodecRuntime || 'NONE',
+      payloadCodecScript: known.payloadCodecScript || ''
+    };
+  }
+
+  // Profiles created here, and those seen on devices by this client
+  async getDeviceProfiles() {
+    await this.loadProfiles();
+    return Promise.all([...this.profiles.keys()].map(profileId => this.getDeviceProfile(profileId)));
+  }
+
+  // Network Server settings of a ChirpStack-shaped profile
+  toProfileSettings(profileData) {
+    const revisions = PHY_VERSIONS[profileData.macVersion] || {};
+    const revision = profileData.regParamsRevision || 'A';
+    const frequencyPlanId = this.frequencyPlans[profileData.region];
+    if (!frequencyPlanId) {
+      throw new Error(`No frequency plan configured for region ${profileData.region} in ${this.name}`);
+    }
+    return {
+      frequency_plan_id: frequencyPlanId,
+      lorawan_version: MAC_VERSIONS[profileData.macVersion] || 'MAC_V1_0_3',
+      lorawan_phy_version: revision.startsWith('RP002_')
+        ? `RP002_V${revision.slice(6)}`
+        : revisions[revision] || revisions.A || 'RP002_V1_0_1',
+      supports_join: profileData.supportsOtaa !== false,
+      supports_class_b: !!profileData.supportsClassB,
+      supports_class_c: !!profileData.supportsClassC
+    };
+  }
+
+  // A virtual profile for each source profile, so profiles with the same settings keep their own name and codec
+  async createDeviceProfile(profileData, { sourceProfileId = null } = {}) {
+    await this.loadProfiles();
+    const id = this.profileId(this.toProfileSettings(profileData), sourceProfileId);
+    await this.saveProfile({ ...profileData, id });
+    console.log(`Registered virtual device profile ${profileData.name} (${id}) for ${this.name}`);
+    return { success: true, id };
+  }
+
+  // Only the name and codec of a virtual profile can change. The codec is written to the
+  // payload formatters of every device with the profile.
+  async updateDeviceProfile(deviceProfile) {
+    await this.loadProfiles();
+    await this.saveProfile(deviceProfile);
+
+    const formatters = this.toFormatters(deviceProfile.id);
+    const devices = await this.profileDevices(deviceProfile.id);
+    for (const ids of devices) {
+      await this.setDeviceFields(ids, 'as', { formatters }, ['formatters']);
+    }
+    console.log(`Updated virtual device profile ${deviceProfile.name} (${deviceProfile.id}) and the payload formatters of ${devices.length} devices in ${this.name}`);
+    return { success: true };
+  }
+
+  // Application and device ids of the devices with a virtual profile: those whose profile
+  // attribute names its source profile, with its Network Server settings
+  async profileDevices(profileId) {
+    const sourceProfileId = this.profileSource(profileId);
+    const devices = [];
+    for (const application of await this.getApplications()) {
+      for await (const device of this.paginate(`applications/${application.id}/devices`, 'end_devices', { field_mask: 'attributes' })) {
+        this.rememberDevice(device.ids);
+        if (((device.attributes || {})[PROFILE_ATTRIBUTE] || null) !== sourceProfileId) {
+          continue;
+        }
+        const ids = { applicationId: application.id, deviceId: device.ids.device_id };
+        const nsDevice = await this.api('GET', this.devicePath(ids, 'ns'), { params: { field_mask: PROFILE_FIELDS.join(',') } })
+          .catch(error => {
+            if (error.codeName === 'NOT_FOUND') {
+              return {};
+            }
+            throw error;
+          });
+        if (nsDevice.frequency_plan_id && this.profileId(nsDevice, sourceProfileId) === profileId) {
+          devices.push(ids);
+        }
+      }
+    }
+    return devices;
+  }
+
+  // Identity Server attributes of a device: its tags, and the source of its virtual profile
+  toAttributes(tags, profileId) {
+    const attributes = { ...(tags || {}) };
+    delete attributes[PROFILE_ATTRIBUTE];
+    const sourceProfileId = profileId ? this.profileSource(profileId) : null;
+    if (sourceProfileId) {
+      attributes[PROFILE_ATTRIBUTE] = sourceProfileId;
+    }
+    return attributes;
+  }
+
+  // Application Server payload formatters for the codec of a profile
+  toFormatters(profileId) {
+    const profile = this.profiles.get(profileId) || {};
+    const formatter = Object.keys(FORMATTERS).find(name => FORMATTERS[name] === profile.payloadCodecRuntime);
+    if (!formatter) {
+      return { up_formatter: 'FORMATTER_NONE', down_formatter: 'FORMATTER_NONE' };
+    }
+    return {
+      up_formatter: formatter,
+      up_formatter_parameter: profile.payloadCodecScript || '',
+      down_formatter: formatter,
+      down_formatter_parameter: profile.payloadCodecScript || ''
+    };
+  }
+
+  // Devices
+
+  toDevice(isDevice, nsDevice = {}) {
+    const devEUI = isDevice.ids.dev_eui ? isDevice.ids.dev_eui.toUpperCase() : null;
+    const { [PROFILE_ATTRIBUTE]: sourceProfileId, ...tags } = isDevice.attributes || {};
+    return {
+      devEui: devEUI,
+      devEUI,
+      joinEui: isDevice.ids.join_eui || null,
+      name: isDevice.name || isDevice.ids.device_id,
+      description: isDevice.description || '',
+      applicationId: isDevice.ids.application_ids.application_id,
+      deviceProfileId: nsDevice.frequency_plan_id ? this.profileId(nsDevice, sourceProfileId) : null,
+      skipFcntCheck: !!(nsDevice.mac_settings && nsDevice.mac_settings.resets_f_cnt),
+      isDisabled: false,
+      tags,
+      variables: {},
+      updatedAt: isDevice.updated_at || null,
+      lastSeenAt: isDevice.last_seen_at || null
+    };
+  }
+
+  // Devices as listed by the Identity Server; deviceProfileId is only known from getDevice
+  async getDevices(applicationId) {
+    try {
+      const devices = [];
+      for await (const device of this.paginate(`applications/${applicationId}/devices`, 'end_devices', {
+        field_mask: 'name,description,attributes,updated_at,last_seen_at'
+      })) {
+        this.rememberDevice(device.ids);
+        devices.push(this.toDevice(device));
+      }
+      console.log(`Found ${devices.length} devices in application ${applicationId} from ${this.name}`);
+      return devices;
+    } catch (error) {
+      console.error(`Error fetching devices from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getDevice(devEUI) {
+    try {
+      await this.loadProfiles();
+      const ids = await this.requireDevice(devEUI);
+      const [isDevice, nsDevice, asDevice] = await Promise.all([
+        this.api('GET', this.devicePath(ids), { params: { field_mask: 'name,description,attributes,updated_at,last_seen_at' } }),
+        this.api('GET', this.devicePath(ids, 'ns'), { params: { field_mask: [...PROFILE_FIELDS, 'mac_settings.resets_f_cnt'].join(',') } }),
+        this.api('GET', this.devicePath(ids, 'as'), { params: { field_mask: 'formatters' } }).catch(() => ({}))
+      ]);
+      const device = this.toDevice(isDevice, nsDevice);
+
+      // The first formatter seen for a virtual profile becomes its codec
+      if (device.deviceProfileId && !this.profiles.has(device.deviceProfileId)) {
+        const formatters = asDevice.formatters || {};
+        this.profiles.set(device.deviceProfileId, {
+          payloadCodecRuntime: FORMATTERS[formatters.up_formatter] || 'NONE',
+          payloadCodecScript: formatters.up_formatter_parameter || ''
+        });
+      }
+      return device;
+    } catch (error) {
+      console.error(`Error fetching device ${devEUI} from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async findDevice(devEUI) {
+    if (!await this.resolveDevice(devEUI)) {
+      return null;
+    }
+    try {
+      return await this.getDevice(devEUI);
+    } catch (error) {
+      if (error.codeName === 'NOT_FOUND') {
+        this.deviceIds.delete(devEUI.toUpperCase());
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Register a device in all four registries. The device id is 'eui-' and the DevEUI, as in
+  // the console; OTAA devices need their JoinEUI (joinEui) as it cannot change later.
+  async createDevice(deviceData) {
+    const devEUI = (deviceData.devEUI || deviceData.devEui).toUpperCase();
+    const ids = { applicationId: deviceData.applicationId, deviceId: `eui-${devEUI.toLowerCase()}` };
+    try {
+      await this.loadProfiles();
+      const settings = this.profileSettings(deviceData.deviceProfileId);
+      const endDeviceIds = this.endDeviceIds(ids, devEUI, settings.supports_join ? deviceData.joinEui || '0000000000000000' : null);
+      // The other registries take the DevEUI and JoinEUI from the request on creation
+      const idPaths = endDeviceIds.join_eui ? ['ids.dev_eui', 'ids.join_eui'] : ['ids.dev_eui'];
+
+      await this.api('POST', `applications/${ids.applicationId}/devices`, {
+        body: {
+          end_device: {
+            ids: endDeviceIds,
+            name: deviceData.name,
+            description: deviceData.description || '',
+            attributes: this.toAttributes(deviceData.tags, deviceData.deviceProfileId),
+            network_server_address: this.clusterAddress,
+            application_server_address: this.clusterAddress,
+            join_server_address: settings.supports_join ? this.clusterAddress : undefined
+          },
+          field_mask: { paths: ['name', 'description', 'attributes', 'network_server_address', 'application_server_address', 'join_server_address'] }
+        }
+      });
+      this.rememberDevice(endDeviceIds);
+
+      await this.setDeviceFields(ids, 'ns', {
+        ids: endDeviceIds,
+        ...settings,
+        mac_settings: { resets_f_cnt: deviceData.skipFcntCheck !== undefined ? !!deviceData.skipFcntCheck : true }
+      }, [...PROFILE_FIELDS, 'mac_settings.resets_f_cnt', ...idPaths]);
+      await this.setDeviceFields(ids, 'as', { ids: endDeviceIds, formatters: this.toFormatters(deviceData.deviceProfileId) }, ['formatters', ...idPaths]);
+      if (settings.supports_join) {
+        await this.setDeviceFields(ids, 'js', {
+          ids: endDeviceIds,
+          network_server_address: this.clusterAddress,
+          application_server_address: this.clusterAddress
+        }, ['network_server_address', 'application_server_address', ...idPaths]);
+      }
+
+      console.log(`Created device ${devEUI} in ${this.name}`);
+      return { success: true, device: deviceData };
+    } catch (error) {
+      console.error(`Error creating device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Devices cannot move between applications, as the application is part of their id
+  async updateDevice(devEUI, deviceData) {
+    try {
+      const ids = await this.requireDevice(devEUI);
+      if (deviceData.applicationId && deviceData.applicationId !== ids.applicationId) {
+        throw new Error(`Device ${devEUI} is in application ${ids.applicationId} and cannot be moved to ${deviceData.applicationId}`);
+      }
+
+      await this.loadProfiles();
+      await this.setDeviceFields(ids, '', {
+        name: deviceData.name,
+        description: deviceData.description || '',
+        attributes: this.toAttributes(deviceData.tags, deviceData.deviceProfileId)
+      }, ['name', 'description', 'attributes']);
+      if (deviceData.deviceProfileId) {
+        await this.setDeviceFields(ids, 'ns', {
+          ...this.profileSettings(deviceData.deviceProfileId),
+          mac_settings: { resets_f_cnt: deviceData.skipFcntCheck !== undefined ? !!deviceData.skipFcntCheck : true }
+        }, [...PROFILE_FIELDS, 'mac_settings.resets_f_cnt']);
+        await this.setDeviceFields(ids, 'as', { formatters: this.toFormatters(deviceData.deviceProfileId) }, ['formatters']);
+      }
+
+      console.log(`Updated device ${devEUI} in ${this.name}`);
+      return { success: true, device: deviceData };
+    } catch (error) {
+      console.error(`Error updating device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async recreateDevice(device) {
+    await this.createDevice(device);
+    console.log(`Re-created device ${device.devEui} in ${this.name}`);
+    return { success: true };
+  }
+
+  // The Things Stack has no disabled flag; cutover has to delete devices instead
+  async setDeviceDisabled(devEUI, disabled) {
+    throw unsupported(this, 'setDeviceDisabled');
+  }
+
+  // Delete a device from the Join, Application and Network Server, then the Identity Server
+  async deleteDevice(devEUI) {
+    try {
+      const ids = await this.requireDevice(devEUI);
+      for (const server of ['js', 'as', 'ns']) {
+        await this.api('DELETE', this.devicePath(ids, server)).catch(error => {
+          if (error.codeName !== 'NOT_FOUND') {
+            throw error;
+          }
+        });
+      }
+      await this.api('DELETE', this.devicePath(ids));
+      this.deviceIds.delete(devEUI.toUpperCase());
+      console.log(`Deleted device ${devEUI} from ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting device ${devEUI} from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Keys
+
+  // Raw root keys from the Join Server, or null when it has none for the device
+  async findDeviceKeys(devEUI) {
+    try {
+      const ids = await this.resolveDevice(devEUI);
+      if (!ids) {
+        return null;
+      }
+      const jsDevice = await this.api('GET', this.devicePath(ids, 'js'), {
+        params: { field_mask: 'root_keys.app_key.key,root_keys.nwk_key.key' }
+      });
+      const rootKeys = jsDevice.root_keys || {};
+      return {
+        devEui: devEUI,
+        appKey: rootKeys.app_key ? rootKeys.app_key.key : null,
+        nwkKey: rootKeys.nwk_key ? rootKeys.nwk_key.key : null
+      };
+    } catch (error) {
+      if (error.codeName === 'NOT_FOUND') {
+        return null;
+      }
+      console.error(`Error looking up keys for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // The Join Server keeps the LoRaWAN 1.0.x root key as the AppKey, and the 1.1 NwkKey separately
+  async getDeviceKeys(devEUI, macVersion = null) {
+    try {
+      const keys = await this.findDeviceKeys(devEUI);
+      const ids = await this.resolveDevice(devEUI);
+      return {
+        devEUI,
+        appEUI: ids && ids.joinEui ? ids.joinEui : '0000000000000000',
+        appKey: keys && !isEmptyKey(keys.appKey) ? keys.appKey : EMPTY_KEY,
+        nwkKey: this.isLorawan11(macVersion) && keys ? keys.nwkKey : null
+      };
+    } catch (error) {
+      console.error(`Error fetching keys for device ${devEUI} from ${this.name}:`, error.message);
+      return { devEUI, appEUI: '0000000000000000', appKey: EMPTY_KEY, nwkKey: null };
+    }
+  }
+
+  async setRootKeys(devEUI, appKey, nwkKey) {
+    const ids = await this.requireDevice(devEUI);
+    const rootKeys = { app_key: { key: appKey } };
+    const paths = ['root_keys.app_key.key'];
+    if (!isEmptyKey(nwkKey)) {
+      rootKeys.nwk_key = { key: nwkKey };
+      paths.push('root_keys.nwk_key.key');
+    }
+    await this.setDeviceFields(ids, 'js', { root_keys: rootKeys }, paths);
+  }
+
+  // keysData { appEUI, appKey, nwkKey, macVersion }; the JoinEUI was fixed when the device was created
+  async createDeviceKeys(devEUI, keysData) {
+    try {
+      await this.setRootKeys(devEUI, keysData.appKey, this.isLorawan11(keysData.macVersion) ? keysData.nwkKey : null);
+      console.log(`Set keys for device ${devEUI} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error setting keys for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async updateDeviceKeys(devEUI, keysData) {
+    return this.createDeviceKeys(devEUI, keysData);
+  }
+
+  async restoreDeviceKeys(devEUI, deviceKeys) {
+    try {
+      await this.setRootKeys(devEUI, deviceKeys.appKey, deviceKeys.nwkKey);
+      console.log(`Restored keys for device ${devEUI} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error restoring keys for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async deleteDeviceKeys(devEUI) {
+    try {
+      const ids = await this.requireDevice(devEUI);
+      await this.setDeviceFields(ids, 'js', { root_keys: {} }, ['root_keys']);
+      console.log(`Deleted keys for device ${devEUI} from ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting keys for device ${devEUI} from ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Sessions
+
+  // Raw activation from the Network Server (network keys, network counters) and the
+  // Application Server (AppSKey, application downlink counter), or null without a session
+  async findDeviceActivation(devEUI) {
+    try {
+      const ids = await this.resolveDevice(devEUI);
+      if (!ids) {
+        return null;
+      }
+      const [nsDevice, asDevice] = await Promise.all([
+        this.api('GET', this.devicePath(ids, 'ns'), { params: { field_mask: 'session' } }),
+        this.api('GET', this.devicePath(ids, 'as'), { params: { field_mask: 'session' } })
+      ]);
+      const nsSession = nsDevice.session;
+      if (!nsSession || !nsSession.dev_addr) {
+        return null;
+      }
+      const nsKeys = nsSession.keys || {};
+      const asSession = asDevice.session || {};
+      const asKeys = asSession.keys || {};
+      const key = field => (field && field.key) || null;
+
+      return {
+        devEui: devEUI,
+        devAddr: nsSession.dev_addr,
+        appSKey: key(asKeys.app_s_key),
+        nwkSEncKey: key(nsKeys.nwk_s_enc_key) || key(nsKeys.f_nwk_s_int_key),
+        sNwkSIntKey: key(nsKeys.s_nwk_s_int_key) || key(nsKeys.f_nwk_s_int_key),
+        fNwkSIntKey: key(nsKeys.f_nwk_s_int_key),
+        fCntUp: nsSession.last_f_cnt_up || 0,
+        nFCntDown: nsSession.last_n_f_cnt_down || 0,
+        aFCntDown: asSession.last_a_f_cnt_down || 0
+      };
+    } catch (error) {
+      if (error.codeName === 'NOT_FOUND') {
+        return null;
+      }
+      console.error(`Error looking up activation for device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getDeviceActivation(devEUI) {
+    try {
+      const activation = await this.findDeviceActivation(devEUI);
+      if (!activation) {
+        throw new Error('device has no session');
+      }
+      return {
+        devEUI,
+        devAddr: activation.devAddr,
+        nwkSKey: activation.nwkSEncKey,
+        sNwkSIntKey: activation.sNwkSIntKey,
+        fNwkSIntKey: activation.fNwkSIntKey,
+        appSKey: activation.appSKey,
+        fCntUp: activation.fCntUp,
+        fCntDown: activation.nFCntDown,
+        aFCntDown: activation.aFCntDown
+      };
+    } catch (error) {
+      console.error(`Error fetching activation for device ${devEUI} from ${this.name}:`, error.message);
+      return { devEUI, devAddr: '00000000', nwkSKey: EMPTY_KEY, appSKey: EMPTY_KEY, fCntUp: 0, fCntDown: 0 };
+    }
+  }
+
+  // Set a session on the Network and Application Server. For LoRaWAN 1.0.x devices only
+  // nwkSKey is set, and it is used for all three network session keys.
+  async activateDevice(devEUI, activationData) {
+    try {
+      const ids = await this.requireDevice(devEUI);
+      const nwkSKey = activationData.nwkSKey;
+      await this.setDeviceFields(ids, 'ns', {
+        session: {
+          dev_addr: activationData.devAddr,
+          keys: {
+            f_nwk_s_int_key: { key: activationData.fNwkSIntKey || nwkSKey },
+            s_nwk_s_int_key: { key: activationData.sNwkSIntKey || nwkSKey },
+            nwk_s_enc_key: { key: nwkSKey }
+          },
+          last_f_cnt_up: activationData.fCntUp || 0,
+          last_n_f_cnt_down: activationData.fCntDown || 0
+        }
+      }, [
+        'session.dev_addr',
+        'session.keys.f_nwk_s_int_key.key',
+        'session.keys.s_nwk_s_int_key.key',
+        'session.keys.nwk_s_enc_key.key',
+        'session.last_f_cnt_up',
+        'session.last_n_f_cnt_down'
+      ]);
+      await this.setDeviceFields(ids, 'as', {
+        session: {
+          dev_addr: activationData.devAddr,
+          keys: { app_s_key: { key: activationData.appSKey } },
+          last_a_f_cnt_down: activationData.aFCntDown || 0
+        }
+      }, ['session.dev_addr', 'session.keys.app_s_key.key', 'session.last_a_f_cnt_down']);
+
+      console.log(`Activated device ${devEUI} in ${this.name}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`Error activating device ${devEUI} in ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  async restoreDeviceActivation(devEUI, deviceActivation) {
+    await this.activateDevice(devEUI, {
+      devAddr: deviceActivation.devAddr,
+      nwkSKey: deviceActivation.nwkSEncKey,
+      sNwkSIntKey: deviceActivation.sNwkSIntKey,
+      fNwkSIntKey: deviceActivation.fNwkSIntKey,
+      appSKey: deviceActivation.appSKey,
+      fCntUp: deviceActivation.fCntUp,
+      fCntDown: deviceActivation.nFCntDown,
+      aFCntDown: deviceActivation.aFCntDown
+    });
+    console.log(`Restored activation of device ${devEUI} in ${this.name}`);
+    return { success: true };
+  }
+}
+
+module.exports = TTSClient;